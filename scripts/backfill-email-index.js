@@ -0,0 +1,48 @@
+/**
+ * Build the subscriber email index from the existing subscribers table.
+ *
+ * Usage: node scripts/backfill-email-index.js [--overwrite]
+ *
+ * Uses the same settings as the function app (STORAGE_PROVIDER,
+ * AZURE_STORAGE_CONNECTION_STRING, SUBSCRIBER_TABLE_NAME, ...). Safe to re-run -
+ * subscribers that are already indexed are left alone. Emails shared by several
+ * subscribers keep their first indexed subscriber unless --overwrite is passed.
+ */
+const { getRepositories } = require('../src/repositories');
+const { TABLES } = require('../src/repositories/tables');
+
+async function backfillEmailIndex({ overwrite = false } = {}) {
+  const { store, subscribers } = getRepositories();
+  await store.ensureTable(TABLES.subscriberEmailIndex);
+
+  const summary = { scanned: 0, indexed: 0, unchanged: 0, duplicate: 0, skipped: 0 };
+  let continuationToken = null;
+
+  do {
+    const page = await subscribers.listPage({ pageSize: 500, continuationToken });
+
+    for (const subscriber of page.entities) {
+      const result = await subscribers.indexSubscriber(subscriber, { overwrite });
+      summary.scanned++;
+      summary[result]++;
+
+      if (result === 'duplicate') {
+        console.warn(`Duplicate email on subscriber ${subscriber.partitionKey}/${subscriber.rowKey}: ${subscriber.Email || subscriber.email}`);
+      }
+    }
+
+    continuationToken = page.continuationToken;
+    console.log(`Scanned ${summary.scanned} subscribers`);
+  } while (continuationToken);
+
+  return summary;
+}
+
+backfillEmailIndex({ overwrite: process.argv.includes('--overwrite') })
+  .then(summary => {
+    console.log('Email index backfill complete:', summary);
+  })
+  .catch(error => {
+    console.error('Email index backfill failed:', error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,74 @@
+/**
+ * Scrub the free text of survey responses stored before moderation, writing their
+ * moderation columns so flagged ones reach the moderation queue.
+ *
+ * Usage: node scripts/backfill-moderation.js
+ *
+ * Uses the same settings as the function app (STORAGE_PROVIDER,
+ * AZURE_STORAGE_CONNECTION_STRING, FREE_TEXT_REVIEW_ALL, ...). Safe to re-run.
+ * Responses an admin reviewed are left alone. Ones only moderated automatically are
+ * scrubbed again (older submissions skipped customResponses text), and a status only
+ * ever moves from approved to pending.
+ */
+const { getRepositories } = require('../src/repositories');
+const { TABLES } = require('../src/repositories/tables');
+const { buildModerationColumns } = require('../src/services/freeTextModeration');
+const { getStoredSurveyVersion } = require('../src/survey/definition');
+
+function parseJsonColumn(value) {
+  try {
+    return value ? JSON.parse(value) : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+async function backfillModeration() {
+  const { store, surveyResponses } = getRepositories();
+  await store.ensureTable(TABLES.surveyResponses);
+
+  const summary = { scanned: 0, approved: 0, pending: 0, noFreeText: 0, unchanged: 0, reviewed: 0 };
+
+  for await (const entity of surveyResponses.listAll()) {
+    summary.scanned++;
+    if (entity.moderationStatus && entity.moderatedBy !== 'auto') {
+      summary.reviewed++;
+      continue;
+    }
+
+    const columns = buildModerationColumns(
+      parseJsonColumn(entity.surveyData),
+      parseJsonColumn(entity.customResponses),
+      getStoredSurveyVersion(entity)
+    );
+    if (!columns.moderationStatus) {
+      summary.noFreeText++;
+      continue;
+    }
+    if (entity.moderationStatus === 'pending') {
+      columns.moderationStatus = 'pending';
+    }
+    if (entity.moderationStatus === columns.moderationStatus && entity.freeTextRedacted === columns.freeTextRedacted) {
+      summary.unchanged++;
+      continue;
+    }
+
+    await surveyResponses.merge(entity, columns);
+    summary[columns.moderationStatus]++;
+
+    if (summary.scanned % 500 === 0) {
+      console.log(`Scanned ${summary.scanned} survey responses`);
+    }
+  }
+
+  return summary;
+}
+
+backfillModeration()
+  .then(summary => {
+    console.log('Moderation backfill complete:', summary);
+  })
+  .catch(error => {
+    console.error('Moderation backfill failed:', error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,56 @@
+/**
+ * Export survey responses or subscriber answers as CSV or NDJSON.
+ *
+ * Usage: node scripts/export-responses.js [--dataset responses|subscribers] [--format csv|ndjson]
+ *                                         [--from 2025-09-01] [--to 2025-09-30] [--tag pop_teens]
+ *                                         [--out responses.csv]
+ *
+ * Writes to stdout unless --out is given. Uses the same settings as the function app
+ * (STORAGE_PROVIDER, AZURE_STORAGE_CONNECTION_STRING, ...).
+ */
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { DATASETS, FORMATS, streamExport } = require('../src/services/responseExport');
+
+// Keep service logging out of the export when it is written to stdout
+console.log = console.error;
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+      throw new Error(`Unexpected argument ${argv[i]}`);
+    }
+    options[argv[i].substring(2)] = argv[i + 1];
+  }
+  return options;
+}
+
+async function main() {
+  const { dataset = 'responses', format = 'csv', from, to, tag, out } = parseArgs(process.argv.slice(2));
+
+  if (!DATASETS.includes(dataset)) {
+    throw new Error(`--dataset must be one of ${DATASETS.join(', ')}`);
+  }
+  if (!FORMATS.includes(format)) {
+    throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+  }
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && isNaN(new Date(value).getTime())) {
+      throw new Error(`--${name} must be an ISO date`);
+    }
+  }
+
+  const destination = out ? fs.createWriteStream(out) : process.stdout;
+  await pipeline(Readable.from(streamExport({ dataset, format, from, to, tag })), destination);
+
+  if (out) {
+    console.error(`Exported ${dataset} to ${out}`);
+  }
+}
+
+main().catch(error => {
+  console.error('Export failed:', error.message);
+  process.exitCode = 1;
+});
@@ -6,177 +6,165 @@ const {
   getSubscriberByEmail, 
   updateSubscriberTags, 
   insertSurveyResponse, 
-  updateKitSyncStatus,
+  getLatestSurveyResponse,
+  getLocalSubscriberTags,
+  removeSubscriberTags,
   updateQuestionAnswer,
   getQuestionAnswers,
   getSurveyProgress,
+  getUserTags,
   testConnection
 } = require('./services/azureStorage');
-const { syncTagsToKit, testKitConnection } = require('./services/kitApi');
+const { getEmailProvider } = require('./emailProviders');
+const { enqueueKitSyncJob, processKitSyncJob } = require('./services/kitSyncQueue');
+const { computeRecommendations } = require('./recommendations/engine');
+const {
+  isAutoProvisionEnabled,
+  isSubscriberVerified,
+  provisionSubscriber,
+  deferConsent,
+  getPendingVerificationLink
+} = require('./services/subscriberProvisioning');
+const { recordConsent, getCurrentConsent } = require('./services/marketingConsent');
+const { claimPendingDrafts } = require('./services/surveyDrafts');
 const { validateSurveyRequest, sanitizeInput, validateTags } = require('./utils/validation');
+const { ROLES, hasRole, canAccessSubscriber, createAuthError, createAuthErrorResponse, withAuth } = require('./middleware/auth');
+const { getClientIp, enforceRateLimit, createRateLimitResponse } = require('./middleware/rateLimit');
+const { beginIdempotentRequest, settleIdempotentRequest } = require('./middleware/idempotency');
+const {
+  resolveSubmissionVersion,
+  getStoredSurveyVersion,
+  diffSurveyTags,
+  getQuestion,
+  getAllowedTags,
+  buildSurveyDataSchema,
+  buildCustomResponsesSchema,
+  buildAnswerSchema
+} = require('./survey/definition');
 const Joi = require('joi');
 
-// Validation schema for the survey request (matching frontend payload)
-const surveySchema = Joi.object({
+// Validation schema for the survey request (matching frontend payload) for a survey version
+const buildSurveySchema = (version) => Joi.object({
+  surveyVersion: Joi.alternatives().try(Joi.string(), Joi.number()).optional(),
   name: Joi.string().max(255).required(),
-  email: Joi.string().email().required(),
-  surveyData: Joi.object({
-    setting: Joi.string().valid(
-      'setting_inperson', 'setting_mostly_inperson', 'setting_mixed', 
-      'setting_mostly_online', 'setting_online_only'
-    ).required(),
-    profession: Joi.string().valid(
-      'role_therapist', 'role_social_worker', 'role_psychologist',
-      'role_school_counselor', 'role_student', 'role_clergy',
-      'role_sud_counselor', 'role_peer_specialist', 'role_other'
-    ).required(),
-    populations: Joi.array().items(Joi.string().valid(
-      'pop_children10u', 'pop_teens', 'pop_adults',
-      'pop_couples', 'pop_families', 'pop_groups', 'pop_all_day'
-    )).required(),
-    interests: Joi.array().items(Joi.string().valid(
-      'interest_sandtray', 'interest_art', 'interest_feelings_wheel',
-      'interest_humans', 'interest_tumbling', 'interest_jeopardy',
-      'interest_bingo', 'interest_mandala'
-    )).required(),
-    frequency: Joi.string().valid(
-      'freq_daily', 'freq_weekly', 'freq_monthly', 'freq_occasionally'
-    ).required(),
-    modalities: Joi.array().items(Joi.string().valid(
-      'mod_cbt', 'mod_dbt', 'mod_solutions', 'mod_expressive',
-      'mod_emdr', 'mod_couples', 'mod_ifs', 'mod_eclectic', 'mod_other'
-    )).required(),
-    profession_other: Joi.string().max(255).allow('').optional(),
-    modality_other: Joi.string().max(255).allow('').optional()
-  }).required(),
+  email: Joi.string().trim().lowercase().email().required(),
+  surveyData: buildSurveyDataSchema({ version, otherMaxLength: 255 }).required(),
+  // Still accepted from older frontends, but ignored - recommendations are computed server-side
   recommendations: Joi.array().items(Joi.string()).optional(),
-  selectedTags: Joi.array().items(Joi.string()).required(),
-  customResponses: Joi.object({
-    role_other: Joi.string().max(255).allow('').optional(),
-    mod_other: Joi.string().max(255).allow('').optional()
-  }).optional(),
+  selectedTags: Joi.array().items(Joi.string().valid(...getAllowedTags(version))).required(),
+  customResponses: buildCustomResponsesSchema({ version, otherMaxLength: 255 }).optional(),
   timestamp: Joi.string().isoDate().required(),
-  completed: Joi.boolean().required()
+  completed: Joi.boolean().required(),
+  // Marketing consent as shown with the survey - without any recorded consent nothing is sent to Kit.com
+  consent: Joi.object({
+    granted: Joi.boolean().required(),
+    textVersion: Joi.string().trim().max(50).required(),
+    source: Joi.string().trim().max(50).default('survey')
+  }).optional()
 });
 
 // CORS headers helper
 const getCorsHeaders = () => ({
   'Access-Control-Allow-Origin': process.env.FRONTEND_DOMAIN || '*',
   'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-api-key, x-subscriber-token, Idempotency-Key',
   'Access-Control-Max-Age': '86400'
 });
 
+// Subscriber tokens only reach their own email
+const createSubscriberMismatchResponse = () =>
+  createAuthErrorResponse(createAuthError(403, 'Subscriber token does not match this email'), getCorsHeaders());
+
 // 1. Survey Submission Function
 app.http('surveySubmission', {
   methods: ['POST', 'OPTIONS'],
   authLevel: 'anonymous',
   route: 'survey-submission',
-  handler: async (request, context) => {
+  handler: withAuth([ROLES.FRONTEND, ROLES.SUBSCRIBER, ROLES.SERVICE], async (request, context, principal) => {
     // Handle CORS preflight
     if (request.method === 'OPTIONS') {
       return { status: 200, headers: getCorsHeaders() };
     }
 
     try {
+      // Ensure tables exist
+      await ensureTablesExist();
+
+      // Throttle per client before doing any work
+      const ipLimited = await enforceRateLimit('surveySubmission', { ip: getClientIp(request) }, context);
+      if (ipLimited) {
+        return createRateLimitResponse(ipLimited, getCorsHeaders());
+      }
+
       // Parse and validate request
       const requestBody = await request.json();
-      const { error, value } = surveySchema.validate(requestBody);
       
-      if (error) {
+      // Validate against the survey version the respondent saw
+      const surveyVersion = resolveSubmissionVersion(requestBody && requestBody.surveyVersion);
+      if (surveyVersion.error) {
         return {
           status: 400,
           headers: { ...getCorsHeaders(), 'Content-Type': 'application/json' },
           body: JSON.stringify({
             success: false,
             error: 'Validation failed',
-            message: error.details[0].message,
+            message: surveyVersion.error,
             details: {
-              field: error.details[0].path.join('.'),
-              code: 'VALIDATION_ERROR'
+              field: 'surveyVersion',
+              code: 'UNSUPPORTED_SURVEY_VERSION'
             }
           })
         };
       }
-
-      // Ensure tables exist
-      await ensureTablesExist();
-
-      // Get subscriber (therapist)
-      const subscriber = await getSubscriberByEmail(value.email);
-      if (!subscriber) {
+      
+      const { error, value } = buildSurveySchema(surveyVersion.version).validate(requestBody);
+      
+      if (error) {
         return {
-          status: 404,
+          status: 400,
           headers: { ...getCorsHeaders(), 'Content-Type': 'application/json' },
           body: JSON.stringify({
             success: false,
-            error: 'Subscriber not found',
-            message: 'Email not found in subscriber database'
+            error: 'Validation failed',
+            message: error.details[0].message,
+            details: {
+              field: error.details[0].path.join('.'),
+              code: 'VALIDATION_ERROR'
+            }
           })
         };
       }
 
-      // Store survey response (complete survey data)
-      await insertSurveyResponse({
-        therapistId: subscriber.rowKey,
-        email: value.email,
-        name: value.name,
-        surveyData: value.surveyData,
-        recommendations: value.recommendations || [],
-        selectedTags: value.selectedTags,
-        customResponses: value.customResponses || {},
-        timestamp: value.timestamp,
-        completed: value.completed,
-        kitSyncStatus: 'pending'
-      });
+      if (!canAccessSubscriber(principal, value.email)) {
+        return createSubscriberMismatchResponse();
+      }
 
-      // Store individual tags (from selectedTags array)
-      const tagPromises = value.selectedTags.map(tagName => 
-        updateSubscriberTags(subscriber.rowKey, {
-          tagName: tagName,
-          email: value.email,
-          tagSource: 'survey',
-          createdAt: new Date().toISOString()
-        })
-      );
-      await Promise.all(tagPromises);
+      const emailLimited = await enforceRateLimit('surveySubmission', { email: value.email }, context);
+      if (emailLimited) {
+        return createRateLimitResponse(emailLimited, getCorsHeaders());
+      }
 
-      // Sync to Kit.com using selectedTags
-      let kitSyncStatus = 'pending';
-      let kitError = null;
-      
-      try {
-        const kitResult = await syncTagsToKit(value.email, value.selectedTags);
-        kitSyncStatus = kitResult.success ? 'success' : 'failed';
-        kitError = kitResult.error;
-        
-        // Update sync status in survey response
-        await updateKitSyncStatus(subscriber.rowKey, kitSyncStatus, kitError);
-        
-      } catch (kitApiError) {
-        context.log.warn('Kit.com sync failed:', kitApiError);
-        kitSyncStatus = 'failed';
-        kitError = kitApiError.message;
-        await updateKitSyncStatus(subscriber.rowKey, 'failed', kitError);
+      // Replay the stored result when the same submission arrives twice (double-click, network retry)
+      const idempotency = await beginIdempotentRequest('surveySubmission', {
+        key: request.headers.get('idempotency-key'),
+        email: value.email,
+        payload: value,
+        headers: getCorsHeaders()
+      }, context);
+      if (idempotency.response) {
+        return addVerificationLink(idempotency.response, value.email, principal);
       }
 
-      // Return success response (as per requirements format)
-      return {
-        status: 200,
-        headers: { ...getCorsHeaders(), 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          success: true,
-          message: 'Survey data saved and tags applied',
-          data: {
-            tagsAdded: value.selectedTags.length,
-            recommendationsCount: (value.recommendations || []).length,
-            kitSyncStatus: kitSyncStatus
-          }
-        })
-      };
+      let response;
+      try {
+        response = await processSurveySubmission(value, surveyVersion, context, principal);
+      } finally {
+        await settleIdempotentRequest(idempotency.claim, response, context);
+      }
+      return addVerificationLink(response, value.email, principal);
 
     } catch (error) {
-      context.log.error('Survey submission error:', error);
+      context.error('Survey submission error:', error);
       return {
         status: 500,
         headers: { ...getCorsHeaders(), 'Content-Type': 'application/json' },
@@ -190,7 +178,7 @@ app.http('surveySubmission', {
         })
       };
     }
-  }
+  }, { headers: getCorsHeaders })
 });
 
 // 2. Question Update Function
@@ -198,7 +186,7 @@ app.http('questionUpdate', {
   methods: ['POST', 'GET', 'OPTIONS'],
   authLevel: 'anonymous',
   route: 'question/{action?}',
-  handler: async (request, context) => {
+  handler: withAuth([ROLES.SUBSCRIBER, ROLES.SERVICE], async (request, context, principal) => {
     // Handle CORS preflight
     if (request.method === 'OPTIONS') {
       return { status: 200, headers: getCorsHeaders() };
@@ -209,11 +197,11 @@ app.http('questionUpdate', {
     try {
       switch (action) {
         case 'update':
-          return await handleQuestionUpdate(request, context);
+          return await handleQuestionUpdate(request, context, principal);
         case 'answers':
-          return await handleGetAnswers(request, context);
+          return await handleGetAnswers(request, context, principal);
         case 'progress':
-          return await handleGetProgress(request, context);
+          return await handleGetProgress(request, context, principal);
         default:
           return {
             status: 400,
@@ -225,7 +213,7 @@ app.http('questionUpdate', {
           };
       }
     } catch (error) {
-      context.log.error('Question update error:', error);
+      context.error('Question update error:', error);
       return {
         status: 500,
         headers: { ...getCorsHeaders(), 'Content-Type': 'application/json' },
@@ -235,7 +223,7 @@ app.http('questionUpdate', {
         })
       };
     }
-  }
+  }, { headers: getCorsHeaders })
 });
 
 // 4. Get User Tags Function
@@ -243,7 +231,7 @@ app.http('getUserTags', {
   methods: ['GET', 'OPTIONS'],
   authLevel: 'anonymous',
   route: 'user/tags/{email}',
-  handler: async (request, context) => {
+  handler: withAuth([ROLES.SUBSCRIBER, ROLES.SERVICE], async (request, context, principal) => {
     // Handle CORS preflight
     if (request.method === 'OPTIONS') {
       return { status: 200, headers: getCorsHeaders() };
@@ -262,6 +250,10 @@ app.http('getUserTags', {
       };
     }
 
+    if (!canAccessSubscriber(principal, email)) {
+      return createSubscriberMismatchResponse();
+    }
+
     try {
       const subscriber = await getSubscriberByEmail(email);
       if (!subscriber) {
@@ -289,7 +281,7 @@ app.http('getUserTags', {
       };
 
     } catch (error) {
-      context.log.error('Get user tags error:', error);
+      context.error('Get user tags error:', error);
       return {
         status: 500,
         headers: { ...getCorsHeaders(), 'Content-Type': 'application/json' },
@@ -299,7 +291,7 @@ app.http('getUserTags', {
         })
       };
     }
-  }
+  }, { headers: getCorsHeaders })
 });
 
 // 5. Update User Tags Function
@@ -307,7 +299,7 @@ app.http('updateUserTags', {
   methods: ['POST', 'OPTIONS'],
   authLevel: 'anonymous',
   route: 'user/tags',
-  handler: async (request, context) => {
+  handler: withAuth([ROLES.SUBSCRIBER, ROLES.SERVICE], async (request, context, principal) => {
     // Handle CORS preflight
     if (request.method === 'OPTIONS') {
       return { status: 200, headers: getCorsHeaders() };
@@ -317,7 +309,7 @@ app.http('updateUserTags', {
       const requestBody = await request.json();
       
       const tagUpdateSchema = Joi.object({
-        email: Joi.string().email().required(),
+        email: Joi.string().trim().lowercase().email().required(),
         tags: Joi.array().items(Joi.string()).required(),
         source: Joi.string().valid('manual', 'survey', 'import').default('manual')
       });
@@ -335,6 +327,14 @@ app.http('updateUserTags', {
         };
       }
 
+      // Bulk imports come from back-office jobs, never the survey site
+      if (value.source === 'import' && !hasRole(principal, [ROLES.SERVICE])) {
+        return createAuthErrorResponse(createAuthError(403, 'Tag imports require the service role'), getCorsHeaders());
+      }
+      if (!canAccessSubscriber(principal, value.email)) {
+        return createSubscriberMismatchResponse();
+      }
+
       const subscriber = await getSubscriberByEmail(value.email);
       if (!subscriber) {
         return {
@@ -347,16 +347,15 @@ app.http('updateUserTags', {
         };
       }
 
-      // Add/update tags
-      const tagPromises = value.tags.map(tagName => 
-        updateSubscriberTags(subscriber.rowKey, {
+      // Add/update tags - one at a time, each merges the same subscriber row
+      for (const tagName of value.tags) {
+        await updateSubscriberTags(subscriber.rowKey, {
           tagName: tagName,
           email: value.email,
           tagSource: value.source,
           createdAt: new Date().toISOString()
-        })
-      );
-      await Promise.all(tagPromises);
+        });
+      }
 
       return {
         status: 200,
@@ -369,7 +368,7 @@ app.http('updateUserTags', {
       };
 
     } catch (error) {
-      context.log.error('Update user tags error:', error);
+      context.error('Update user tags error:', error);
       return {
         status: 500,
         headers: { ...getCorsHeaders(), 'Content-Type': 'application/json' },
@@ -379,7 +378,7 @@ app.http('updateUserTags', {
         })
       };
     }
-  }
+  }, { headers: getCorsHeaders })
 });
 app.http('health', {
   methods: ['GET', 'OPTIONS'],
@@ -404,9 +403,10 @@ app.http('health', {
       healthStatus.azureStorage = storageConnected ? 'connected' : 'disconnected';
       if (!storageConnected) healthStatus.status = 'unhealthy';
 
-      // Test Kit.com API
-      const kitTest = await testKitConnection();
+      // Test the email providers (kitApi keeps its name for existing monitors)
+      const kitTest = await getEmailProvider().healthCheck();
       healthStatus.kitApi = kitTest.success ? 'accessible' : 'error';
+      healthStatus.emailProvider = getEmailProvider().name;
       if (!kitTest.success) healthStatus.status = 'degraded';
 
       const statusCode = healthStatus.status === 'healthy' ? 200 : 
@@ -419,7 +419,7 @@ app.http('health', {
       };
 
     } catch (error) {
-      context.log.error('Health check error:', error);
+      context.error('Health check error:', error);
       return {
         status: 503,
         headers: { ...getCorsHeaders(), 'Content-Type': 'application/json' },
@@ -433,14 +433,172 @@ app.http('health', {
   }
 });
 
+// Adds the verification link of an unverified subscriber to a service caller's response.
+// Anyone with the frontend key can submit any email, so only the service role gets it
+// to email on - and it is added after the result is stored, so replays never carry it.
+async function addVerificationLink(response, email, principal) {
+  if (!response || response.status !== 200 || !hasRole(principal, [ROLES.SERVICE])) {
+    return response;
+  }
+
+  const verification = getPendingVerificationLink(await getSubscriberByEmail(email), email);
+  if (!verification) {
+    return response;
+  }
+
+  const body = JSON.parse(response.body);
+  body.data.verification = { url: verification.url, token: verification.token, expiresAt: verification.expiresAt };
+  return { ...response, body: JSON.stringify(body) };
+}
+
+// Helper function for survey submission - everything after validation, so an idempotent
+// request can be settled with whatever response this produces
+async function processSurveySubmission(value, surveyVersion, context, principal) {
+  // Get subscriber (therapist), creating an unverified one when auto-provisioning is on
+  let subscriber = await getSubscriberByEmail(value.email);
+  if (!subscriber && isAutoProvisionEnabled()) {
+    subscriber = await provisionSubscriber({ email: value.email, name: value.name });
+  } else if (subscriber && isSubscriberVerified(subscriber)) {
+    // Drafts this email was attached to before the subscriber registered
+    await claimPendingDrafts(value.email);
+  }
+  if (!subscriber) {
+    return {
+      status: 404,
+      headers: { ...getCorsHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        success: false,
+        error: 'Subscriber not found',
+        message: 'Email not found in subscriber database'
+      })
+    };
+  }
+
+  // Diff against the previous submission so answers that changed lose their old tags
+  const previousResponse = await getLatestSurveyResponse(value.email);
+  const { removedTags, removedByQuestion } = diffSurveyTags({
+    previousSurveyData: previousResponse ? JSON.parse(previousResponse.surveyData || '{}') : null,
+    previousVersion: getStoredSurveyVersion(previousResponse),
+    surveyData: value.surveyData,
+    version: surveyVersion.version,
+    storedTags: getLocalSubscriberTags(subscriber)
+  });
+
+  // Rank the tool catalog against the answers
+  const recommendations = computeRecommendations(value.surveyData, surveyVersion.version);
+
+  // Store survey response (complete survey data)
+  const responseId = await insertSurveyResponse({
+    therapistId: subscriber.rowKey,
+    email: value.email,
+    name: value.name,
+    surveyVersion: surveyVersion.version,
+    surveyData: value.surveyData,
+    recommendations: recommendations.map(recommendation => recommendation.toolId),
+    selectedTags: value.selectedTags,
+    customResponses: value.customResponses || {},
+    timestamp: value.timestamp,
+    completed: value.completed,
+    kitSyncStatus: 'pending'
+  });
+
+  // Record consent before the sync job is attempted, so the job sees it. An unverified
+  // subscriber's consent is held until they verify their email.
+  const consentHeld = Boolean(value.consent && !isSubscriberVerified(subscriber));
+  let consent = null;
+  if (consentHeld) {
+    await deferConsent(value.email, { ...value.consent, recordedBy: principal.subject || principal.type });
+  } else {
+    consent = value.consent
+      ? await recordConsent(value.email, { ...value.consent, recordedBy: principal.subject || principal.type })
+      : await getCurrentConsent(value.email);
+  }
+
+  // Queue the Kit.com sync alongside the response so it is retried if Kit.com is unavailable
+  const kitSyncJob = await enqueueKitSyncJob({
+    email: value.email,
+    responseId: responseId,
+    tags: value.selectedTags,
+    removeTagsByQuestion: removedByQuestion
+  });
+
+  // Clear tags the new answers no longer include
+  if (removedTags.length > 0) {
+    await removeSubscriberTags(value.email, removedTags);
+  }
+
+  // Store individual tags (from selectedTags array) - one at a time, since each write
+  // is an ETag-checked merge of the same subscriber row
+  for (const tagName of value.selectedTags) {
+    await updateSubscriberTags(subscriber.rowKey, {
+      tagName: tagName,
+      email: value.email,
+      tagSource: 'survey',
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  // Attempt the Kit.com sync now - failures stay queued for the kitSyncWorker timer
+  let kitSyncStatus = 'pending';
+  
+  try {
+    const kitResult = await processKitSyncJob(kitSyncJob);
+    kitSyncStatus = kitResult.status;
+  } catch (kitSyncError) {
+    context.warn('Kit.com sync failed, left queued for retry:', kitSyncError);
+  }
+
+  // Return success response (as per requirements format)
+  return {
+    status: 200,
+    headers: { ...getCorsHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      success: true,
+      message: 'Survey data saved and tags applied',
+      data: {
+        tagsAdded: value.selectedTags.length,
+        tagsRemoved: removedTags.length,
+        recommendationsCount: recommendations.length,
+        recommendations,
+        kitSyncStatus: kitSyncStatus,
+        marketingConsent: consent ? consent.granted : false,
+        marketingConsentPending: consentHeld,
+        subscriberVerified: isSubscriberVerified(subscriber),
+        verification: null
+      }
+    })
+  };
+}
+
 // Helper functions for question operations
-async function handleQuestionUpdate(request, context) {
+async function handleQuestionUpdate(request, context, principal) {
+  const ipLimited = await enforceRateLimit('questionUpdate', { ip: getClientIp(request) }, context);
+  if (ipLimited) {
+    return createRateLimitResponse(ipLimited, getCorsHeaders());
+  }
+
   const requestBody = await request.json();
   
+  const surveyVersion = resolveSubmissionVersion(requestBody && requestBody.surveyVersion);
+  if (surveyVersion.error) {
+    return {
+      status: 400,
+      headers: { ...getCorsHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        success: false,
+        error: 'Validation failed',
+        details: surveyVersion.error
+      })
+    };
+  }
+
   const updateSchema = Joi.object({
-    email: Joi.string().email().required(),
-    questionNumber: Joi.string().pattern(/^Q[1-6]$/).required(),
-    answer: Joi.string().max(500).required(),
+    email: Joi.string().trim().lowercase().email().required(),
+    questionNumber: Joi.alternatives().try(Joi.string(), Joi.number().integer()).required()
+      .custom((questionNumber, helpers) => (getQuestion(questionNumber, surveyVersion.version) ? questionNumber : helpers.error('any.invalid'))),
+    answer: Joi.any().required(),
+    otherText: Joi.string().max(500).allow('', null).optional(),
+    surveyVersion: Joi.alternatives().try(Joi.string(), Joi.number()).optional(),
     timestamp: Joi.string().isoDate().required()
   });
 
@@ -457,7 +615,31 @@ async function handleQuestionUpdate(request, context) {
     };
   }
 
-  await updateQuestionAnswer(value.email, value.questionNumber, value.answer, value.timestamp);
+  // Validate the answer against the question's allowed options
+  const question = getQuestion(value.questionNumber, surveyVersion.version);
+  const answerValidation = buildAnswerSchema(question).validate(value.answer);
+  if (answerValidation.error) {
+    return {
+      status: 400,
+      headers: { ...getCorsHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        success: false,
+        error: 'Validation failed',
+        details: answerValidation.error.details[0].message
+      })
+    };
+  }
+
+  if (!canAccessSubscriber(principal, value.email)) {
+    return createSubscriberMismatchResponse();
+  }
+
+  const emailLimited = await enforceRateLimit('questionUpdate', { email: value.email }, context);
+  if (emailLimited) {
+    return createRateLimitResponse(emailLimited, getCorsHeaders());
+  }
+
+  await updateQuestionAnswer(value.email, question.id, answerValidation.value, value.otherText, surveyVersion.version);
 
   return {
     status: 200,
@@ -465,13 +647,13 @@ async function handleQuestionUpdate(request, context) {
     body: JSON.stringify({
       success: true,
       message: 'Question answer updated successfully',
-      questionNumber: value.questionNumber,
+      questionNumber: question.id,
       timestamp: new Date().toISOString()
     })
   };
 }
 
-async function handleGetAnswers(request, context) {
+async function handleGetAnswers(request, context, principal) {
   const email = request.query.get('email');
   
   if (!email) {
@@ -485,6 +667,10 @@ async function handleGetAnswers(request, context) {
     };
   }
 
+  if (!canAccessSubscriber(principal, email)) {
+    return createSubscriberMismatchResponse();
+  }
+
   const answers = await getQuestionAnswers(email);
   
   return {
@@ -499,7 +685,7 @@ async function handleGetAnswers(request, context) {
   };
 }
 
-async function handleGetProgress(request, context) {
+async function handleGetProgress(request, context, principal) {
   const email = request.query.get('email');
   
   if (!email) {
@@ -513,6 +699,10 @@ async function handleGetProgress(request, context) {
     };
   }
 
+  if (!canAccessSubscriber(principal, email)) {
+    return createSubscriberMismatchResponse();
+  }
+
   const progress = await getSurveyProgress(email);
   
   return {
@@ -0,0 +1,131 @@
+const { createKitProvider } = require('./kitProvider');
+const { createWebhookProvider } = require('./webhookProvider');
+
+/**
+ * Email marketing providers.
+ *
+ * Services never call an email service provider directly - they use the provider
+ * returned by getEmailProvider(). Every provider has the same methods, each resolving
+ * to a result object ({ success, status, error, data }) rather than throwing:
+ *   isConfigured()                   - whether its credentials are set
+ *   upsertSubscriber(email, { tags }) - create or update the subscriber with these tags
+ *   addTags(email, tags) / removeTags(email, tags)
+ *   getSubscriber(email)             - adds `subscriber: { email, tags, state }` on success
+ *   unsubscribe(email)
+ *   healthCheck()
+ *
+ * EMAIL_PROVIDERS picks them - a comma-separated list, `kit` by default:
+ *   kit     - Kit.com (KIT_API_KEY)
+ *   webhook - JSON events posted to EMAIL_WEBHOOK_URL
+ * With several providers every change fans out to all of them and only succeeds when
+ * all succeed, so a sync job is retried until each one has it (every call is safe to
+ * repeat). Reads come from the first provider listed. New providers implement the
+ * methods above and register in PROVIDERS.
+ */
+const PROVIDERS = {
+  kit: createKitProvider,
+  webhook: createWebhookProvider
+};
+
+let emailProvider;
+
+function describeError(error) {
+  return typeof error === 'string' ? error : JSON.stringify(error);
+}
+
+/**
+ * Call one method on every provider - results per provider name under `providers`
+ */
+async function callAll(providers, method, args) {
+  const results = {};
+  for (const provider of providers) {
+    try {
+      results[provider.name] = await provider[method](...args);
+    } catch (error) {
+      results[provider.name] = { success: false, error: error.message };
+    }
+  }
+
+  const failed = Object.entries(results).filter(([, result]) => !result.success);
+  if (failed.length === 0) {
+    return { success: true, providers: results };
+  }
+  return {
+    success: false,
+    status: failed[0][1].status,
+    error: failed.map(([name, result]) => `${name}: ${describeError(result.error)}`).join('; '),
+    providers: results
+  };
+}
+
+/**
+ * One provider in front of several
+ */
+function createFanOutProvider(providers) {
+  return {
+    name: providers.map(provider => provider.name).join(','),
+    providers,
+
+    // Partly configured fan-out would apply changes to some providers only
+    isConfigured() {
+      return providers.every(provider => provider.isConfigured());
+    },
+
+    async upsertSubscriber(email, options) {
+      return callAll(providers, 'upsertSubscriber', [email, options]);
+    },
+
+    async addTags(email, tags) {
+      return callAll(providers, 'addTags', [email, tags]);
+    },
+
+    async removeTags(email, tags) {
+      return callAll(providers, 'removeTags', [email, tags]);
+    },
+
+    async getSubscriber(email) {
+      return providers[0].getSubscriber(email);
+    },
+
+    async unsubscribe(email) {
+      return callAll(providers, 'unsubscribe', [email]);
+    },
+
+    async healthCheck() {
+      return callAll(providers, 'healthCheck', []);
+    }
+  };
+}
+
+/**
+ * Provider names from EMAIL_PROVIDERS - throws on unknown names
+ */
+function getConfiguredProviderNames() {
+  const names = (process.env.EMAIL_PROVIDERS || 'kit')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = names.filter(name => !PROVIDERS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown EMAIL_PROVIDERS ${unknown.join(', ')} (expected ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return names.length > 0 ? [...new Set(names)] : ['kit'];
+}
+
+/**
+ * Provider for the configured EMAIL_PROVIDERS (created once per process)
+ */
+function getEmailProvider() {
+  if (!emailProvider) {
+    const names = getConfiguredProviderNames();
+    const providers = names.map(name => PROVIDERS[name]());
+    emailProvider = providers.length === 1 ? providers[0] : createFanOutProvider(providers);
+    console.log(`Using email provider ${emailProvider.name}`);
+  }
+  return emailProvider;
+}
+
+module.exports = {
+  getEmailProvider
+};
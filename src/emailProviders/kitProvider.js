@@ -0,0 +1,74 @@
+const {
+  syncTagsToKit,
+  getKitSubscriber,
+  removeKitTags,
+  unsubscribeFromKit,
+  testKitConnection
+} = require('../services/kitApi');
+
+/**
+ * Tag names from a Kit.com subscriber payload (tags may be names or { name } objects)
+ */
+function extractKitTagNames(kitData) {
+  const subscriber = (kitData && (kitData.subscriber || (kitData.subscribers && kitData.subscribers[0]))) || kitData || {};
+  const tags = subscriber.tags || (kitData && kitData.tags) || [];
+
+  return tags
+    .map(tag => (typeof tag === 'string' ? tag : tag && tag.name))
+    .filter(Boolean);
+}
+
+function extractKitState(kitData) {
+  const subscriber = (kitData && (kitData.subscriber || (kitData.subscribers && kitData.subscribers[0]))) || kitData || {};
+  return subscriber.state || null;
+}
+
+/**
+ * Kit.com provider - the kitApi client behind the email provider interface
+ */
+function createKitProvider() {
+  return {
+    name: 'kit',
+
+    isConfigured() {
+      return Boolean(process.env.KIT_API_KEY);
+    },
+
+    async upsertSubscriber(email, { tags = [] } = {}) {
+      return syncTagsToKit({ email, tags });
+    },
+
+    // Kit.com adds tags by upserting the subscriber with them
+    async addTags(email, tags) {
+      return syncTagsToKit({ email, tags });
+    },
+
+    async removeTags(email, tags) {
+      return removeKitTags(email, tags);
+    },
+
+    async getSubscriber(email) {
+      const result = await getKitSubscriber(email);
+      if (!result.success) {
+        return result;
+      }
+      return {
+        ...result,
+        subscriber: { email, tags: extractKitTagNames(result.data), state: extractKitState(result.data) }
+      };
+    },
+
+    async unsubscribe(email) {
+      return unsubscribeFromKit(email);
+    },
+
+    async healthCheck() {
+      return testKitConnection();
+    }
+  };
+}
+
+module.exports = {
+  createKitProvider,
+  extractKitTagNames
+};
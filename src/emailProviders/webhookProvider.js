@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+// node-fetch v3 is ESM-only, so load it lazily from CommonJS
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+/**
+ * Generic webhook provider - posts each change as JSON to EMAIL_WEBHOOK_URL, for
+ * providers reached through a bridge (Zapier, a partner's own endpoint, ...):
+ *   { "action": "upsert_subscriber" | "add_tags" | "remove_tags" | "unsubscribe", "email": "...", "tags": [...], "sentAt": "..." }
+ * With EMAIL_WEBHOOK_SECRET each request carries an `x-signature` header - the hex
+ * HMAC-SHA256 of the body. Any 2xx response counts as success. Subscribers cannot be
+ * read back, so getSubscriber always fails with 501.
+ */
+const SIGNATURE_HEADER = 'x-signature';
+const REQUEST_TIMEOUT_MS = 30000;
+
+async function postEvent(action, email, tags = []) {
+  const body = JSON.stringify({ action, email, tags, sentAt: new Date().toISOString() });
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.EMAIL_WEBHOOK_SECRET) {
+    headers[SIGNATURE_HEADER] = crypto.createHmac('sha256', process.env.EMAIL_WEBHOOK_SECRET).update(body).digest('hex');
+  }
+
+  try {
+    const response = await fetch(process.env.EMAIL_WEBHOOK_URL, {
+      method: 'POST',
+      headers,
+      body,
+      // node-fetch v3 dropped the `timeout` option - abort the request instead
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const responseData = await response.text();
+    if (response.ok) {
+      console.log(`Email webhook ${action} sent for ${email}`);
+      return { success: true, status: response.status, data: responseData };
+    }
+
+    console.error(`Email webhook ${action} error for ${email}:`, response.status, responseData);
+    return { success: false, status: response.status, error: responseData };
+  } catch (error) {
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+      console.error(`Email webhook ${action} timed out for ${email}`);
+      return { success: false, error: `Email webhook timed out after ${REQUEST_TIMEOUT_MS / 1000} seconds` };
+    }
+    console.error(`Email webhook ${action} failed for ${email}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+function createWebhookProvider() {
+  return {
+    name: 'webhook',
+
+    isConfigured() {
+      return Boolean(process.env.EMAIL_WEBHOOK_URL);
+    },
+
+    async upsertSubscriber(email, { tags = [] } = {}) {
+      return postEvent('upsert_subscriber', email, tags);
+    },
+
+    async addTags(email, tags) {
+      return postEvent('add_tags', email, tags);
+    },
+
+    async removeTags(email, tags) {
+      return postEvent('remove_tags', email, tags);
+    },
+
+    async getSubscriber() {
+      return { success: false, status: 501, error: 'The webhook provider cannot read subscribers' };
+    },
+
+    async unsubscribe(email) {
+      return postEvent('unsubscribe', email);
+    },
+
+    // Nothing to call without sending an event - configured is as healthy as it gets
+    async healthCheck() {
+      return this.isConfigured()
+        ? { success: true, status: 'EMAIL_WEBHOOK_URL is configured' }
+        : { success: false, error: 'EMAIL_WEBHOOK_URL environment variable is not set' };
+    }
+  };
+}
+
+module.exports = {
+  createWebhookProvider
+};
@@ -0,0 +1,110 @@
+const { app } = require('@azure/functions');
+const Joi = require('joi');
+const { getAnalytics, rebuildAnalytics } = require('../services/surveyAnalytics');
+const { ROLES, withAuth } = require('../middleware/auth');
+
+// Validation schema for the analytics window (query string)
+const analyticsQuerySchema = Joi.object({
+    from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    to: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    crossTab: Joi.string().max(500).optional()
+});
+
+// Helper function to create CORS headers
+function createCorsHeaders() {
+    return {
+        'Access-Control-Allow-Origin': process.env.ADMIN_DOMAIN || process.env.FRONTEND_DOMAIN || '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-api-key',
+        'Access-Control-Max-Age': '86400',
+        'Content-Type': 'application/json'
+    };
+}
+
+// Helper function to create a JSON response
+function createJsonResponse(status, body) {
+    return {
+        status,
+        headers: createCorsHeaders(),
+        body: JSON.stringify(body)
+    };
+}
+
+// Option counts for Q1-Q6 plus cross-tabs, e.g. ?from=2025-01-01&crossTab=profession:interests,Q3:Q5
+app.http('adminAnalytics', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'manage/analytics',
+    handler: withAuth([ROLES.ADMIN], async (request, context) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        const query = Object.fromEntries(request.query.entries());
+
+        const { error, value } = analyticsQuerySchema.validate(query, { abortEarly: false });
+        if (error) {
+            return createJsonResponse(400, {
+                success: false,
+                error: 'Invalid analytics options',
+                details: error.details.map(detail => ({
+                    field: detail.path.join('.'),
+                    message: detail.message
+                }))
+            });
+        }
+
+        const crossTabs = value.crossTab ? value.crossTab.split(',').filter(Boolean) : [];
+
+        try {
+            const analytics = await getAnalytics({ from: value.from, to: value.to, crossTabs });
+
+            return createJsonResponse(200, {
+                success: true,
+                ...analytics
+            });
+        } catch (error) {
+            if (error.statusCode === 400) {
+                return createJsonResponse(400, {
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            context.error('Error getting survey analytics:', error);
+            return createJsonResponse(500, {
+                success: false,
+                error: 'Failed to get survey analytics'
+            });
+        }
+    }, { headers: createCorsHeaders })
+});
+
+// Rebuild the rollups now instead of waiting for the analyticsRollup timer
+app.http('adminRebuildAnalytics', {
+    methods: ['POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'manage/analytics/rebuild',
+    handler: withAuth([ROLES.ADMIN], async (request, context) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        try {
+            const status = await rebuildAnalytics();
+
+            return createJsonResponse(200, {
+                success: true,
+                ...status
+            });
+        } catch (error) {
+            context.error('Error rebuilding survey analytics:', error);
+            return createJsonResponse(500, {
+                success: false,
+                error: 'Failed to rebuild survey analytics'
+            });
+        }
+    }, { headers: createCorsHeaders })
+});
@@ -0,0 +1,142 @@
+const { app } = require('@azure/functions');
+const Joi = require('joi');
+const { ensureTablesExist } = require('../services/azureStorage');
+const {
+    REQUEST_TYPES,
+    ERASURE_MODES,
+    createDataRequest,
+    processDataRequest,
+    getDataRequest,
+    toRequestView
+} = require('../services/dataRequests');
+const { ROLES, withAuth } = require('../middleware/auth');
+
+// Validation schema for a new data-subject request
+const dataRequestSchema = Joi.object({
+    email: Joi.string().trim().lowercase().email().required(),
+    type: Joi.string().valid(...REQUEST_TYPES).required(),
+    mode: Joi.string().valid(...ERASURE_MODES).when('type', {
+        is: 'erasure',
+        then: Joi.optional().default('erase'),
+        otherwise: Joi.forbidden()
+    }),
+    reason: Joi.string().max(500).optional()
+});
+
+// Helper function to create CORS headers
+function createCorsHeaders() {
+    return {
+        'Access-Control-Allow-Origin': process.env.ADMIN_DOMAIN || process.env.FRONTEND_DOMAIN || '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-api-key',
+        'Access-Control-Max-Age': '86400',
+        'Content-Type': 'application/json'
+    };
+}
+
+// Helper function to create a JSON response
+function createJsonResponse(status, body) {
+    return {
+        status,
+        headers: createCorsHeaders(),
+        body: JSON.stringify(body)
+    };
+}
+
+// Records an export or erasure request for an email and runs it straight away.
+// Whatever is left (Kit.com unavailable, say) is retried by the dataRequestWorker timer;
+// poll manage/data-requests/{requestId} for the outcome.
+app.http('adminCreateDataRequest', {
+    methods: ['POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'manage/data-requests',
+    handler: withAuth([ROLES.ADMIN], async (request, context, principal) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        let requestBody;
+        try {
+            requestBody = await request.json();
+        } catch (parseError) {
+            return createJsonResponse(400, {
+                success: false,
+                error: 'Invalid JSON in request body'
+            });
+        }
+
+        const { error, value } = dataRequestSchema.validate(requestBody, { abortEarly: false });
+        if (error) {
+            return createJsonResponse(400, {
+                success: false,
+                error: 'Validation failed',
+                details: error.details.map(detail => ({
+                    field: detail.path.join('.'),
+                    message: detail.message
+                }))
+            });
+        }
+
+        try {
+            await ensureTablesExist();
+
+            const created = await createDataRequest({
+                email: value.email,
+                type: value.type,
+                mode: value.mode,
+                reason: value.reason,
+                requestedBy: principal.subject || principal.type
+            });
+            const processed = (await processDataRequest(created)) || created;
+
+            return createJsonResponse(202, {
+                success: true,
+                statusUrl: `/api/manage/data-requests/${processed.rowKey}`,
+                request: await toRequestView(processed)
+            });
+        } catch (error) {
+            context.error('Error recording data request:', error);
+            return createJsonResponse(500, {
+                success: false,
+                error: 'Failed to record data request'
+            });
+        }
+    }, { headers: createCorsHeaders })
+});
+
+// Status of a data request - completed exports include the export document
+app.http('adminGetDataRequest', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'manage/data-requests/{requestId}',
+    handler: withAuth([ROLES.ADMIN], async (request, context) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        const requestId = request.params.requestId;
+
+        try {
+            const dataRequest = await getDataRequest(requestId);
+            if (!dataRequest) {
+                return createJsonResponse(404, {
+                    success: false,
+                    error: `Data request ${requestId} not found`
+                });
+            }
+
+            return createJsonResponse(200, {
+                success: true,
+                request: dataRequest
+            });
+        } catch (error) {
+            context.error(`Error getting data request ${requestId}:`, error);
+            return createJsonResponse(500, {
+                success: false,
+                error: 'Failed to get data request'
+            });
+        }
+    }, { headers: createCorsHeaders })
+});
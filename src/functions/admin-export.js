@@ -0,0 +1,86 @@
+const { app } = require('@azure/functions');
+const Joi = require('joi');
+const { DATASETS, FORMATS, streamExport } = require('../services/responseExport');
+const { ROLES, withAuth } = require('../middleware/auth');
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// Validation schema for the export options (query string)
+const exportQuerySchema = Joi.object({
+    dataset: Joi.string().valid(...DATASETS).default('responses'),
+    format: Joi.string().valid(...FORMATS).default('csv'),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    tag: Joi.string().max(100).optional()
+});
+
+// Helper function to create CORS headers
+function createCorsHeaders() {
+    return {
+        'Access-Control-Allow-Origin': process.env.ADMIN_DOMAIN || process.env.FRONTEND_DOMAIN || '*',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-api-key',
+        'Access-Control-Expose-Headers': 'Content-Disposition',
+        'Access-Control-Max-Age': '86400'
+    };
+}
+
+// Helper function to encode text chunks for the response body
+async function* toBuffers(chunks, context) {
+    try {
+        for await (const chunk of chunks) {
+            yield Buffer.from(chunk, 'utf8');
+        }
+    } catch (error) {
+        // Headers are already sent, so the file simply ends early
+        context.error('Export failed part way through:', error);
+        throw error;
+    }
+}
+
+// Streams survey responses or subscriber answers as CSV (spreadsheets) or NDJSON (pipelines)
+app.http('adminExport', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'manage/export',
+    handler: withAuth([ROLES.ADMIN], async (request, context) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        const query = Object.fromEntries(request.query.entries());
+
+        const { error, value } = exportQuerySchema.validate(query, { abortEarly: false });
+        if (error) {
+            return {
+                status: 400,
+                headers: { ...createCorsHeaders(), 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    success: false,
+                    error: 'Invalid export options',
+                    details: error.details.map(detail => ({
+                        field: detail.path.join('.'),
+                        message: detail.message
+                    }))
+                })
+            };
+        }
+
+        const filename = `survey-${value.dataset}-${new Date().toISOString().substring(0, 10)}.${value.format}`;
+        context.log(`Exporting ${value.dataset} as ${value.format}`);
+
+        return {
+            status: 200,
+            headers: {
+                ...createCorsHeaders(),
+                'Content-Type': CONTENT_TYPES[value.format],
+                'Content-Disposition': `attachment; filename="${filename}"`
+            },
+            body: toBuffers(streamExport(value), context)
+        };
+    }, { headers: createCorsHeaders })
+});
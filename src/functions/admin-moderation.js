@@ -0,0 +1,140 @@
+const { app } = require('@azure/functions');
+const Joi = require('joi');
+const { MODERATION_STATUS, listModerationQueue, reviewFreeText } = require('../services/freeTextModeration');
+const { ROLES, withAuth } = require('../middleware/auth');
+
+// Validation schema for the review queue (query string)
+const queueQuerySchema = Joi.object({
+    status: Joi.string().valid(...Object.values(MODERATION_STATUS)).default(MODERATION_STATUS.PENDING),
+    pageSize: Joi.number().integer().min(1).max(100).default(50),
+    continuationToken: Joi.string().max(2000).optional()
+});
+
+// Validation schema for a review - freeText optionally replaces redacted answers by column
+const reviewSchema = Joi.object({
+    status: Joi.string().valid(MODERATION_STATUS.APPROVED, MODERATION_STATUS.REJECTED).required(),
+    freeText: Joi.object().pattern(/^Q\d+_other$/, Joi.string().max(500).allow('')).optional()
+});
+
+// Helper function to create CORS headers
+function createCorsHeaders() {
+    return {
+        'Access-Control-Allow-Origin': process.env.ADMIN_DOMAIN || process.env.FRONTEND_DOMAIN || '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-api-key',
+        'Access-Control-Max-Age': '86400',
+        'Content-Type': 'application/json'
+    };
+}
+
+// Helper function to create a JSON response
+function createJsonResponse(status, body) {
+    return {
+        status,
+        headers: createCorsHeaders(),
+        body: JSON.stringify(body)
+    };
+}
+
+// Free-text answers by moderation status - pending ones wait for review before they
+// appear in exports
+app.http('adminListModeration', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'manage/moderation',
+    handler: withAuth([ROLES.ADMIN], async (request, context) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        const query = Object.fromEntries(request.query.entries());
+
+        const { error, value } = queueQuerySchema.validate(query);
+        if (error) {
+            return createJsonResponse(400, {
+                success: false,
+                error: 'Invalid filters',
+                details: error.details[0].message
+            });
+        }
+
+        try {
+            const page = await listModerationQueue(value);
+
+            return createJsonResponse(200, {
+                success: true,
+                status: value.status,
+                count: page.responses.length,
+                responses: page.responses,
+                continuationToken: page.continuationToken
+            });
+        } catch (error) {
+            context.error('Error listing free-text moderation:', error);
+            return createJsonResponse(500, {
+                success: false,
+                error: 'Failed to list free-text moderation'
+            });
+        }
+    }, { headers: createCorsHeaders })
+});
+
+// Approve or reject a response's free text, optionally correcting the redacted copy
+app.http('adminReviewFreeText', {
+    methods: ['POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'manage/moderation/{responseId}',
+    handler: withAuth([ROLES.ADMIN], async (request, context, principal) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        let requestBody;
+        try {
+            requestBody = await request.json();
+        } catch (parseError) {
+            return createJsonResponse(400, {
+                success: false,
+                error: 'Invalid JSON in request body'
+            });
+        }
+
+        const { error, value } = reviewSchema.validate(requestBody);
+        if (error) {
+            return createJsonResponse(400, {
+                success: false,
+                error: 'Validation failed',
+                details: error.details[0].message
+            });
+        }
+
+        const responseId = request.params.responseId;
+
+        try {
+            const moderation = await reviewFreeText(responseId, {
+                ...value,
+                reviewedBy: principal.subject || principal.type
+            });
+
+            return createJsonResponse(200, {
+                success: true,
+                responseId,
+                moderation
+            });
+        } catch (error) {
+            if (error.statusCode >= 400 && error.statusCode < 500) {
+                return createJsonResponse(error.statusCode, {
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            context.error(`Error reviewing free text of survey response ${responseId}:`, error);
+            return createJsonResponse(500, {
+                success: false,
+                error: 'Failed to review free text'
+            });
+        }
+    }, { headers: createCorsHeaders })
+});
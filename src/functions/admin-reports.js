@@ -0,0 +1,91 @@
+const { app } = require('@azure/functions');
+const { ensureTablesExist } = require('../services/azureStorage');
+const { getOtherAnswerReport, refreshOtherAnswerReport } = require('../services/otherAnswerReport');
+const { ROLES, withAuth } = require('../middleware/auth');
+
+// Helper function to create CORS headers
+function createCorsHeaders() {
+    return {
+        'Access-Control-Allow-Origin': process.env.ADMIN_DOMAIN || process.env.FRONTEND_DOMAIN || '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-api-key',
+        'Access-Control-Max-Age': '86400',
+        'Content-Type': 'application/json'
+    };
+}
+
+// Helper function to create a JSON response
+function createJsonResponse(status, body) {
+    return {
+        status,
+        headers: createCorsHeaders(),
+        body: JSON.stringify(body)
+    };
+}
+
+// Latest "other" answer clustering report - candidate role_*/mod_* options ranked by
+// respondents. Built weekly by the otherAnswerReport timer.
+app.http('adminOtherAnswerReport', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'manage/reports/other-answers',
+    handler: withAuth([ROLES.ADMIN], async (request, context) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        try {
+            await ensureTablesExist();
+
+            const report = await getOtherAnswerReport();
+
+            if (!report) {
+                return createJsonResponse(404, {
+                    success: false,
+                    error: 'The other answer report has not been built yet - POST manage/reports/other-answers/rebuild to build it'
+                });
+            }
+
+            return createJsonResponse(200, {
+                success: true,
+                ...report
+            });
+        } catch (error) {
+            context.error('Error getting other answer report:', error);
+            return createJsonResponse(500, {
+                success: false,
+                error: 'Failed to get other answer report'
+            });
+        }
+    }, { headers: createCorsHeaders })
+});
+
+// Rebuild the report now instead of waiting for the otherAnswerReport timer
+app.http('adminRebuildOtherAnswerReport', {
+    methods: ['POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'manage/reports/other-answers/rebuild',
+    handler: withAuth([ROLES.ADMIN], async (request, context) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        try {
+            await ensureTablesExist();
+
+            const report = await refreshOtherAnswerReport();
+            return createJsonResponse(200, {
+                success: true,
+                ...report
+            });
+        } catch (error) {
+            context.error('Error rebuilding other answer report:', error);
+            return createJsonResponse(500, {
+                success: false,
+                error: 'Failed to rebuild other answer report'
+            });
+        }
+    }, { headers: createCorsHeaders })
+});
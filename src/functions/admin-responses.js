@@ -0,0 +1,119 @@
+const { app } = require('@azure/functions');
+const Joi = require('joi');
+const { listSurveyResponses, getSurveyResponseDetail } = require('../services/responseAdmin');
+const { ROLES, withAuth } = require('../middleware/auth');
+
+// Validation schema for the list filters (query string)
+const listQuerySchema = Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    kitSyncStatus: Joi.string().valid('pending', 'success', 'failed', 'dead', 'no_consent', 'unverified', 'unsubscribed', 'bounced').optional(),
+    profession: Joi.string().max(100).optional(),
+    setting: Joi.string().max(100).optional(),
+    tag: Joi.string().max(100).optional(),
+    pageSize: Joi.number().integer().min(1).max(100).default(50),
+    continuationToken: Joi.string().max(2000).optional()
+});
+
+// Helper function to create CORS headers
+function createCorsHeaders() {
+    return {
+        'Access-Control-Allow-Origin': process.env.ADMIN_DOMAIN || process.env.FRONTEND_DOMAIN || '*',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-api-key',
+        'Access-Control-Max-Age': '86400',
+        'Content-Type': 'application/json'
+    };
+}
+
+// Helper function to create a JSON response
+function createJsonResponse(status, body) {
+    return {
+        status,
+        headers: createCorsHeaders(),
+        body: JSON.stringify(body)
+    };
+}
+
+// Routes live under manage/ because the Functions host reserves admin/ for its own API.
+// Admin role required (see src/middleware/auth.js)
+app.http('adminListResponses', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'manage/responses',
+    handler: withAuth([ROLES.ADMIN], async (request, context) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        const query = Object.fromEntries(request.query.entries());
+
+        const { error, value } = listQuerySchema.validate(query, { abortEarly: false });
+        if (error) {
+            return createJsonResponse(400, {
+                success: false,
+                error: 'Invalid filters',
+                details: error.details.map(detail => ({
+                    field: detail.path.join('.'),
+                    message: detail.message
+                }))
+            });
+        }
+
+        const { pageSize, continuationToken, ...filters } = value;
+
+        try {
+            const page = await listSurveyResponses(filters, { pageSize, continuationToken });
+
+            return createJsonResponse(200, {
+                success: true,
+                count: page.responses.length,
+                scanned: page.scanned,
+                responses: page.responses,
+                continuationToken: page.continuationToken
+            });
+        } catch (error) {
+            context.error('Error listing survey responses:', error);
+            return createJsonResponse(500, {
+                success: false,
+                error: 'Failed to list survey responses'
+            });
+        }
+    }, { headers: createCorsHeaders })
+});
+
+app.http('adminGetResponse', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'manage/responses/{responseId}',
+    handler: withAuth([ROLES.ADMIN], async (request, context) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        const responseId = request.params.responseId;
+
+        try {
+            const response = await getSurveyResponseDetail(responseId);
+            if (!response) {
+                return createJsonResponse(404, {
+                    success: false,
+                    error: `Survey response ${responseId} not found`
+                });
+            }
+
+            return createJsonResponse(200, {
+                success: true,
+                response
+            });
+        } catch (error) {
+            context.error(`Error getting survey response ${responseId}:`, error);
+            return createJsonResponse(500, {
+                success: false,
+                error: 'Failed to get survey response'
+            });
+        }
+    }, { headers: createCorsHeaders })
+});
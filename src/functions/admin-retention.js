@@ -0,0 +1,80 @@
+const { app } = require('@azure/functions');
+const Joi = require('joi');
+const { ensureTablesExist } = require('../services/azureStorage');
+const { runRetention } = require('../services/retention');
+const { ROLES, withAuth } = require('../middleware/auth');
+
+// Validation schema for a manual retention run - dry run unless asked otherwise
+const retentionRunSchema = Joi.object({
+    dryRun: Joi.boolean().default(true)
+});
+
+// Helper function to create CORS headers
+function createCorsHeaders() {
+    return {
+        'Access-Control-Allow-Origin': process.env.ADMIN_DOMAIN || process.env.FRONTEND_DOMAIN || '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-api-key',
+        'Access-Control-Max-Age': '86400',
+        'Content-Type': 'application/json'
+    };
+}
+
+// Helper function to create a JSON response
+function createJsonResponse(status, body) {
+    return {
+        status,
+        headers: createCorsHeaders(),
+        body: JSON.stringify(body)
+    };
+}
+
+// Run the retention policies now, e.g. to preview them with the default dry run
+app.http('adminRunRetention', {
+    methods: ['POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'manage/retention/run',
+    handler: withAuth([ROLES.ADMIN], async (request, context) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        let requestBody;
+        try {
+            const text = await request.text();
+            requestBody = text ? JSON.parse(text) : {};
+        } catch (parseError) {
+            return createJsonResponse(400, {
+                success: false,
+                error: 'Invalid JSON in request body'
+            });
+        }
+
+        const { error, value } = retentionRunSchema.validate(requestBody);
+        if (error) {
+            return createJsonResponse(400, {
+                success: false,
+                error: 'Validation failed',
+                details: error.details[0].message
+            });
+        }
+
+        try {
+            await ensureTablesExist();
+
+            const report = await runRetention({ dryRun: value.dryRun });
+            return createJsonResponse(200, {
+                success: true,
+                ...report
+            });
+        } catch (error) {
+            context.error('Error running retention policies:', error);
+            return createJsonResponse(500, {
+                success: false,
+                error: 'Failed to run retention policies',
+                message: error.message
+            });
+        }
+    }, { headers: createCorsHeaders })
+});
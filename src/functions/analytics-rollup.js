@@ -0,0 +1,21 @@
+const { app } = require('@azure/functions');
+const { ensureTablesExist } = require('../services/azureStorage');
+const { rebuildAnalytics } = require('../services/surveyAnalytics');
+
+// Hourly rebuild of the daily survey analytics rollups read by GET manage/analytics
+app.timer('analyticsRollup', {
+    schedule: process.env.ANALYTICS_ROLLUP_SCHEDULE || '0 0 * * * *',
+    handler: async (myTimer, context) => {
+        context.log('Survey analytics rollup triggered');
+
+        try {
+            await ensureTablesExist();
+
+            const result = await rebuildAnalytics();
+            context.log('Survey analytics rollup result:', result);
+        } catch (error) {
+            context.error('Survey analytics rollup failed:', error);
+            throw error;
+        }
+    }
+});
@@ -0,0 +1,21 @@
+const { app } = require('@azure/functions');
+const { ensureTablesExist } = require('../services/azureStorage');
+const { drainDataRequests, purgeExpiredExports } = require('../services/dataRequests');
+
+// Retries data-subject requests that could not finish when they were made, and drops
+// export documents past their retention
+app.timer('dataRequestWorker', {
+    schedule: process.env.DATA_REQUEST_SCHEDULE || '0 */5 * * * *',
+    handler: async (myTimer, context) => {
+        try {
+            await ensureTablesExist();
+
+            const summary = await drainDataRequests();
+            const purged = await purgeExpiredExports();
+            context.log('Data request worker completed:', { ...summary, exportsPurged: purged });
+        } catch (error) {
+            context.error('Data request worker failed:', error);
+            throw error;
+        }
+    }
+});
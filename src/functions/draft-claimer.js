@@ -0,0 +1,21 @@
+const { app } = require('@azure/functions');
+const { ensureTablesExist } = require('../services/azureStorage');
+const { claimRegisteredDrafts, purgeExpiredDrafts } = require('../services/surveyDrafts');
+
+// Merges pending drafts whose subscriber has registered since, and removes expired drafts
+// (drafts for auto-provisioned subscribers are merged by subscribers/verify)
+app.timer('draftClaimer', {
+    schedule: process.env.DRAFT_CLAIMER_SCHEDULE || '0 */15 * * * *',
+    handler: async (myTimer, context) => {
+        try {
+            await ensureTablesExist();
+
+            const { checked, claimed } = await claimRegisteredDrafts();
+            const removed = await purgeExpiredDrafts();
+            context.log(`Draft claimer merged ${claimed} of ${checked} pending drafts, removed ${removed} expired drafts`);
+        } catch (error) {
+            context.error('Draft claimer failed:', error);
+            throw error;
+        }
+    }
+});
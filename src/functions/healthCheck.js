@@ -36,7 +36,7 @@ app.http('healthCheck', {
                 })
             };
         } catch (error) {
-            context.log.error('Error:', error);
+            context.error('Error:', error);
             return {
                 status: 500,
                 headers: {
@@ -0,0 +1,19 @@
+const { app } = require('@azure/functions');
+const { ensureTablesExist } = require('../services/azureStorage');
+const { purgeExpiredIdempotencyKeys } = require('../middleware/idempotency');
+
+// Daily removal of idempotency records whose replay window has passed
+app.timer('idempotencyCleanup', {
+    schedule: process.env.IDEMPOTENCY_CLEANUP_SCHEDULE || '0 45 3 * * *',
+    handler: async (myTimer, context) => {
+        try {
+            await ensureTablesExist();
+
+            const removed = await purgeExpiredIdempotencyKeys();
+            context.log(`Removed ${removed} expired idempotency records`);
+        } catch (error) {
+            context.error('Idempotency cleanup failed:', error);
+            throw error;
+        }
+    }
+});
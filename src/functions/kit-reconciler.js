@@ -0,0 +1,23 @@
+const { app } = require('@azure/functions');
+const { ensureTablesExist } = require('../services/azureStorage');
+const { runKitReconciliation } = require('../services/kitReconciler');
+
+// Nightly comparison of locally stored tags against Kit.com subscriber state.
+// Fires every 15 minutes overnight so a large run can resume where the last invocation stopped;
+// once the day's run has completed the remaining invocations return immediately.
+app.timer('kitReconciler', {
+    schedule: process.env.KIT_RECONCILE_SCHEDULE || '0 */15 1-5 * * *',
+    handler: async (myTimer, context) => {
+        context.log('Kit.com reconciliation triggered');
+
+        try {
+            await ensureTablesExist();
+
+            const result = await runKitReconciliation();
+            context.log('Kit.com reconciliation result:', result);
+        } catch (error) {
+            context.error('Kit.com reconciliation failed:', error);
+            throw error;
+        }
+    }
+});
@@ -0,0 +1,21 @@
+const { app } = require('@azure/functions');
+const { ensureTablesExist } = require('../services/azureStorage');
+const { drainKitSyncQueue } = require('../services/kitSyncQueue');
+
+// Drains the Kit.com sync outbox, retrying failed jobs with exponential backoff
+app.timer('kitSyncWorker', {
+    schedule: process.env.KIT_SYNC_SCHEDULE || '0 */5 * * * *',
+    handler: async (myTimer, context) => {
+        context.log('Kit.com sync worker triggered');
+
+        try {
+            await ensureTablesExist();
+
+            const summary = await drainKitSyncQueue();
+            context.log('Kit.com sync worker completed:', summary);
+        } catch (error) {
+            context.error('Kit.com sync worker failed:', error);
+            throw error;
+        }
+    }
+});
@@ -0,0 +1,77 @@
+const { app } = require('@azure/functions');
+const { ensureTablesExist } = require('../services/azureStorage');
+const { verifyKitWebhook, handleKitWebhook } = require('../services/kitWebhooks');
+
+// Helper function to create a JSON response (called server to server, so no CORS)
+function createJsonResponse(status, body) {
+    return {
+        status,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    };
+}
+
+// Kit.com webhook receiver - register one webhook per event, e.g.
+// /api/kit/webhooks/subscriber_unsubscribe?secret=<KIT_WEBHOOK_SECRET>. Verified by the
+// shared secret instead of API keys, which Kit.com cannot send.
+app.http('kitWebhook', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'kit/webhooks/{event}',
+    handler: async (request, context) => {
+        const rawBody = await request.text();
+
+        try {
+            verifyKitWebhook(rawBody, {
+                secret: request.query.get('secret'),
+                signature: request.headers.get('x-kit-signature')
+            });
+        } catch (error) {
+            if (error.statusCode === 503) {
+                context.error('Kit.com webhook received but KIT_WEBHOOK_SECRET is not set');
+            } else {
+                context.warn(`Rejected Kit.com ${request.params.event} webhook: ${error.message}`);
+            }
+            return createJsonResponse(error.statusCode, {
+                success: false,
+                error: error.message
+            });
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(rawBody);
+        } catch (parseError) {
+            return createJsonResponse(400, {
+                success: false,
+                error: 'Invalid JSON in request body'
+            });
+        }
+
+        try {
+            await ensureTablesExist();
+
+            const result = await handleKitWebhook(request.params.event, payload, {
+                tagName: request.query.get('tag')
+            });
+            return createJsonResponse(200, {
+                success: true,
+                ...result
+            });
+        } catch (error) {
+            if (error.statusCode === 400) {
+                return createJsonResponse(400, {
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            // Kit.com retries failed deliveries
+            context.error(`Error handling Kit.com ${request.params.event} webhook:`, error);
+            return createJsonResponse(500, {
+                success: false,
+                error: 'Failed to handle Kit.com webhook'
+            });
+        }
+    }
+});
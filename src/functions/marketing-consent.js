@@ -0,0 +1,176 @@
+const { app } = require('@azure/functions');
+const Joi = require('joi');
+const { getRepositories } = require('../repositories');
+const { ensureTablesExist, getSubscriberByEmail, getLocalSubscriberTags } = require('../services/azureStorage');
+const { getConsentHistory, withdrawConsent } = require('../services/marketingConsent');
+const { enqueueKitSyncJob, processKitSyncJob } = require('../services/kitSyncQueue');
+const { getAllQuestions, isKitSyncableTag } = require('../survey/definition');
+const { normalizeEmail } = require('../utils/validation');
+const { ROLES, canAccessSubscriber, createAuthError, createAuthErrorResponse, withAuth } = require('../middleware/auth');
+
+// Consent belongs to the respondent - subscriber tokens reach their own email only
+const ROUTE_ROLES = [ROLES.SUBSCRIBER, ROLES.SERVICE];
+
+// Validation schema for a consent withdrawal
+const withdrawalSchema = Joi.object({
+    email: Joi.string().trim().lowercase().email().required(),
+    source: Joi.string().trim().max(50).default('withdrawal')
+});
+
+// Helper function to create CORS headers
+function createCorsHeaders() {
+    return {
+        'Access-Control-Allow-Origin': process.env.FRONTEND_DOMAIN || '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-api-key, x-subscriber-token',
+        'Access-Control-Max-Age': '86400',
+        'Content-Type': 'application/json'
+    };
+}
+
+// Helper function to create a JSON response
+function createJsonResponse(status, body) {
+    return {
+        status,
+        headers: createCorsHeaders(),
+        body: JSON.stringify(body)
+    };
+}
+
+// Helper function to group the survey tags stored for an email by question, the way
+// sync jobs remove tags
+async function getSyncedTagsByQuestion(email) {
+    const subscriber = await getSubscriberByEmail(email);
+    const userTags = await getRepositories().userTags.listForEmail(email);
+    const tags = new Set([
+        ...(subscriber ? getLocalSubscriberTags(subscriber) : []),
+        ...userTags.map(entity => entity.tagName)
+    ]);
+
+    const tagsByQuestion = {};
+    for (const question of getAllQuestions()) {
+        const questionTags = question.options.filter(option => tags.has(option) && isKitSyncableTag(option));
+        if (questionTags.length > 0) {
+            tagsByQuestion[question.id] = questionTags;
+        }
+    }
+    return tagsByQuestion;
+}
+
+// Current marketing consent and its full history
+app.http('getMarketingConsent', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'consent/{email}',
+    handler: withAuth(ROUTE_ROLES, async (request, context, principal) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        const { error, value: email } = Joi.string().trim().lowercase().email().validate(request.params.email);
+        if (error) {
+            return createJsonResponse(400, {
+                success: false,
+                error: 'A valid email is required'
+            });
+        }
+        if (!canAccessSubscriber(principal, email)) {
+            return createAuthErrorResponse(createAuthError(403, 'Subscriber token does not match this email'), createCorsHeaders());
+        }
+
+        try {
+            await ensureTablesExist();
+
+            const history = await getConsentHistory(email);
+            const current = history.length > 0 ? history[history.length - 1] : null;
+            return createJsonResponse(200, {
+                success: true,
+                email: normalizeEmail(email),
+                marketingConsent: current ? current.granted : false,
+                current,
+                history
+            });
+        } catch (error) {
+            context.error('Error reading marketing consent:', error);
+            return createJsonResponse(500, {
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }, { headers: createCorsHeaders })
+});
+
+// Withdraw marketing consent. The withdrawal is recorded first, so nothing is tagged
+// again, then the survey tags are removed from Kit.com through the sync outbox - a
+// failed removal is retried by the kitSyncWorker timer.
+app.http('withdrawMarketingConsent', {
+    methods: ['POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'consent/withdraw',
+    handler: withAuth(ROUTE_ROLES, async (request, context, principal) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        let requestBody;
+        try {
+            requestBody = await request.json();
+        } catch (parseError) {
+            return createJsonResponse(400, {
+                success: false,
+                error: 'Invalid JSON in request body'
+            });
+        }
+
+        const { error, value } = withdrawalSchema.validate(requestBody);
+        if (error) {
+            return createJsonResponse(400, {
+                success: false,
+                error: 'Validation failed',
+                details: error.details[0].message
+            });
+        }
+        if (!canAccessSubscriber(principal, value.email)) {
+            return createAuthErrorResponse(createAuthError(403, 'Subscriber token does not match this email'), createCorsHeaders());
+        }
+
+        try {
+            await ensureTablesExist();
+
+            const consent = await withdrawConsent(value.email, {
+                source: value.source,
+                recordedBy: principal.subject || principal.type
+            });
+
+            const removeTagsByQuestion = await getSyncedTagsByQuestion(value.email);
+            let kitSyncJob = null;
+            let kitSyncStatus = 'skipped';
+            if (Object.keys(removeTagsByQuestion).length > 0) {
+                kitSyncJob = await enqueueKitSyncJob({ email: value.email, removeTagsByQuestion });
+                try {
+                    kitSyncStatus = (await processKitSyncJob(kitSyncJob)).status;
+                } catch (kitSyncError) {
+                    context.warn('Kit.com tag removal failed, left queued for retry:', kitSyncError);
+                    kitSyncStatus = 'pending';
+                }
+            }
+
+            return createJsonResponse(200, {
+                success: true,
+                email: value.email,
+                consent,
+                kitTagsToRemove: [].concat(...Object.values(removeTagsByQuestion)),
+                kitSyncStatus,
+                kitSyncJobId: kitSyncJob ? kitSyncJob.jobId : null
+            });
+        } catch (error) {
+            context.error('Error withdrawing marketing consent:', error);
+            return createJsonResponse(500, {
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }, { headers: createCorsHeaders })
+});
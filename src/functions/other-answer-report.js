@@ -0,0 +1,24 @@
+const { app } = require('@azure/functions');
+const { ensureTablesExist } = require('../services/azureStorage');
+const { refreshOtherAnswerReport } = require('../services/otherAnswerReport');
+
+// Weekly rebuild of the "other" answer clustering report read by GET manage/reports/other-answers
+app.timer('otherAnswerReport', {
+    schedule: process.env.OTHER_ANSWER_REPORT_SCHEDULE || '0 0 4 * * 1',
+    handler: async (myTimer, context) => {
+        context.log('Other answer report triggered');
+
+        try {
+            await ensureTablesExist();
+
+            const report = await refreshOtherAnswerReport();
+            context.log('Other answer report built:', {
+                generatedAt: report.generatedAt,
+                respondentsScanned: report.respondentsScanned
+            });
+        } catch (error) {
+            context.error('Other answer report failed:', error);
+            throw error;
+        }
+    }
+});
@@ -0,0 +1,19 @@
+const { app } = require('@azure/functions');
+const { ensureTablesExist } = require('../services/azureStorage');
+const { purgeExpiredRateLimits } = require('../middleware/rateLimit');
+
+// Hourly removal of rate limit counters whose windows have ended
+app.timer('rateLimitCleanup', {
+    schedule: process.env.RATE_LIMIT_CLEANUP_SCHEDULE || '0 30 * * * *',
+    handler: async (myTimer, context) => {
+        try {
+            await ensureTablesExist();
+
+            const removed = await purgeExpiredRateLimits();
+            context.log(`Removed ${removed} expired rate limit counters`);
+        } catch (error) {
+            context.error('Rate limit cleanup failed:', error);
+            throw error;
+        }
+    }
+});
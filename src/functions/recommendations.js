@@ -0,0 +1,75 @@
+const { app } = require('@azure/functions');
+const { getRepositories } = require('../repositories');
+const { getStoredSurveyVersion } = require('../survey/definition');
+const { computeRecommendations, getToolCatalog } = require('../recommendations/engine');
+const { ROLES, canAccessSubscriber, createAuthError, createAuthErrorResponse, withAuth } = require('../middleware/auth');
+
+// Helper function to create CORS headers
+function createCorsHeaders() {
+    return {
+        'Access-Control-Allow-Origin': process.env.FRONTEND_DOMAIN || '*',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-api-key, x-subscriber-token',
+        'Access-Control-Max-Age': '86400',
+        'Content-Type': 'application/json'
+    };
+}
+
+// Helper function to create a JSON response
+function createJsonResponse(status, body) {
+    return {
+        status,
+        headers: createCorsHeaders(),
+        body: JSON.stringify(body)
+    };
+}
+
+// A subscriber's current recommendations, for the frontend and email templates.
+// Ranked from their latest survey response against the current tool catalog, so catalog
+// changes show up without resubmitting (the row keeps the list returned at submission).
+app.http('getRecommendations', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'recommendations/{email}',
+    handler: withAuth([ROLES.SUBSCRIBER, ROLES.SERVICE], async (request, context, principal) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        const email = request.params.email;
+
+        // Subscriber tokens only reach their own email
+        if (!canAccessSubscriber(principal, email)) {
+            return createAuthErrorResponse(createAuthError(403, 'Subscriber token does not match this email'), createCorsHeaders());
+        }
+
+        try {
+            const response = await getRepositories().surveyResponses.findLatestForEmail(email);
+            if (!response) {
+                return createJsonResponse(404, {
+                    success: false,
+                    error: 'No survey response found for this email'
+                });
+            }
+
+            const surveyVersion = getStoredSurveyVersion(response);
+            const recommendations = computeRecommendations(JSON.parse(response.surveyData || '{}'), surveyVersion);
+
+            return createJsonResponse(200, {
+                success: true,
+                email: response.email,
+                surveyVersion,
+                surveyCompletedAt: response.completedAt,
+                catalogVersion: getToolCatalog().version,
+                recommendations
+            });
+        } catch (error) {
+            context.error('Error getting recommendations:', error);
+            return createJsonResponse(500, {
+                success: false,
+                error: 'Failed to get recommendations'
+            });
+        }
+    }, { headers: createCorsHeaders })
+});
@@ -0,0 +1,20 @@
+const { app } = require('@azure/functions');
+const { ensureTablesExist } = require('../services/azureStorage');
+const { runRetention } = require('../services/retention');
+
+// Daily retention run over survey responses. RETENTION_DRY_RUN=true only logs what
+// the policies would change.
+app.timer('retentionJob', {
+    schedule: process.env.RETENTION_SCHEDULE || '0 30 2 * * *',
+    handler: async (myTimer, context) => {
+        try {
+            await ensureTablesExist();
+
+            const report = await runRetention({ dryRun: process.env.RETENTION_DRY_RUN === 'true' });
+            context.log('Retention run completed:', JSON.stringify(report));
+        } catch (error) {
+            context.error('Retention run failed:', error);
+            throw error;
+        }
+    }
+});
@@ -0,0 +1,99 @@
+const { app } = require('@azure/functions');
+const Joi = require('joi');
+const { getSubscriberByEmail } = require('../services/azureStorage');
+const { issueSubscriberToken } = require('../services/subscriberTokens');
+const { createVerificationLink } = require('../services/subscriberProvisioning');
+const { ROLES, withAuth } = require('../middleware/auth');
+
+// Validation schema for a token request
+const tokenRequestSchema = Joi.object({
+    email: Joi.string().trim().lowercase().email().required(),
+    ttlHours: Joi.number().min(0.25).max(720).optional(),
+    purpose: Joi.string().valid('access', 'verify').default('access')
+});
+
+// Helper function to create CORS headers
+function createCorsHeaders() {
+    return {
+        'Access-Control-Allow-Origin': process.env.FRONTEND_DOMAIN || '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-api-key',
+        'Access-Control-Max-Age': '86400',
+        'Content-Type': 'application/json'
+    };
+}
+
+// Helper function to create a JSON response
+function createJsonResponse(status, body) {
+    return {
+        status,
+        headers: createCorsHeaders(),
+        body: JSON.stringify(body)
+    };
+}
+
+// Issues a subscriber access token for the onboarding link emailed through Kit.com.
+// The frontend sends it back as x-subscriber-token on the self-service routes.
+// With purpose 'verify' it issues the email verification link for a subscriber
+// created from a survey submission instead.
+app.http('issueSubscriberToken', {
+    methods: ['POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'subscriber-tokens',
+    handler: withAuth([ROLES.SERVICE], async (request, context) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        let requestBody;
+        try {
+            requestBody = await request.json();
+        } catch (parseError) {
+            return createJsonResponse(400, {
+                success: false,
+                error: 'Invalid JSON in request body'
+            });
+        }
+
+        const { error, value } = tokenRequestSchema.validate(requestBody, { abortEarly: false });
+        if (error) {
+            return createJsonResponse(400, {
+                success: false,
+                error: 'Validation failed',
+                details: error.details.map(detail => ({
+                    field: detail.path.join('.'),
+                    message: detail.message
+                }))
+            });
+        }
+
+        try {
+            const subscriber = await getSubscriberByEmail(value.email);
+            if (!subscriber) {
+                return createJsonResponse(404, {
+                    success: false,
+                    error: 'Subscriber not found'
+                });
+            }
+
+            const options = value.ttlHours ? { ttlHours: value.ttlHours } : undefined;
+            const issued = value.purpose === 'verify'
+                ? createVerificationLink(value.email, options)
+                : issueSubscriberToken(value.email, options);
+            context.log(`Issued ${value.purpose} token for ${value.email.substring(0, 3)}*** expiring ${issued.expiresAt}`);
+
+            return createJsonResponse(200, {
+                success: true,
+                purpose: value.purpose,
+                ...issued
+            });
+        } catch (error) {
+            context.error('Error issuing subscriber token:', error);
+            return createJsonResponse(500, {
+                success: false,
+                error: 'Failed to issue subscriber token'
+            });
+        }
+    }, { headers: createCorsHeaders })
+});
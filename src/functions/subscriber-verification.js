@@ -0,0 +1,90 @@
+const { app } = require('@azure/functions');
+const Joi = require('joi');
+const { verifySubscriberEmail } = require('../services/subscriberProvisioning');
+const { issueSubscriberToken } = require('../services/subscriberTokens');
+const { ROLES, withAuth } = require('../middleware/auth');
+
+// Validation schema for a verification request
+const verificationSchema = Joi.object({
+    token: Joi.string().max(2000).required()
+});
+
+// Helper function to create CORS headers
+function createCorsHeaders() {
+    return {
+        'Access-Control-Allow-Origin': process.env.FRONTEND_DOMAIN || '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-api-key',
+        'Access-Control-Max-Age': '86400',
+        'Content-Type': 'application/json'
+    };
+}
+
+// Helper function to create a JSON response
+function createJsonResponse(status, body) {
+    return {
+        status,
+        headers: createCorsHeaders(),
+        body: JSON.stringify(body)
+    };
+}
+
+// Confirms the email of a subscriber created from a survey submission. The frontend's
+// verify page posts the token from the link; the response carries a subscriber access
+// token so the person can carry on without another link.
+app.http('verifySubscriber', {
+    methods: ['POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'subscribers/verify',
+    handler: withAuth([ROLES.FRONTEND, ROLES.SERVICE], async (request, context) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        let requestBody;
+        try {
+            requestBody = await request.json();
+        } catch (parseError) {
+            return createJsonResponse(400, {
+                success: false,
+                error: 'Invalid JSON in request body'
+            });
+        }
+
+        const { error, value } = verificationSchema.validate(requestBody);
+        if (error) {
+            return createJsonResponse(400, {
+                success: false,
+                error: 'Validation failed',
+                details: error.details[0].message
+            });
+        }
+
+        try {
+            const verification = await verifySubscriberEmail(value.token);
+            const access = issueSubscriberToken(verification.email);
+
+            return createJsonResponse(200, {
+                success: true,
+                ...verification,
+                subscriberToken: access.token,
+                subscriberTokenExpiresAt: access.expiresAt
+            });
+        } catch (error) {
+            if (error.statusCode === 401 || error.statusCode === 404) {
+                return createJsonResponse(error.statusCode === 401 ? 400 : 404, {
+                    success: false,
+                    error: error.statusCode === 401 ? 'Invalid verification link' : 'Subscriber not found',
+                    message: error.message
+                });
+            }
+
+            context.error('Error verifying subscriber:', error);
+            return createJsonResponse(500, {
+                success: false,
+                error: 'Failed to verify subscriber'
+            });
+        }
+    }, { headers: createCorsHeaders })
+});
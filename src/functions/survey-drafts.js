@@ -0,0 +1,230 @@
+const { app } = require('@azure/functions');
+const Joi = require('joi');
+const { ensureTablesExist } = require('../services/azureStorage');
+const { describeDraft, getDraft, saveDraftAnswer, claimDraft } = require('../services/surveyDrafts');
+const { resolveSubmissionVersion, getQuestion, buildAnswerSchema } = require('../survey/definition');
+const { ROLES, hasRole, canAccessSubscriber, createAuthError, createAuthErrorResponse, withAuth } = require('../middleware/auth');
+const { getClientIp, enforceRateLimit, createRateLimitResponse } = require('../middleware/rateLimit');
+
+// Visitors answering before they register. The first answer creates the draft and
+// returns its resume token; the frontend sends it back as x-resume-token.
+const ROUTE_ROLES = [ROLES.FRONTEND, ROLES.SUBSCRIBER, ROLES.SERVICE];
+
+// Validation schema for claiming a draft
+const claimSchema = Joi.object({
+    email: Joi.string().trim().lowercase().email().required()
+});
+
+// Helper function to create CORS headers
+function createCorsHeaders() {
+    return {
+        'Access-Control-Allow-Origin': process.env.FRONTEND_DOMAIN || '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-api-key, x-subscriber-token, x-resume-token',
+        'Access-Control-Max-Age': '86400',
+        'Content-Type': 'application/json'
+    };
+}
+
+// Helper function to create a JSON response
+function createJsonResponse(status, body) {
+    return {
+        status,
+        headers: createCorsHeaders(),
+        body: JSON.stringify(body)
+    };
+}
+
+// Helper function to turn a draft service error into a response
+function createDraftErrorResponse(error, context, action) {
+    if (error.statusCode >= 400 && error.statusCode < 500) {
+        return createJsonResponse(error.statusCode, {
+            success: false,
+            error: error.message
+        });
+    }
+
+    context.error(`Error trying to ${action}:`, error);
+    return createJsonResponse(500, {
+        success: false,
+        error: 'Internal server error'
+    });
+}
+
+async function readJsonBody(request) {
+    try {
+        return { body: await request.json() };
+    } catch (parseError) {
+        return {
+            response: createJsonResponse(400, {
+                success: false,
+                error: 'Invalid JSON in request body'
+            })
+        };
+    }
+}
+
+async function enforceDraftRateLimit(request, context) {
+    const limited = await enforceRateLimit('surveyDraft', { ip: getClientIp(request) }, context);
+    return limited ? createRateLimitResponse(limited, createCorsHeaders()) : null;
+}
+
+// Save one answer to a draft, creating the draft when no resume token is sent
+app.http('saveDraftAnswer', {
+    methods: ['POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'survey/drafts/answers',
+    handler: withAuth(ROUTE_ROLES, async (request, context) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        await ensureTablesExist();
+
+        const limited = await enforceDraftRateLimit(request, context);
+        if (limited) {
+            return limited;
+        }
+
+        const { body: requestBody, response: parseErrorResponse } = await readJsonBody(request);
+        if (parseErrorResponse) {
+            return parseErrorResponse;
+        }
+
+        const resumeToken = request.headers.get('x-resume-token');
+        const requestedVersion = requestBody && requestBody.surveyVersion;
+
+        // New drafts must start on a live version; existing drafts keep theirs
+        const surveyVersion = resumeToken ? null : resolveSubmissionVersion(requestedVersion);
+        if (surveyVersion && surveyVersion.error) {
+            return createJsonResponse(400, {
+                success: false,
+                error: 'Validation failed',
+                details: surveyVersion.error
+            });
+        }
+
+        try {
+            const draftVersion = surveyVersion ? surveyVersion.version : (await getDraft(resumeToken)).surveyVersion;
+
+            const answerSchema = Joi.object({
+                questionNumber: Joi.alternatives().try(Joi.string(), Joi.number().integer()).required()
+                    .custom((questionNumber, helpers) => (getQuestion(questionNumber, draftVersion) ? questionNumber : helpers.error('any.invalid'))),
+                answer: Joi.any().required(),
+                otherText: Joi.string().max(500).allow('', null).optional(),
+                surveyVersion: Joi.alternatives().try(Joi.string(), Joi.number()).optional()
+            });
+
+            const { error, value } = answerSchema.validate(requestBody);
+            if (error) {
+                return createJsonResponse(400, {
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details[0].message
+                });
+            }
+
+            // Validate the answer against the question's allowed options
+            const question = getQuestion(value.questionNumber, draftVersion);
+            const answerValidation = buildAnswerSchema(question).validate(value.answer);
+            if (answerValidation.error) {
+                return createJsonResponse(400, {
+                    success: false,
+                    error: 'Validation failed',
+                    details: `Invalid answer for ${question.id}: ${answerValidation.error.details[0].message}`
+                });
+            }
+
+            const saved = await saveDraftAnswer(resumeToken, {
+                questionNumber: value.questionNumber,
+                answer: answerValidation.value,
+                otherText: value.otherText,
+                surveyVersion: requestedVersion ? String(requestedVersion) : draftVersion
+            });
+
+            return createJsonResponse(saved.resumeToken ? 201 : 200, {
+                success: true,
+                ...(saved.resumeToken ? { resumeToken: saved.resumeToken } : {}),
+                draft: describeDraft(saved.draft)
+            });
+        } catch (error) {
+            return createDraftErrorResponse(error, context, 'save draft answer');
+        }
+    }, { headers: createCorsHeaders })
+});
+
+// Answers and progress of a draft, for resuming the survey
+app.http('getSurveyDraft', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'survey/drafts',
+    handler: withAuth(ROUTE_ROLES, async (request, context) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        try {
+            const draft = await getDraft(request.headers.get('x-resume-token'));
+            return createJsonResponse(200, {
+                success: true,
+                draft: describeDraft(draft)
+            });
+        } catch (error) {
+            return createDraftErrorResponse(error, context, 'read draft');
+        }
+    }, { headers: createCorsHeaders })
+});
+
+// Attach an email to a draft. Merging into an existing subscriber needs proof of the
+// email (their subscriber token, or a service caller); otherwise the draft waits for
+// the subscriber to be created and the draftClaimer timer merges it.
+app.http('claimSurveyDraft', {
+    methods: ['POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'survey/drafts/claim',
+    handler: withAuth(ROUTE_ROLES, async (request, context, principal) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: createCorsHeaders() };
+        }
+
+        await ensureTablesExist();
+
+        const limited = await enforceDraftRateLimit(request, context);
+        if (limited) {
+            return limited;
+        }
+
+        const { body: requestBody, response: parseErrorResponse } = await readJsonBody(request);
+        if (parseErrorResponse) {
+            return parseErrorResponse;
+        }
+
+        const { error, value } = claimSchema.validate(requestBody);
+        if (error) {
+            return createJsonResponse(400, {
+                success: false,
+                error: 'Validation failed',
+                details: error.details[0].message
+            });
+        }
+
+        // Subscriber tokens only reach their own email
+        if (!canAccessSubscriber(principal, value.email)) {
+            return createAuthErrorResponse(createAuthError(403, 'Subscriber token does not match this email'), createCorsHeaders());
+        }
+        const verified = principal.type === 'subscriber' || hasRole(principal, [ROLES.SERVICE]);
+
+        try {
+            const claim = await claimDraft(request.headers.get('x-resume-token'), value.email, { verified });
+            return createJsonResponse(claim.status === 'claimed' ? 200 : 202, {
+                success: true,
+                ...claim
+            });
+        } catch (error) {
+            return createDraftErrorResponse(error, context, 'claim draft');
+        }
+    }, { headers: createCorsHeaders })
+});
@@ -1,156 +1,40 @@
 const { app } = require('@azure/functions');
-const { TableClient } = require('@azure/data-tables');
+const { getRepositories } = require('../repositories');
+const { ensureTablesExist, getSubscriberByEmail } = require('../services/azureStorage');
+const {
+    isAutoProvisionEnabled,
+    isSubscriberVerified,
+    provisionSubscriber,
+    deferConsent,
+    getPendingVerificationLink
+} = require('../services/subscriberProvisioning');
+const { normalizeEmail } = require('../utils/validation');
+const { recordConsent, getCurrentConsent } = require('../services/marketingConsent');
+const { buildModerationColumns } = require('../services/freeTextModeration');
+const { claimPendingDrafts } = require('../services/surveyDrafts');
+const { enqueueKitSyncJob, processKitSyncJob } = require('../services/kitSyncQueue');
+const { computeRecommendations } = require('../recommendations/engine');
+const { ROLES, hasRole, canAccessSubscriber, createAuthError, createAuthErrorResponse, withAuth } = require('../middleware/auth');
+const { getClientIp, enforceRateLimit, createRateLimitResponse } = require('../middleware/rateLimit');
+const { beginIdempotentRequest, settleIdempotentRequest } = require('../middleware/idempotency');
 const Joi = require('joi');
-const fetch = require('node-fetch');
-
-// Initialize Table Storage clients
-let surveyResponsesTable;
-let userTagsTable;
-
-function initializeTableClients() {
-    const connectionString = process.env.AZURE_STORAGE_CONNECTION_STRING;
-    
-    if (!connectionString) {
-        throw new Error('AZURE_STORAGE_CONNECTION_STRING environment variable is required');
-    }
-    
-    // Initialize table clients
-    surveyResponsesTable = TableClient.fromConnectionString(
-        connectionString, 
-        process.env.SURVEY_RESPONSES_TABLE_NAME || 'surveyresponses'
-    );
-    
-    userTagsTable = TableClient.fromConnectionString(
-        connectionString, 
-        process.env.USER_TAGS_TABLE_NAME || 'usertags'
-    );
-}
-
-// Helper function to ensure tables exist
-async function ensureTablesExist() {
-    try {
-        await surveyResponsesTable.createTable();
-    } catch (error) {
-        // Table might already exist, ignore the error
-        if (error.statusCode !== 409) {
-            throw error;
-        }
-    }
-    
-    try {
-        await userTagsTable.createTable();
-    } catch (error) {
-        // Table might already exist, ignore the error
-        if (error.statusCode !== 409) {
-            throw error;
-        }
-    }
-}
-
-// Helper function to sync tags to Kit.com
-async function syncTagsToKit(email, selectedTags, context) {
-    const kitApiKey = process.env.KIT_API_KEY;
-    const kitFormId = process.env.KIT_FORM_ID;
-    
-    if (!kitApiKey) {
-        context.log.warn('KIT_API_KEY not configured, skipping Kit.com sync');
-        return {
-            status: 'skipped',
-            message: 'Kit.com API key not configured'
-        };
-    }
-
-    // Filter out custom text tags (role_other, mod_other) - these shouldn't be sent to Kit
-    const validKitTags = selectedTags.filter(tag => !tag.includes('_other'));
-    
-    if (validKitTags.length === 0) {
-        context.log('No valid tags to sync to Kit.com');
-        return {
-            status: 'skipped',
-            message: 'No valid tags to sync'
-        };
-    }
-
-    context.log(`Syncing ${validKitTags.length} tags to Kit.com for:`, email.substring(0, 3) + '***');
-
-    const kitPayload = {
-        email: email,
-        tags: validKitTags.map(tag => ({ name: tag }))
-    };
-
-    // If we have a form ID, add it to associate the subscriber with the form
-    if (kitFormId) {
-        kitPayload.form_id = kitFormId;
-        context.log('Including form ID:', kitFormId);
-    }
-
-    try {
-        const response = await fetch('https://api.kit.com/subscribers', {
-            method: 'PUT',
-            headers: {
-                'Authorization': `Bearer ${kitApiKey}`,
-                'Content-Type': 'application/json',
-                'User-Agent': 'TherapyTools-Survey/1.0'
-            },
-            body: JSON.stringify(kitPayload),
-            timeout: 10000 // 10 second timeout
-        });
-
-        if (response.ok) {
-            const responseData = await response.json();
-            context.log('Kit.com sync successful');
-            return {
-                status: 'success',
-                message: 'Tags synced successfully to Kit.com',
-                tagssynced: validKitTags.length,
-                formId: kitFormId,
-                kitResponse: responseData
-            };
-        } else {
-            const errorText = await response.text();
-            context.log.error(`Kit.com API error: ${response.status} - ${errorText}`);
-            return {
-                status: 'failed',
-                message: `Kit.com API error: ${response.status}`,
-                error: errorText
-            };
-        }
-    } catch (error) {
-        context.log.error('Kit.com sync failed:', error);
-        return {
-            status: 'failed',
-            message: 'Failed to connect to Kit.com API',
-            error: error.message
-        };
-    }
-}
-
-// Helper function to update survey response with Kit sync status
-async function updateKitSyncStatus(email, rowKey, syncStatus, context) {
-    try {
-        const entity = {
-            partitionKey: email.toLowerCase(),
-            rowKey: rowKey,
-            kitSyncStatus: syncStatus,
-            kitSyncedAt: new Date()
-        };
-        
-        await surveyResponsesTable.updateEntity(entity, 'Merge');
-        context.log(`Updated Kit sync status to: ${syncStatus}`);
-    } catch (error) {
-        context.log.error('Failed to update Kit sync status:', error);
-        // Don't throw error here - this is just status tracking
-    }
-}
-
-// Helper function to generate a unique ID
-function generateId() {
-    return Date.now().toString() + Math.random().toString(36).substr(2, 9);
-}
+const {
+    resolveSubmissionVersion,
+    getStoredSurveyVersion,
+    diffSurveyTags,
+    getAllowedTags,
+    isKitSyncableTag,
+    buildSurveyDataSchema,
+    buildCustomResponsesSchema
+} = require('../survey/definition');
+
+// Tables are created on the first submission handled by this instance
+let tablesInitialized = false;
 
 // Helper function to save survey response to table storage
 async function saveSurveyResponse(surveyData, context) {
     const {
+        surveyVersion,
         name,
         email,
         surveyData: survey,
@@ -162,28 +46,30 @@ async function saveSurveyResponse(surveyData, context) {
     } = surveyData;
 
     const entity = {
-        partitionKey: email.toLowerCase(), // Use email as partition key for easy querying
-        rowKey: generateId(), // Unique row key
         therapistId: '', // TODO: Extract from user lookup when implemented
-        email: email.toLowerCase(),
+        email: normalizeEmail(email),
         name,
+        surveyVersion,
         surveyData: JSON.stringify(survey),
-        recommendations: JSON.stringify(recommendations),
+        recommendations: JSON.stringify(recommendations.map(recommendation => recommendation.toolId)),
         selectedTags: JSON.stringify(selectedTags),
         customResponses: JSON.stringify(customResponses),
         completedAt: timestamp ? new Date(timestamp) : new Date(),
         completed: completed || true,
-        kitSyncStatus: 'pending'
+        kitSyncStatus: 'pending',
+        // Redacted copy of the free text and its moderation status, for exports and admin review
+        ...buildModerationColumns(survey, customResponses, surveyVersion)
     };
 
     context.log('Saving survey response to table storage for:', email.substring(0, 3) + '***');
     
     try {
-        const result = await surveyResponsesTable.createEntity(entity);
+        // Partitioned by normalized email for easy querying
+        const rowKey = await getRepositories().surveyResponses.insert(email, entity);
         context.log('Survey response saved successfully');
-        return result;
+        return { rowKey };
     } catch (error) {
-        context.log.error('Error saving survey response:', error);
+        context.error('Error saving survey response:', error);
         throw error;
     }
 }
@@ -192,21 +78,17 @@ async function saveSurveyResponse(surveyData, context) {
 async function saveUserTags(email, selectedTags, context) {
     const promises = selectedTags.map(async (tagName) => {
         const entity = {
-            partitionKey: email.toLowerCase(),
-            rowKey: tagName, // Use tag name as row key to prevent duplicates
             therapistId: '', // TODO: Extract from user lookup when implemented
-            email: email.toLowerCase(),
-            tagName,
             tagSource: 'survey',
             createdAt: new Date()
         };
 
         try {
-            // Use upsertEntity to handle duplicates (update timestamp if tag exists)
-            await userTagsTable.upsertEntity(entity, 'Replace');
+            // Tag name is the row key, so upserting handles duplicates (update timestamp if tag exists)
+            await getRepositories().userTags.upsert(email, tagName, entity);
             return { tag: tagName, status: 'success' };
         } catch (error) {
-            context.log.error(`Error saving tag ${tagName}:`, error);
+            context.error(`Error saving tag ${tagName}:`, error);
             return { tag: tagName, status: 'failed', error: error.message };
         }
     });
@@ -219,7 +101,7 @@ async function saveUserTags(email, selectedTags, context) {
     context.log(`Tags saved: ${successCount}/${selectedTags.length} successful`);
     
     if (failedTags.length > 0) {
-        context.log.error('Failed to save tags:', failedTags);
+        context.error('Failed to save tags:', failedTags);
     }
     
     return {
@@ -230,61 +112,79 @@ async function saveUserTags(email, selectedTags, context) {
     };
 }
 
-// Validation schema for survey submission
-const surveySubmissionSchema = Joi.object({
+// Helper function to get the most recent survey response for an email
+async function getPreviousSurveyResponse(email) {
+    return getRepositories().surveyResponses.findLatestForEmail(email);
+}
+
+// Helper function to list the tags currently stored for an email
+async function getStoredUserTags(email) {
+    const entities = await getRepositories().userTags.listForEmail(email);
+    return entities.map(entity => entity.tagName);
+}
+
+// Helper function to delete user tags that are no longer selected
+async function removeUserTags(email, tagNames, context) {
+    // Tags that were never stored are skipped
+    for (const tagName of tagNames) {
+        await getRepositories().userTags.remove(email, tagName);
+    }
+
+    if (tagNames.length > 0) {
+        context.log(`Removed ${tagNames.length} stale tags`);
+    }
+}
+
+// Validation schema for survey submission against a survey version
+const buildSurveySubmissionSchema = (version) => Joi.object({
+    surveyVersion: Joi.alternatives().try(Joi.string(), Joi.number()).optional(),
     name: Joi.string().min(1).max(255).required(),
     email: Joi.string().email().required(),
-    surveyData: Joi.object({
-        setting: Joi.string().valid(
-            'setting_inperson', 'setting_mostly_inperson', 'setting_mixed', 
-            'setting_mostly_online', 'setting_online_only'
-        ).required(),
-        profession: Joi.string().valid(
-            'role_therapist', 'role_social_worker', 'role_psychologist',
-            'role_school_counselor', 'role_student', 'role_clergy',
-            'role_sud_counselor', 'role_peer_specialist', 'role_other'
-        ).required(),
-        populations: Joi.array().items(
-            Joi.string().valid(
-                'pop_children10u', 'pop_teens', 'pop_adults',
-                'pop_couples', 'pop_families', 'pop_groups', 'pop_all_day'
-            )
-        ).min(1).required(),
-        interests: Joi.array().items(
-            Joi.string().valid(
-                'interest_sandtray', 'interest_art', 'interest_feelings_wheel',
-                'interest_humans', 'interest_tumbling', 'interest_jeopardy',
-                'interest_bingo', 'interest_mandala'
-            )
-        ).min(1).required(),
-        frequency: Joi.string().valid(
-            'freq_daily', 'freq_weekly', 'freq_monthly', 'freq_occasionally'
-        ).required(),
-        modalities: Joi.array().items(
-            Joi.string().valid(
-                'mod_cbt', 'mod_dbt', 'mod_solutions', 'mod_expressive',
-                'mod_emdr', 'mod_couples', 'mod_ifs', 'mod_eclectic', 'mod_other'
-            )
-        ).min(1).required(),
-        profession_other: Joi.string().max(500).allow('', null).optional(),
-        modality_other: Joi.string().max(500).allow('', null).optional()
-    }).required(),
+    surveyData: buildSurveyDataSchema({ version, minSelections: 1, otherMaxLength: 500, allowNullOther: true }).required(),
+    // Still accepted from older frontends, but ignored - recommendations are computed server-side
     recommendations: Joi.array().items(Joi.string()).optional(),
     selectedTags: Joi.array().items(Joi.string()).min(1).required(),
-    customResponses: Joi.object({
-        role_other: Joi.string().max(500).allow('', null).optional(),
-        mod_other: Joi.string().max(500).allow('', null).optional()
-    }).optional(),
+    customResponses: buildCustomResponsesSchema({ version, otherMaxLength: 500, allowNullOther: true }).optional(),
     timestamp: Joi.string().isoDate().optional(),
-    completed: Joi.boolean().optional()
+    completed: Joi.boolean().optional(),
+    // Marketing consent as shown with the survey - without any recorded consent nothing is sent to Kit.com
+    consent: Joi.object({
+        granted: Joi.boolean().required(),
+        textVersion: Joi.string().trim().max(50).required(),
+        source: Joi.string().trim().max(50).default('survey')
+    }).optional()
 });
 
+// Helper function to describe the outcome of a Kit.com sync attempt
+function getKitSyncMessage(status) {
+    switch (status) {
+        case 'success':
+            return 'Tags synced successfully to Kit.com';
+        case 'dead':
+            return 'Kit.com sync failed and will not be retried';
+        case 'skipped':
+            return 'Kit.com sync deferred until Kit.com is configured';
+        case 'no_consent':
+            return 'Kit.com sync skipped - no marketing consent';
+        case 'unverified':
+            return 'Kit.com sync held until the email is verified';
+        case 'superseded':
+            return 'Kit.com sync replaced by a newer submission';
+        case 'unsubscribed':
+            return 'Kit.com sync skipped - unsubscribed in Kit.com';
+        case 'bounced':
+            return 'Kit.com sync skipped - email bounced in Kit.com';
+        default:
+            return 'Kit.com sync queued for retry';
+    }
+}
+
 // Helper function to create CORS headers
 function createCorsHeaders() {
     return {
         'Access-Control-Allow-Origin': process.env.FRONTEND_DOMAIN || '*',
         'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-api-key, x-subscriber-token, Idempotency-Key',
         'Access-Control-Max-Age': '86400',
         'Content-Type': 'application/json'
     };
@@ -318,11 +218,212 @@ function createSuccessResponse(data) {
     };
 }
 
+// Adds the verification link of an unverified subscriber to a service caller's response.
+// Anyone with the frontend key can submit any email, so only the service role gets it
+// to email on - and it is added after the result is stored, so replays never carry it.
+async function addVerificationLink(response, email, principal) {
+    if (!response || response.status !== 200 || !hasRole(principal, [ROLES.SERVICE])) {
+        return response;
+    }
+
+    const verification = getPendingVerificationLink(await getSubscriberByEmail(email), email);
+    if (!verification) {
+        return response;
+    }
+
+    const body = JSON.parse(response.body);
+    body.data.verification = { url: verification.url, token: verification.token, expiresAt: verification.expiresAt };
+    return { ...response, body: JSON.stringify(body) };
+}
+
+// Processes a validated submission - everything after validation, so an idempotent
+// request can be settled with whatever response this produces
+async function processSurveySubmission({ surveyVersion, value, principal }, context) {
+    const {
+        name,
+        email,
+        surveyData,
+        selectedTags,
+        customResponses = {},
+        timestamp,
+        completed = true,
+        consent
+    } = value;
+
+    // Rank the tool catalog against the answers
+    const recommendations = computeRecommendations(surveyData, surveyVersion);
+
+    // Log the extracted data (without sensitive info)
+    context.log('Processing survey for:', { 
+        email: email.substring(0, 3) + '***', // Partial email for privacy
+        tagsCount: selectedTags.length,
+        recommendationsCount: recommendations.length,
+        completed 
+    });
+
+    // Validate that selectedTags are legitimate survey tags
+    const validTags = getAllowedTags(surveyVersion);
+
+    const invalidTags = selectedTags.filter(tag => !validTags.includes(tag));
+    if (invalidTags.length > 0) {
+        context.error('Invalid tags found:', invalidTags);
+        return createErrorResponse(400, 'Invalid tags detected', {
+            invalidTags
+        });
+    }
+
+    // Diff against the previous submission so answers that changed lose their old tags
+    let tagDiff;
+    try {
+        const previousResponse = await getPreviousSurveyResponse(email);
+        tagDiff = diffSurveyTags({
+            previousSurveyData: previousResponse ? JSON.parse(previousResponse.surveyData || '{}') : null,
+            previousVersion: getStoredSurveyVersion(previousResponse),
+            surveyData,
+            version: surveyVersion,
+            storedTags: await getStoredUserTags(email)
+        });
+    } catch (error) {
+        context.error('Failed to load previous survey response:', error);
+        return createErrorResponse(500, 'Failed to load previous survey response', {
+            error: error.message
+        });
+    }
+
+    // Submissions from emails without a subscriber create an unverified one when auto-provisioning is on
+    let subscriber;
+    try {
+        subscriber = await getSubscriberByEmail(email);
+        if (!subscriber && isAutoProvisionEnabled()) {
+            subscriber = await provisionSubscriber({ email, name });
+        } else if (subscriber && isSubscriberVerified(subscriber)) {
+            // Drafts this email was attached to before the subscriber registered
+            await claimPendingDrafts(email);
+        }
+    } catch (error) {
+        context.error('Failed to look up subscriber:', error);
+        return createErrorResponse(500, 'Failed to look up subscriber', {
+            error: error.message
+        });
+    }
+
+    // Save survey response to storage
+    let surveyResponseResult;
+    let surveyRowKey;
+    try {
+        surveyResponseResult = await saveSurveyResponse({
+            surveyVersion,
+            name,
+            email,
+            surveyData,
+            recommendations,
+            selectedTags,
+            customResponses,
+            timestamp,
+            completed
+        }, context);
+        
+        // Extract row key for later status updates
+        surveyRowKey = surveyResponseResult.rowKey;
+    } catch (error) {
+        context.error('Failed to save survey response:', error);
+        return createErrorResponse(500, 'Failed to save survey response', {
+            error: error.message
+        });
+    }
+
+    // Record consent before the sync job is attempted, so the job sees it. An unverified
+    // subscriber's consent is held until they verify their email.
+    const consentHeld = Boolean(consent && subscriber && !isSubscriberVerified(subscriber));
+    let currentConsent;
+    try {
+        if (consentHeld) {
+            await deferConsent(email, { ...consent, recordedBy: principal.subject || principal.type });
+            currentConsent = null;
+        } else {
+            currentConsent = consent
+                ? await recordConsent(email, { ...consent, recordedBy: principal.subject || principal.type })
+                : await getCurrentConsent(email);
+        }
+    } catch (error) {
+        context.error('Failed to record marketing consent:', error);
+        return createErrorResponse(500, 'Failed to record marketing consent', {
+            error: error.message
+        });
+    }
+
+    // Queue the Kit.com sync alongside the response so it is retried if Kit.com is unavailable
+    let kitSyncJob;
+    try {
+        kitSyncJob = await enqueueKitSyncJob({
+            email: normalizeEmail(email),
+            responseId: surveyRowKey,
+            tags: selectedTags,
+            removeTagsByQuestion: tagDiff.removedByQuestion
+        });
+    } catch (error) {
+        context.error('Failed to queue Kit.com sync:', error);
+        return createErrorResponse(500, 'Failed to queue Kit.com sync', {
+            error: error.message
+        });
+    }
+
+    // Save user tags to storage, clearing the ones the new answers dropped
+    let tagSaveResults;
+    try {
+        await removeUserTags(email, tagDiff.removedTags, context);
+        tagSaveResults = await saveUserTags(email, selectedTags, context);
+    } catch (error) {
+        context.error('Failed to save user tags:', error);
+        return createErrorResponse(500, 'Failed to save user tags', {
+            error: error.message
+        });
+    }
+
+    // Attempt the Kit.com sync now - failures stay queued for the kitSyncWorker timer
+    let kitSyncResult;
+    try {
+        kitSyncResult = await processKitSyncJob(kitSyncJob);
+    } catch (error) {
+        context.error('Kit.com sync failed:', error);
+        kitSyncResult = { status: 'pending' };
+    }
+    
+    // Return success response with all results
+    const responseData = {
+        email,
+        name,
+        surveyVersion,
+        tagsProcessed: selectedTags.length,
+        recommendationsCount: recommendations.length,
+        recommendations,
+        hasCustomResponses: Object.keys(customResponses).length > 0,
+        validationPassed: true,
+        databaseStatus: 'success',
+        tagResults: {
+            totalTags: tagSaveResults.totalTags,
+            savedTags: tagSaveResults.successCount,
+            failedTags: tagSaveResults.failedCount,
+            removedTags: tagDiff.removedTags
+        },
+        kitSyncStatus: kitSyncResult.status,
+        kitSyncMessage: getKitSyncMessage(kitSyncResult.status),
+        kitSyncJobId: kitSyncJob.jobId,
+        marketingConsent: currentConsent ? currentConsent.granted : false,
+        marketingConsentPending: consentHeld,
+        subscriberVerified: subscriber ? isSubscriberVerified(subscriber) : null,
+        verification: null
+    };
+
+    context.log('Survey processing completed successfully');
+    return createSuccessResponse(responseData);
+}
+
 app.http('surveySubmission', {
     methods: ['POST', 'OPTIONS'],
     authLevel: 'anonymous',
     route: 'survey-submission',
-    handler: async (request, context) => {
+    handler: withAuth([ROLES.FRONTEND, ROLES.SUBSCRIBER, ROLES.SERVICE], async (request, context, principal) => {
         context.log('Survey submission function triggered');
         
         // Handle CORS preflight
@@ -334,21 +435,40 @@ app.http('surveySubmission', {
         }
 
         try {
+            // Create tables if not already done
+            if (!tablesInitialized) {
+                await ensureTablesExist();
+                tablesInitialized = true;
+            }
+
+            // Throttle per client before doing any work
+            const ipLimited = await enforceRateLimit('surveySubmission', { ip: getClientIp(request) }, context);
+            if (ipLimited) {
+                return createRateLimitResponse(ipLimited, createCorsHeaders());
+            }
+
             // Parse request body
             let requestBody;
             try {
-                if (typeof request.body === 'string') {
-                    requestBody = JSON.parse(request.body);
-                } else {
-                    requestBody = request.body;
-                }
+                requestBody = await request.json();
             } catch (parseError) {
-                context.log.error('JSON parse error:', parseError);
+                context.error('JSON parse error:', parseError);
                 return createErrorResponse(400, 'Invalid JSON in request body');
             }
 
+            // Resolve the survey version the respondent saw (older live versions are still accepted)
+            const resolvedVersion = resolveSubmissionVersion(requestBody && requestBody.surveyVersion);
+            if (resolvedVersion.error) {
+                context.error('Unsupported survey version:', resolvedVersion.error);
+                return createErrorResponse(400, 'Unsupported survey version', {
+                    surveyVersion: requestBody && requestBody.surveyVersion,
+                    message: resolvedVersion.error
+                });
+            }
+            const surveyVersion = resolvedVersion.version;
+
             // Validate request payload
-            const { error, value } = surveySubmissionSchema.validate(requestBody, { 
+            const { error, value } = buildSurveySubmissionSchema(surveyVersion).validate(requestBody, { 
                 abortEarly: false,
                 stripUnknown: true 
             });
@@ -360,149 +480,46 @@ app.http('surveySubmission', {
                     value: detail.context?.value
                 }));
                 
-                context.log.error('Validation errors:', validationErrors);
+                context.error('Validation errors:', validationErrors);
                 return createErrorResponse(400, 'Validation failed', {
                     errors: validationErrors
                 });
             }
 
-            // Extract validated data
-            const {
-                name,
-                email,
-                surveyData,
-                recommendations = [],
-                selectedTags,
-                customResponses = {},
-                timestamp,
-                completed = true
-            } = value;
-
-            // Initialize table clients if not already done
-            if (!surveyResponsesTable || !userTagsTable) {
-                initializeTableClients();
-                await ensureTablesExist();
-            }
-
-            // Log the extracted data (without sensitive info)
-            context.log('Processing survey for:', { 
-                email: email.substring(0, 3) + '***', // Partial email for privacy
-                tagsCount: selectedTags.length,
-                recommendationsCount: recommendations.length,
-                completed 
-            });
+            const { email } = value;
 
-            // Validate that selectedTags are legitimate survey tags
-            const validTags = [
-                // Setting tags
-                'setting_inperson', 'setting_mostly_inperson', 'setting_mixed', 
-                'setting_mostly_online', 'setting_online_only',
-                // Profession tags
-                'role_therapist', 'role_social_worker', 'role_psychologist',
-                'role_school_counselor', 'role_student', 'role_clergy',
-                'role_sud_counselor', 'role_peer_specialist', 'role_other',
-                // Population tags
-                'pop_children10u', 'pop_teens', 'pop_adults',
-                'pop_couples', 'pop_families', 'pop_groups', 'pop_all_day',
-                // Interest tags
-                'interest_sandtray', 'interest_art', 'interest_feelings_wheel',
-                'interest_humans', 'interest_tumbling', 'interest_jeopardy',
-                'interest_bingo', 'interest_mandala',
-                // Frequency tags
-                'freq_daily', 'freq_weekly', 'freq_monthly', 'freq_occasionally',
-                // Modality tags
-                'mod_cbt', 'mod_dbt', 'mod_solutions', 'mod_expressive',
-                'mod_emdr', 'mod_couples', 'mod_ifs', 'mod_eclectic', 'mod_other'
-            ];
-
-            const invalidTags = selectedTags.filter(tag => !validTags.includes(tag));
-            if (invalidTags.length > 0) {
-                context.log.error('Invalid tags found:', invalidTags);
-                return createErrorResponse(400, 'Invalid tags detected', {
-                    invalidTags
-                });
+            // Subscriber tokens only reach their own email
+            if (!canAccessSubscriber(principal, email)) {
+                return createAuthErrorResponse(createAuthError(403, 'Subscriber token does not match this email'), createCorsHeaders());
             }
 
-            // Save survey response to Azure Table Storage
-            let surveyResponseResult;
-            let surveyRowKey;
-            try {
-                surveyResponseResult = await saveSurveyResponse({
-                    name,
-                    email,
-                    surveyData,
-                    recommendations,
-                    selectedTags,
-                    customResponses,
-                    timestamp,
-                    completed
-                }, context);
-                
-                // Extract row key for later status updates
-                surveyRowKey = surveyResponseResult.rowKey || generateId();
-            } catch (error) {
-                context.log.error('Failed to save survey response:', error);
-                return createErrorResponse(500, 'Failed to save survey response', {
-                    error: error.message
-                });
+            const emailLimited = await enforceRateLimit('surveySubmission', { email }, context);
+            if (emailLimited) {
+                return createRateLimitResponse(emailLimited, createCorsHeaders());
             }
 
-            // Save user tags to Azure Table Storage
-            let tagSaveResults;
-            try {
-                tagSaveResults = await saveUserTags(email, selectedTags, context);
-            } catch (error) {
-                context.log.error('Failed to save user tags:', error);
-                return createErrorResponse(500, 'Failed to save user tags', {
-                    error: error.message
-                });
+            // Replay the stored result when the same submission arrives twice (double-click, network retry)
+            const idempotency = await beginIdempotentRequest('surveySubmission', {
+                key: request.headers.get('idempotency-key'),
+                email,
+                payload: value,
+                headers: createCorsHeaders()
+            }, context);
+            if (idempotency.response) {
+                return addVerificationLink(idempotency.response, email, principal);
             }
 
-            // Sync tags to Kit.com
-            let kitSyncResult;
+            let response;
             try {
-                kitSyncResult = await syncTagsToKit(email, selectedTags, context);
-                
-                // Update the survey response with Kit sync status
-                await updateKitSyncStatus(email, surveyRowKey, kitSyncResult.status, context);
-                
-            } catch (error) {
-                context.log.error('Kit.com sync failed:', error);
-                kitSyncResult = {
-                    status: 'failed',
-                    message: 'Kit.com sync failed',
-                    error: error.message
-                };
-                
-                // Update survey response with failed status
-                await updateKitSyncStatus(email, surveyRowKey, 'failed', context);
+                response = await processSurveySubmission({ surveyVersion, value, principal }, context);
+            } finally {
+                await settleIdempotentRequest(idempotency.claim, response, context);
             }
-            
-            // Return success response with all results
-            const responseData = {
-                email,
-                name,
-                tagsProcessed: selectedTags.length,
-                recommendationsCount: recommendations.length,
-                hasCustomResponses: Object.keys(customResponses).length > 0,
-                validationPassed: true,
-                databaseStatus: 'success',
-                tagResults: {
-                    totalTags: tagSaveResults.totalTags,
-                    savedTags: tagSaveResults.successCount,
-                    failedTags: tagSaveResults.failedCount
-                },
-                kitSyncStatus: kitSyncResult.status,
-                kitSyncMessage: kitSyncResult.message,
-                kitTagssynced: kitSyncResult.tagssynced || 0
-            };
-
-            context.log('Survey processing completed successfully');
-            return createSuccessResponse(responseData);
+            return addVerificationLink(response, email, principal);
 
         } catch (error) {
-            context.log.error('Unexpected error:', error);
+            context.error('Unexpected error:', error);
             return createErrorResponse(500, 'Internal server error');
         }
-    }
+    }, { headers: createCorsHeaders })
 });
@@ -0,0 +1,63 @@
+const { app } = require('@azure/functions');
+const { listSurveyVersions, getSurveyDefinition } = require('../survey/definition');
+
+// Helper function to create CORS headers
+function createCorsHeaders() {
+    return {
+        'Access-Control-Allow-Origin': process.env.FRONTEND_DOMAIN || '*',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Max-Age': '86400',
+        'Content-Type': 'application/json'
+    };
+}
+
+// Lists every survey version (live and retired), or returns one version's question set
+app.http('surveyVersions', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'survey/versions/{version?}',
+    handler: async (request, context) => {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return {
+                status: 200,
+                headers: createCorsHeaders()
+            };
+        }
+
+        const version = request.params.version;
+
+        if (!version) {
+            return {
+                status: 200,
+                headers: createCorsHeaders(),
+                body: JSON.stringify({
+                    success: true,
+                    versions: listSurveyVersions()
+                })
+            };
+        }
+
+        const definition = getSurveyDefinition(version);
+        if (!definition) {
+            return {
+                status: 404,
+                headers: createCorsHeaders(),
+                body: JSON.stringify({
+                    success: false,
+                    error: `Unknown survey version ${version}`
+                })
+            };
+        }
+
+        return {
+            status: 200,
+            headers: createCorsHeaders(),
+            body: JSON.stringify({
+                success: true,
+                ...definition
+            })
+        };
+    }
+});
@@ -35,7 +35,7 @@ app.http('surveySubmission', {
                 })
             };
         } catch (error) {
-            context.log.error('Error:', error);
+            context.error('Error:', error);
             return {
                 status: 500,
                 headers: {
@@ -1,4 +1,27 @@
 const { app } = require('@azure/functions');
 
 // Import all function files to register them
-require('./functions/survey-submission');
\ No newline at end of file
+require('./functions/survey-submission');
+require('./functions/survey-versions');
+require('./functions/kit-sync-worker');
+require('./functions/kit-reconciler');
+require('./functions/kit-webhooks');
+require('./functions/admin-responses');
+require('./functions/admin-export');
+require('./functions/admin-analytics');
+require('./functions/admin-data-requests');
+require('./functions/admin-retention');
+require('./functions/admin-moderation');
+require('./functions/admin-reports');
+require('./functions/analytics-rollup');
+require('./functions/recommendations');
+require('./functions/subscriber-tokens');
+require('./functions/subscriber-verification');
+require('./functions/marketing-consent');
+require('./functions/rate-limit-cleanup');
+require('./functions/idempotency-cleanup');
+require('./functions/survey-drafts');
+require('./functions/draft-claimer');
+require('./functions/data-request-worker');
+require('./functions/retention-job');
+require('./functions/other-answer-report');
@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { normalizeEmail } = require('../utils/validation');
+const { verifySubscriberToken } = require('../services/subscriberTokens');
+
+/**
+ * Authentication and role checks for HTTP routes.
+ *
+ * Callers authenticate with either:
+ *   x-api-key: <key>             - keys from AUTH_API_KEYS, a comma-separated list of
+ *                                  role:key pairs (frontend:abc,service:def,admin:ghi)
+ *   Authorization: Bearer <jwt>  - HS256 tokens signed with AUTH_JWT_SECRET, or RS256
+ *                                  tokens signed by a key in the AUTH_JWKS_FILE key set
+ *   x-subscriber-token: <token>  - a subscriber access token from src/services/subscriberTokens
+ *
+ * Token roles come from the `roles` claim (AUTH_JWT_ROLES_CLAIM), as an array or a
+ * space-separated string. `exp` and `nbf` are always checked; `iss` and `aud` are
+ * checked when AUTH_JWT_ISSUER / AUTH_JWT_AUDIENCE are set.
+ *
+ * Roles:
+ *   frontend   - the survey site (submissions)
+ *   subscriber - one subscriber's self-service routes; handlers check the email with
+ *                canAccessSubscriber()
+ *   service    - back-office jobs and integrations (tag imports, subscriber tokens)
+ *   admin      - the manage/* routes; admins may also call every other route
+ *
+ * Routes opt in with withAuth(). Missing or invalid credentials get 401, valid
+ * credentials without a permitted role get 403. With nothing configured every protected
+ * route answers 401, unless AUTH_DISABLED=true (local development only).
+ */
+const ROLES = Object.freeze({
+  FRONTEND: 'frontend',
+  SUBSCRIBER: 'subscriber',
+  SERVICE: 'service',
+  ADMIN: 'admin'
+});
+
+const CLOCK_SKEW_SECONDS = 60;
+
+let jwksCache = null;
+
+function createAuthError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Configured API keys as [{ role, digest }]
+ */
+function getApiKeys() {
+  return (process.env.AUTH_API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      if (separator <= 0 || separator === entry.length - 1) {
+        throw new Error('AUTH_API_KEYS entries must look like role:key');
+      }
+      return { role: entry.substring(0, separator).trim(), digest: sha256(entry.substring(separator + 1).trim()) };
+    });
+}
+
+function authenticateApiKey(apiKey) {
+  // Compare digests so every comparison takes the same time whatever the key length
+  const digest = sha256(apiKey);
+  const roles = getApiKeys()
+    .filter(key => crypto.timingSafeEqual(key.digest, digest))
+    .map(key => key.role);
+
+  if (roles.length === 0) {
+    throw createAuthError(401, 'Invalid API key');
+  }
+  return { type: 'apiKey', subject: `apikey:${roles.join('+')}`, roles };
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw createAuthError(401, 'Malformed bearer token');
+  }
+}
+
+/**
+ * Signing keys from AUTH_JWKS_FILE, by key id (read once per process)
+ */
+function getJwks() {
+  if (!jwksCache) {
+    const { keys = [] } = JSON.parse(fs.readFileSync(process.env.AUTH_JWKS_FILE, 'utf8'));
+    jwksCache = new Map(keys.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+  }
+  return jwksCache;
+}
+
+function verifySignature(header, signedContent, signature) {
+  if (header.alg === 'HS256' && process.env.AUTH_JWT_SECRET) {
+    const expected = crypto.createHmac('sha256', process.env.AUTH_JWT_SECRET).update(signedContent).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  if (header.alg === 'RS256' && process.env.AUTH_JWKS_FILE) {
+    const jwks = getJwks();
+    const key = header.kid ? jwks.get(header.kid) : (jwks.size === 1 ? [...jwks.values()][0] : null);
+    return Boolean(key) && crypto.verify('RSA-SHA256', Buffer.from(signedContent), key, signature);
+  }
+
+  // Anything else, including alg "none", is never accepted
+  return false;
+}
+
+function getTokenRoles(claims) {
+  const value = claims[process.env.AUTH_JWT_ROLES_CLAIM || 'roles'];
+  if (Array.isArray(value)) return value.map(String);
+  return typeof value === 'string' ? value.split(' ').filter(Boolean) : [];
+}
+
+function authenticateBearerToken(token) {
+  const segments = token.split('.');
+  if (segments.length !== 3) {
+    throw createAuthError(401, 'Malformed bearer token');
+  }
+
+  const header = decodeSegment(segments[0]);
+  const claims = decodeSegment(segments[1]);
+
+  if (!verifySignature(header, `${segments[0]}.${segments[1]}`, Buffer.from(segments[2], 'base64url'))) {
+    throw createAuthError(401, 'Invalid bearer token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw createAuthError(401, 'Bearer token has expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw createAuthError(401, 'Bearer token is not valid yet');
+  }
+  if (process.env.AUTH_JWT_ISSUER && claims.iss !== process.env.AUTH_JWT_ISSUER) {
+    throw createAuthError(401, 'Bearer token issuer is not trusted');
+  }
+  if (process.env.AUTH_JWT_AUDIENCE) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(process.env.AUTH_JWT_AUDIENCE)) {
+      throw createAuthError(401, 'Bearer token audience does not match');
+    }
+  }
+
+  return { type: 'jwt', subject: claims.sub || null, roles: getTokenRoles(claims), claims };
+}
+
+/**
+ * Identify the caller - throws a 401 error when credentials are missing or invalid
+ */
+function authenticate(request) {
+  if (process.env.AUTH_DISABLED === 'true') {
+    return { type: 'disabled', subject: 'auth-disabled', roles: [ROLES.ADMIN] };
+  }
+
+  const subscriberToken = request.headers.get('x-subscriber-token');
+  if (subscriberToken) {
+    const email = verifySubscriberToken(subscriberToken);
+    return { type: 'subscriber', subject: email, email, roles: [ROLES.SUBSCRIBER] };
+  }
+
+  const apiKey = request.headers.get('x-api-key');
+  if (apiKey) {
+    return authenticateApiKey(apiKey);
+  }
+
+  const authorization = request.headers.get('authorization') || '';
+  const match = authorization.match(/^Bearer\s+(\S+)$/i);
+  if (match) {
+    return authenticateBearerToken(match[1]);
+  }
+
+  throw createAuthError(401, 'Authentication required - send an x-api-key header, a bearer token or a subscriber token');
+}
+
+/**
+ * Whether a principal holds one of the roles (admins hold every role)
+ */
+function hasRole(principal, roles) {
+  return principal.roles.includes(ROLES.ADMIN) || roles.some(role => principal.roles.includes(role));
+}
+
+/**
+ * Whether a principal may read or change a subscriber's data - subscriber tokens only
+ * reach their own email, other roles are limited by the route's roles alone
+ */
+function canAccessSubscriber(principal, email) {
+  return principal.type !== 'subscriber' || principal.email === normalizeEmail(email);
+}
+
+/**
+ * Consistent 401/403 response body
+ */
+function createAuthErrorResponse(error, headers = {}) {
+  const unauthorized = error.statusCode === 401;
+  return {
+    status: error.statusCode,
+    headers: {
+      ...headers,
+      'Content-Type': 'application/json',
+      ...(unauthorized ? { 'WWW-Authenticate': 'Bearer' } : {})
+    },
+    body: JSON.stringify({
+      success: false,
+      error: unauthorized ? 'Unauthorized' : 'Forbidden',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
+  };
+}
+
+/**
+ * Wrap a route handler so it only runs for callers holding one of `roles`.
+ * The handler receives the principal as a third argument; CORS preflights pass straight through.
+ */
+function withAuth(roles, handler, { headers = () => ({}) } = {}) {
+  return async (request, context) => {
+    if (request.method === 'OPTIONS') {
+      return handler(request, context, null);
+    }
+
+    let principal;
+    try {
+      principal = authenticate(request);
+      if (!hasRole(principal, roles)) {
+        throw createAuthError(403, `Requires one of the roles: ${roles.join(', ')}`);
+      }
+    } catch (error) {
+      if (error.statusCode !== 401 && error.statusCode !== 403) {
+        context.error('Authentication configuration error:', error);
+        throw error;
+      }
+      context.warn(`Rejected ${request.method} ${context.functionName} with ${error.statusCode}: ${error.message}`);
+      return createAuthErrorResponse(error, headers());
+    }
+
+    return handler(request, context, principal);
+  };
+}
+
+module.exports = {
+  ROLES,
+  authenticate,
+  hasRole,
+  canAccessSubscriber,
+  createAuthError,
+  createAuthErrorResponse,
+  withAuth
+};
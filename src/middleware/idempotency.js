@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const { getRepositories } = require('../repositories');
+const { normalizeEmail } = require('../utils/validation');
+
+/**
+ * Idempotent request handling, backed by the `idempotencykeys` table.
+ *
+ * A request is identified by its Idempotency-Key header or, when there is none, by a
+ * key derived from the email and a hash of the payload (ignoring `timestamp`, which
+ * the frontend sets per click). Keys are scoped to the email, so one subscriber's
+ * key never replays another's result.
+ *
+ * The first request claims the key and its successful result is stored for
+ * IDEMPOTENCY_WINDOW_HOURS (24 by default). Within the window, repeats get:
+ *   - the stored result, with an Idempotent-Replayed: true header
+ *   - 409 while the first request is still being processed
+ *   - 422 when an explicit key is reused with a different payload
+ * Failed requests release their key so the client can simply retry.
+ */
+const SCOPES = ['surveySubmission'];
+
+const DEFAULT_WINDOW_HOURS = 24;
+
+// Matches functionTimeout in host.json - a claim older than this was abandoned
+const LOCK_SECONDS = 300;
+
+const MAX_KEY_LENGTH = 200;
+
+/**
+ * JSON with object keys sorted, so equal payloads always hash the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function createJsonResponse(status, body, headers) {
+  return {
+    status,
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ success: false, ...body, timestamp: new Date().toISOString() })
+  };
+}
+
+/**
+ * Claim a request before processing it. Returns { response } when that response should
+ * be returned as-is (a replay or a conflict), otherwise { claim } to pass to
+ * settleIdempotentRequest() once the request has been handled.
+ */
+async function beginIdempotentRequest(scope, { key, email, payload, headers = {} }, context) {
+  if (!SCOPES.includes(scope)) {
+    throw new Error(`Unknown idempotency scope ${scope}`);
+  }
+  if (key && (key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key))) {
+    return { response: createJsonResponse(400, { error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} printable characters` }, headers) };
+  }
+
+  const { timestamp, ...stablePayload } = payload;
+  const requestHash = sha256(stableStringify(stablePayload));
+  const normalizedEmail = normalizeEmail(email);
+  const keyHash = sha256(key ? `key:${normalizedEmail}:${key}` : `payload:${normalizedEmail}:${requestHash}`);
+
+  const { idempotencyKeys } = getRepositories();
+  const now = new Date();
+  const windowHours = parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS || String(DEFAULT_WINDOW_HOURS));
+  const record = {
+    status: 'processing',
+    requestHash,
+    explicitKey: Boolean(key),
+    claimedAt: now,
+    expiresAt: new Date(now.getTime() + windowHours * 3600 * 1000)
+  };
+
+  try {
+    await idempotencyKeys.create(scope, keyHash, record);
+    return { claim: { scope, keyHash } };
+  } catch (error) {
+    if (error.statusCode !== 409) throw error;
+  }
+
+  const existing = await idempotencyKeys.get(scope, keyHash);
+  const expired = !existing || new Date(existing.expiresAt) <= now;
+  const abandoned = existing && existing.status === 'processing' &&
+    now.getTime() - new Date(existing.claimedAt).getTime() > LOCK_SECONDS * 1000;
+
+  if (expired || abandoned) {
+    // Take over the key - losing the race to another request is reported as in progress
+    try {
+      if (existing) {
+        await idempotencyKeys.replace(scope, keyHash, record, { etag: existing.etag });
+      } else {
+        await idempotencyKeys.create(scope, keyHash, record);
+      }
+      return { claim: { scope, keyHash } };
+    } catch (error) {
+      if (error.statusCode !== 409 && error.statusCode !== 412) throw error;
+      return { response: createJsonResponse(409, { error: 'A request with this idempotency key is already being processed' }, headers) };
+    }
+  }
+
+  if (existing.requestHash !== requestHash) {
+    context.warn(`Idempotency key reused with a different payload in ${scope}`);
+    return { response: createJsonResponse(422, { error: 'Idempotency-Key was already used for a different request' }, headers) };
+  }
+
+  if (existing.status === 'processing') {
+    return { response: createJsonResponse(409, { error: 'A request with this idempotency key is already being processed' }, headers) };
+  }
+
+  context.log(`Replaying stored ${scope} result for a repeated request`);
+  return {
+    response: {
+      status: existing.responseStatus,
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json',
+        'Access-Control-Expose-Headers': 'Idempotent-Replayed',
+        'Idempotent-Replayed': 'true'
+      },
+      body: existing.responseBody
+    }
+  };
+}
+
+/**
+ * Store a successful result for replay, or release the key after a failure
+ * (response is undefined when the handler threw)
+ */
+async function settleIdempotentRequest({ scope, keyHash }, response, context) {
+  const { idempotencyKeys } = getRepositories();
+
+  try {
+    if (response && response.status >= 200 && response.status < 300) {
+      const existing = await idempotencyKeys.get(scope, keyHash);
+      await idempotencyKeys.replace(scope, keyHash, {
+        status: 'completed',
+        requestHash: existing.requestHash,
+        explicitKey: existing.explicitKey,
+        claimedAt: existing.claimedAt,
+        expiresAt: existing.expiresAt,
+        completedAt: new Date(),
+        responseStatus: response.status,
+        responseBody: response.body
+      }, { etag: existing.etag });
+    } else {
+      await idempotencyKeys.remove(scope, keyHash);
+    }
+  } catch (error) {
+    // The request itself succeeded or failed already - a repeat is at worst processed again
+    context.error(`Failed to settle ${scope} idempotency key:`, error);
+  }
+}
+
+/**
+ * Remove records whose replay window has passed, returning how many were deleted
+ */
+async function purgeExpiredIdempotencyKeys() {
+  let removed = 0;
+  for (const scope of SCOPES) {
+    removed += await getRepositories().idempotencyKeys.purgeExpired(scope, new Date());
+  }
+  return removed;
+}
+
+module.exports = {
+  beginIdempotentRequest,
+  settleIdempotentRequest,
+  purgeExpiredIdempotencyKeys
+};
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const { getRepositories } = require('../repositories');
+const { normalizeEmail } = require('../utils/validation');
+
+/**
+ * Rate limiting backed by the `ratelimits` table, so limits hold across scaled-out
+ * function instances.
+ *
+ * Each policy counts requests per client IP and per email in fixed windows. Limits are
+ * `<requests>/<windowSeconds>` and can be overridden with app settings named after the
+ * policy and key, e.g. RATE_LIMIT_SURVEY_SUBMISSION_EMAIL=5/60. Set a limit to 0 to turn
+ * that key off, or RATE_LIMIT_DISABLED=true to turn every policy off.
+ *
+ * Keys are stored as hashes, never as raw IPs or emails. When the store is unavailable
+ * requests are let through (and the error logged) rather than rejecting every caller.
+ *
+ * The client IP comes from RATE_LIMIT_CLIENT_IP_HEADER when that is set (a header the
+ * platform writes, e.g. x-azure-clientip behind Front Door). Otherwise it is taken from
+ * x-forwarded-for counting RATE_LIMIT_TRUSTED_PROXY_HOPS (default 1) entries from the
+ * right - entries further left are whatever the client sent and cannot be trusted.
+ */
+const POLICIES = {
+  surveySubmission: {
+    ip: '20/3600',
+    email: '5/3600'
+  },
+  questionUpdate: {
+    ip: '300/3600',
+    email: '120/3600'
+  },
+  surveyDraft: {
+    ip: '300/3600'
+  }
+};
+
+function getSettingName(policy, keyType) {
+  const name = policy.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+  return `RATE_LIMIT_${name}_${keyType.toUpperCase()}`;
+}
+
+/**
+ * Limit for a policy key as { limit, windowSeconds }
+ */
+function getLimit(policy, keyType) {
+  if (!POLICIES[policy]) {
+    throw new Error(`Unknown rate limit policy ${policy}`);
+  }
+
+  const value = process.env[getSettingName(policy, keyType)] || POLICIES[policy][keyType];
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || '');
+  if (!match || parseInt(match[2], 10) === 0) {
+    throw new Error(`Invalid rate limit ${value} for ${getSettingName(policy, keyType)} - expected <requests>/<windowSeconds>`);
+  }
+  return { limit: parseInt(match[1], 10), windowSeconds: parseInt(match[2], 10) };
+}
+
+function getTrustedProxyHops() {
+  const hops = parseInt(process.env.RATE_LIMIT_TRUSTED_PROXY_HOPS || '1', 10);
+  return hops > 0 ? hops : 1;
+}
+
+/**
+ * x-forwarded-for entry added by the outermost trusted proxy - the left-most entry
+ * when there are fewer entries than trusted hops
+ */
+function getForwardedIp(header) {
+  const entries = (header || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  if (entries.length === 0) {
+    return '';
+  }
+  return entries[Math.max(entries.length - getTrustedProxyHops(), 0)];
+}
+
+/**
+ * Client IP as seen by the Functions front end (x-forwarded-for may carry a port)
+ */
+function getClientIp(request) {
+  const platformHeader = process.env.RATE_LIMIT_CLIENT_IP_HEADER;
+  const ip = (platformHeader && (request.headers.get(platformHeader) || '').trim()) ||
+    getForwardedIp(request.headers.get('x-forwarded-for')) ||
+    request.headers.get('x-client-ip') || request.headers.get('x-real-ip') || '';
+
+  // IPv4 with a port, or a bracketed IPv6 address
+  return ip.replace(/^\[([^\]]+)\](?::\d+)?$/, '$1').replace(/^(\d+\.\d+\.\d+\.\d+):\d+$/, '$1') || 'unknown';
+}
+
+function hashKey(keyType, value) {
+  const normalized = keyType === 'email' ? normalizeEmail(value) : String(value);
+  return `${keyType}_${crypto.createHash('sha256').update(normalized).digest('hex').substring(0, 32)}`;
+}
+
+/**
+ * Count a request against a policy. `keys` holds the values to limit on ({ ip, email });
+ * returns null when every key is within its limit, or the exceeded limit:
+ * { policy, keyType, limit, remaining, resetAt, retryAfterSeconds }
+ */
+async function enforceRateLimit(policy, keys, context) {
+  if (process.env.RATE_LIMIT_DISABLED === 'true') {
+    return null;
+  }
+
+  for (const [keyType, value] of Object.entries(keys)) {
+    if (!value) continue;
+
+    const { limit, windowSeconds } = getLimit(policy, keyType);
+    if (limit === 0) continue;
+
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const windowStart = nowSeconds - (nowSeconds % windowSeconds);
+    const resetAt = windowStart + windowSeconds;
+
+    let count;
+    try {
+      count = await getRepositories().rateLimits.increment(policy, hashKey(keyType, value), windowStart);
+    } catch (error) {
+      context.error(`Rate limit check for ${policy} failed, allowing the request:`, error);
+      continue;
+    }
+
+    if (count > limit) {
+      context.warn(`Rate limit ${policy}/${keyType} exceeded (${count}/${limit} in ${windowSeconds}s)`);
+      return {
+        policy,
+        keyType,
+        limit,
+        remaining: 0,
+        resetAt,
+        retryAfterSeconds: Math.max(1, resetAt - nowSeconds)
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 429 response for an exceeded limit
+ */
+function createRateLimitResponse(exceeded, headers = {}) {
+  return {
+    status: 429,
+    headers: {
+      ...headers,
+      'Content-Type': 'application/json',
+      'Access-Control-Expose-Headers': 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset',
+      'Retry-After': String(exceeded.retryAfterSeconds),
+      'X-RateLimit-Limit': String(exceeded.limit),
+      'X-RateLimit-Remaining': String(exceeded.remaining),
+      'X-RateLimit-Reset': String(exceeded.resetAt)
+    },
+    body: JSON.stringify({
+      success: false,
+      error: 'Too many requests',
+      message: `Rate limit exceeded - try again in ${exceeded.retryAfterSeconds} seconds`,
+      retryAfter: exceeded.retryAfterSeconds,
+      timestamp: new Date().toISOString()
+    })
+  };
+}
+
+/**
+ * Remove counters for windows that have ended, returning how many rows were deleted
+ */
+async function purgeExpiredRateLimits() {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  let removed = 0;
+
+  for (const [policy, keys] of Object.entries(POLICIES)) {
+    // The longest window of the policy decides what is safe to delete
+    const longestWindow = Math.max(...Object.keys(keys).map(keyType => getLimit(policy, keyType).windowSeconds));
+    removed += await getRepositories().rateLimits.purgeBefore(policy, nowSeconds - longestWindow);
+  }
+
+  return removed;
+}
+
+module.exports = {
+  POLICIES,
+  getClientIp,
+  enforceRateLimit,
+  createRateLimitResponse,
+  purgeExpiredRateLimits
+};
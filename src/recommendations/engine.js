@@ -0,0 +1,90 @@
+const { getQuestions, getAllKnownTags, getAnswerTags } = require('../survey/definition');
+
+/**
+ * Recommendation engine - ranks the tools in `./tools` against a survey's answers.
+ *
+ * Recommendations are always computed here from `surveyData`; any list the browser
+ * sends is ignored. Tools are ranked by score (highest first, catalog order breaking
+ * ties) and tools that match none of the respondent's tags are left out.
+ */
+const CATALOG = loadCatalog(require('./tools'));
+
+const DEFAULT_LIMIT = 5;
+
+/**
+ * Freeze the catalog, rejecting tags no survey version can produce so a typo in a
+ * weight fails at startup rather than silently never matching
+ */
+function loadCatalog(catalog) {
+  const knownTags = new Set(getAllKnownTags());
+  const ids = new Set();
+
+  for (const tool of catalog.tools) {
+    if (ids.has(tool.id)) {
+      throw new Error(`Duplicate tool id ${tool.id} in the tool catalog`);
+    }
+    ids.add(tool.id);
+
+    const unknownTags = Object.keys(tool.tags).filter(tag => !knownTags.has(tag));
+    if (unknownTags.length > 0) {
+      throw new Error(`Tool ${tool.id} is weighted on unknown survey tags: ${unknownTags.join(', ')}`);
+    }
+  }
+
+  return Object.freeze({
+    version: catalog.version,
+    tools: Object.freeze(catalog.tools.map(tool => Object.freeze({ ...tool, tags: Object.freeze({ ...tool.tags }) })))
+  });
+}
+
+/**
+ * Absolute tool URL - paths are prefixed with TOOLS_BASE_URL (or the frontend domain)
+ */
+function getToolUrl(tool) {
+  const baseUrl = (process.env.TOOLS_BASE_URL || process.env.FRONTEND_DOMAIN || '').replace(/\/+$/, '');
+  return /^https?:\/\//.test(tool.url) ? tool.url : `${baseUrl}${tool.url}`;
+}
+
+/**
+ * Every tool in the catalog
+ */
+function getToolCatalog() {
+  return {
+    version: CATALOG.version,
+    tools: CATALOG.tools.map(tool => ({ ...tool, url: getToolUrl(tool) }))
+  };
+}
+
+/**
+ * Ranked recommendations for a survey's answers
+ */
+function computeRecommendations(surveyData = {}, version, { limit = DEFAULT_LIMIT } = {}) {
+  const selectedTags = new Set();
+  for (const question of getQuestions(version)) {
+    getAnswerTags(surveyData[question.field]).forEach(tag => selectedTags.add(tag));
+  }
+
+  return CATALOG.tools
+    .map((tool, index) => {
+      const matchedTags = Object.keys(tool.tags).filter(tag => selectedTags.has(tag));
+      const score = matchedTags.reduce((total, tag) => total + tool.tags[tag], 0);
+      return { tool, index, matchedTags, score };
+    })
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ tool, matchedTags, score }, index) => ({
+      rank: index + 1,
+      toolId: tool.id,
+      name: tool.name,
+      description: tool.description,
+      url: getToolUrl(tool),
+      score,
+      matchedTags
+    }));
+}
+
+module.exports = {
+  getToolCatalog,
+  computeRecommendations
+};
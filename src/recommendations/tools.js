@@ -0,0 +1,128 @@
+/**
+ * Tool catalog - the therapy tools the recommendation engine can suggest.
+ *
+ * Each tool has:
+ *   id          - stable identifier, stored in `surveyresponses.recommendations`
+ *   name        - display name
+ *   description - one-line summary for the results page and emails
+ *   url         - path on the tools site (prefixed with TOOLS_BASE_URL)
+ *   tags        - survey tags that make the tool relevant, with their weights
+ *
+ * A tool's score is the sum of the weights of the tags a respondent selected.
+ * The matching interest (Q4) carries most of the weight; setting, population and
+ * modality tags break ties between tools the respondent is equally interested in.
+ */
+module.exports = {
+  version: '1',
+  tools: [
+    {
+      id: 'sandtray',
+      name: 'Virtual Sandtray',
+      description: 'Build and share sandtray scenes with clients in session or online.',
+      url: '/tools/sandtray',
+      tags: {
+        interest_sandtray: 10,
+        mod_expressive: 3,
+        pop_children10u: 2,
+        pop_families: 1,
+        setting_mostly_online: 1,
+        setting_online_only: 2
+      }
+    },
+    {
+      id: 'art',
+      name: 'Art Therapy Canvas',
+      description: 'A shared drawing canvas for art-based interventions.',
+      url: '/tools/art',
+      tags: {
+        interest_art: 10,
+        mod_expressive: 3,
+        pop_children10u: 1,
+        pop_teens: 1,
+        setting_online_only: 1
+      }
+    },
+    {
+      id: 'feelings-wheel',
+      name: 'Feelings Wheel',
+      description: 'An interactive feelings wheel for naming and exploring emotions.',
+      url: '/tools/feelings-wheel',
+      tags: {
+        interest_feelings_wheel: 10,
+        mod_cbt: 2,
+        mod_dbt: 2,
+        mod_ifs: 1,
+        pop_children10u: 1,
+        pop_couples: 1
+      }
+    },
+    {
+      id: 'humans',
+      name: 'Humans Body Map',
+      description: 'Map feelings and sensations onto a body outline.',
+      url: '/tools/humans',
+      tags: {
+        interest_humans: 10,
+        mod_emdr: 2,
+        mod_ifs: 2,
+        mod_expressive: 1,
+        pop_teens: 1,
+        pop_adults: 1
+      }
+    },
+    {
+      id: 'tumbling-tower',
+      name: 'Tumbling Tower',
+      description: 'A block-stacking game with conversation prompts on every block.',
+      url: '/tools/tumbling-tower',
+      tags: {
+        interest_tumbling: 10,
+        pop_teens: 2,
+        pop_families: 2,
+        pop_groups: 1,
+        mod_solutions: 1
+      }
+    },
+    {
+      id: 'jeopardy',
+      name: 'Therapy Jeopardy',
+      description: 'Psychoeducation quiz boards for groups and classrooms.',
+      url: '/tools/jeopardy',
+      tags: {
+        interest_jeopardy: 10,
+        pop_groups: 3,
+        pop_all_day: 2,
+        pop_teens: 1,
+        mod_cbt: 1,
+        role_school_counselor: 1
+      }
+    },
+    {
+      id: 'bingo',
+      name: 'Coping Skills Bingo',
+      description: 'Printable and online bingo cards built around coping skills.',
+      url: '/tools/bingo',
+      tags: {
+        interest_bingo: 10,
+        pop_groups: 3,
+        pop_all_day: 2,
+        pop_children10u: 1,
+        role_sud_counselor: 1,
+        role_peer_specialist: 1
+      }
+    },
+    {
+      id: 'mandala',
+      name: 'Mandala Maker',
+      description: 'Guided mandala colouring for grounding and mindfulness.',
+      url: '/tools/mandala',
+      tags: {
+        interest_mandala: 10,
+        mod_expressive: 2,
+        mod_dbt: 2,
+        pop_adults: 1,
+        pop_groups: 1
+      }
+    }
+  ]
+};
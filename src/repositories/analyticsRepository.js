@@ -0,0 +1,69 @@
+const { TABLES } = require('./tables');
+
+/**
+ * Survey analytics rollups - one row per day of survey responses, plus a status row
+ * and the latest copy of each stored report
+ */
+const DAILY_PARTITION_KEY = 'daily';
+const META_PARTITION_KEY = 'meta';
+const META_ROW_KEY = 'rollup';
+const REPORT_PARTITION_KEY = 'report';
+
+function createAnalyticsRepository(store) {
+  return {
+    /**
+     * Daily rollup rows between two YYYY-MM-DD days (inclusive, either end optional)
+     */
+    async listDays({ from, to } = {}) {
+      const where = [];
+      if (from) where.push({ field: 'RowKey', op: 'ge', value: from });
+      if (to) where.push({ field: 'RowKey', op: 'le', value: to });
+
+      const days = [];
+      for await (const entity of store.listEntities(TABLES.surveyAnalytics, { partitionKey: DAILY_PARTITION_KEY, where })) {
+        days.push(entity);
+      }
+      return days;
+    },
+
+    async saveDay(day, fields) {
+      await store.upsertEntity(TABLES.surveyAnalytics, {
+        ...fields,
+        partitionKey: DAILY_PARTITION_KEY,
+        rowKey: day
+      }, 'Replace');
+    },
+
+    async deleteDay(day) {
+      return store.deleteEntity(TABLES.surveyAnalytics, DAILY_PARTITION_KEY, day);
+    },
+
+    async getStatus() {
+      return store.getEntity(TABLES.surveyAnalytics, META_PARTITION_KEY, META_ROW_KEY);
+    },
+
+    async saveStatus(fields) {
+      await store.upsertEntity(TABLES.surveyAnalytics, {
+        ...fields,
+        partitionKey: META_PARTITION_KEY,
+        rowKey: META_ROW_KEY
+      }, 'Replace');
+    },
+
+    async getReport(name) {
+      return store.getEntity(TABLES.surveyAnalytics, REPORT_PARTITION_KEY, name);
+    },
+
+    async saveReport(name, fields) {
+      await store.upsertEntity(TABLES.surveyAnalytics, {
+        ...fields,
+        partitionKey: REPORT_PARTITION_KEY,
+        rowKey: name
+      }, 'Replace');
+    }
+  };
+}
+
+module.exports = {
+  createAnalyticsRepository
+};
@@ -0,0 +1,150 @@
+const { TableServiceClient, TableClient } = require('@azure/data-tables');
+
+/**
+ * Format a value as an OData literal, escaping quotes in strings
+ */
+function formatLiteral(value) {
+  if (value instanceof Date) {
+    return `datetime'${value.toISOString()}'`;
+  }
+  if (typeof value === 'string') {
+    return `'${value.replace(/'/g, "''")}'`;
+  }
+  return String(value);
+}
+
+const FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const OPERATORS = ['eq', 'ne', 'gt', 'ge', 'lt', 'le'];
+
+/**
+ * Build an OData filter from a store query
+ *
+ * Conditions are `{ field, op, value }` objects (op: eq, ne, gt, ge, lt, le or in
+ * with an array value) and are and-ed together.
+ */
+function buildFilter({ partitionKey, where = [] } = {}) {
+  const clauses = [];
+
+  if (partitionKey !== undefined) {
+    clauses.push(`PartitionKey eq ${formatLiteral(partitionKey)}`);
+  }
+
+  for (const condition of where) {
+    if (!FIELD_NAME.test(condition.field)) {
+      throw new Error(`Invalid filter field ${condition.field}`);
+    }
+
+    if (condition.op === 'in') {
+      const alternatives = condition.value.map(value => `${condition.field} eq ${formatLiteral(value)}`);
+      clauses.push(`(${alternatives.join(' or ')})`);
+      continue;
+    }
+
+    if (!OPERATORS.includes(condition.op)) {
+      throw new Error(`Unsupported filter operator ${condition.op}`);
+    }
+    clauses.push(`${condition.field} ${condition.op} ${formatLiteral(condition.value)}`);
+  }
+
+  return clauses.length > 0 ? clauses.join(' and ') : undefined;
+}
+
+function buildQueryOptions(query = {}) {
+  const queryOptions = {};
+  const filter = buildFilter(query);
+  if (filter) queryOptions.filter = filter;
+  if (query.select) queryOptions.select = query.select;
+  return queryOptions;
+}
+
+/**
+ * Table store backed by Azure Table Storage
+ */
+function createAzureTableStore(connectionString = process.env.AZURE_STORAGE_CONNECTION_STRING) {
+  if (!connectionString) {
+    throw new Error('AZURE_STORAGE_CONNECTION_STRING environment variable is not set');
+  }
+
+  const serviceClient = TableServiceClient.fromConnectionString(connectionString);
+  const tableClients = new Map();
+
+  function getTableClient(tableName) {
+    if (!tableClients.has(tableName)) {
+      tableClients.set(tableName, TableClient.fromConnectionString(connectionString, tableName));
+    }
+    return tableClients.get(tableName);
+  }
+
+  return {
+    provider: 'azure',
+
+    async ensureTable(tableName) {
+      try {
+        await serviceClient.createTable(tableName);
+      } catch (error) {
+        if (error.statusCode !== 409) { // 409 = table already exists
+          throw error;
+        }
+      }
+    },
+
+    async createEntity(tableName, entity) {
+      await getTableClient(tableName).createEntity(entity);
+    },
+
+    async getEntity(tableName, partitionKey, rowKey) {
+      try {
+        return await getTableClient(tableName).getEntity(partitionKey, rowKey);
+      } catch (error) {
+        if (error.statusCode === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async upsertEntity(tableName, entity, mode = 'Merge') {
+      await getTableClient(tableName).upsertEntity(entity, mode);
+    },
+
+    async updateEntity(tableName, entity, mode = 'Merge', { etag } = {}) {
+      await getTableClient(tableName).updateEntity(entity, mode, etag ? { etag } : undefined);
+    },
+
+    async deleteEntity(tableName, partitionKey, rowKey) {
+      try {
+        await getTableClient(tableName).deleteEntity(partitionKey, rowKey);
+        return true;
+      } catch (error) {
+        if (error.statusCode === 404) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    listEntities(tableName, query = {}) {
+      return getTableClient(tableName).listEntities({ queryOptions: buildQueryOptions(query) });
+    },
+
+    async listPage(tableName, query = {}, { pageSize = 50, continuationToken } = {}) {
+      const pages = getTableClient(tableName)
+        .listEntities({ queryOptions: buildQueryOptions(query) })
+        .byPage({ maxPageSize: pageSize, continuationToken: continuationToken || undefined });
+
+      const { value } = await pages.next();
+      const page = value || [];
+      return { entities: [...page], continuationToken: page.continuationToken || null };
+    },
+
+    async testConnection() {
+      // Listing a single table is enough to prove the account is reachable
+      await serviceClient.listTables().next();
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  createAzureTableStore
+};
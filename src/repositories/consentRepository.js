@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const { TABLES } = require('./tables');
+const { normalizeEmail } = require('../utils/validation');
+
+/**
+ * Marketing consent history - append-only, one row per consent given or withdrawn,
+ * partitioned by normalized email. Row keys start with the time, so a partition
+ * lists oldest first.
+ */
+function createConsentRepository(store) {
+  return {
+    /**
+     * Add a consent record and return its row key
+     */
+    async append(email, fields) {
+      const partitionKey = normalizeEmail(email);
+      const rowKey = `${String(Date.now()).padStart(15, '0')}_${crypto.randomBytes(3).toString('hex')}`;
+
+      await store.createEntity(TABLES.marketingConsents, {
+        ...fields,
+        partitionKey,
+        rowKey,
+        email: partitionKey
+      });
+
+      return rowKey;
+    },
+
+    /**
+     * Every record for an email, oldest first
+     */
+    async listForEmail(email) {
+      const records = [];
+      for await (const entity of store.listEntities(TABLES.marketingConsents, { partitionKey: normalizeEmail(email) })) {
+        records.push(entity);
+      }
+      return records;
+    },
+
+    /**
+     * Delete a record - only for erasure requests, consent history is never edited
+     */
+    async remove(email, rowKey) {
+      return store.deleteEntity(TABLES.marketingConsents, normalizeEmail(email), rowKey);
+    }
+  };
+}
+
+module.exports = {
+  createConsentRepository
+};
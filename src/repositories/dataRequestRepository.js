@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const { TABLES } = require('./tables');
+
+/**
+ * Data-subject requests - one audit row per export or erasure request. Export
+ * documents are stored in the same table, one chunk per row under the partition
+ * `export_<requestId>`, since a single entity holds at most 1MB.
+ */
+const REQUEST_PARTITION_KEY = 'request';
+
+function getExportPartitionKey(requestId) {
+  return `export_${requestId}`;
+}
+
+function createDataRequestRepository(store) {
+  return {
+    /**
+     * Create a request and return the stored entity (with its etag, needed to claim it)
+     */
+    async create(fields) {
+      const entity = {
+        ...fields,
+        partitionKey: REQUEST_PARTITION_KEY,
+        // Time-ordered so the oldest requests are processed first
+        rowKey: `${Date.now()}_${crypto.randomBytes(4).toString('hex')}`
+      };
+
+      await store.createEntity(TABLES.dataRequests, entity);
+      return store.getEntity(TABLES.dataRequests, REQUEST_PARTITION_KEY, entity.rowKey);
+    },
+
+    async get(requestId) {
+      return store.getEntity(TABLES.dataRequests, REQUEST_PARTITION_KEY, requestId);
+    },
+
+    /**
+     * Merge changes onto a request - pass the request's etag to fail with 412 if it changed since it was read
+     */
+    async update(requestId, changes, { etag } = {}) {
+      await store.updateEntity(TABLES.dataRequests, {
+        ...changes,
+        partitionKey: REQUEST_PARTITION_KEY,
+        rowKey: requestId
+      }, 'Merge', { etag });
+    },
+
+    /**
+     * Replace a request, dropping columns not in `fields` (such as a raw email)
+     */
+    async replace(requestId, fields, { etag } = {}) {
+      await store.updateEntity(TABLES.dataRequests, {
+        ...fields,
+        partitionKey: REQUEST_PARTITION_KEY,
+        rowKey: requestId
+      }, 'Replace', { etag });
+    },
+
+    /**
+     * Delete a request - resolves false when it was already gone
+     */
+    async remove(requestId) {
+      return store.deleteEntity(TABLES.dataRequests, REQUEST_PARTITION_KEY, requestId);
+    },
+
+    /**
+     * Store an export document's chunks, replacing those of an earlier attempt
+     */
+    async saveExportChunks(requestId, chunks) {
+      await this.removeExportChunks(requestId);
+      for (let index = 0; index < chunks.length; index++) {
+        await store.upsertEntity(TABLES.dataRequests, {
+          partitionKey: getExportPartitionKey(requestId),
+          // Zero-padded so the chunks list in order
+          rowKey: String(index).padStart(6, '0'),
+          data: chunks[index]
+        }, 'Replace');
+      }
+    },
+
+    /**
+     * An export document's chunks, in order
+     */
+    async listExportChunks(requestId) {
+      const chunks = [];
+      const entities = store.listEntities(TABLES.dataRequests, {
+        partitionKey: getExportPartitionKey(requestId)
+      });
+
+      for await (const entity of entities) {
+        chunks.push(entity);
+      }
+      return chunks
+        .sort((a, b) => a.rowKey.localeCompare(b.rowKey))
+        .map(entity => entity.data || '');
+    },
+
+    /**
+     * Delete an export document's chunks, returning how many were removed
+     */
+    async removeExportChunks(requestId) {
+      let removed = 0;
+      const entities = store.listEntities(TABLES.dataRequests, {
+        partitionKey: getExportPartitionKey(requestId),
+        select: ['PartitionKey', 'RowKey']
+      });
+
+      for await (const entity of entities) {
+        if (await store.deleteEntity(TABLES.dataRequests, entity.partitionKey, entity.rowKey)) {
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    /**
+     * Every request made for an email, by the hash of the normalized email
+     */
+    async listForEmailHash(emailHash) {
+      const requests = [];
+      const entities = store.listEntities(TABLES.dataRequests, {
+        partitionKey: REQUEST_PARTITION_KEY,
+        where: [{ field: 'emailHash', op: 'eq', value: emailHash }]
+      });
+
+      for await (const entity of entities) {
+        requests.push(entity);
+      }
+      return requests;
+    },
+
+    /**
+     * Requests in one of the given statuses whose next attempt is due, oldest first
+     */
+    async listDue(statuses, now, limit) {
+      const requests = [];
+      const entities = store.listEntities(TABLES.dataRequests, {
+        partitionKey: REQUEST_PARTITION_KEY,
+        where: [
+          { field: 'status', op: 'in', value: statuses },
+          { field: 'nextAttemptAt', op: 'le', value: now }
+        ]
+      });
+
+      for await (const entity of entities) {
+        requests.push(entity);
+        if (requests.length >= limit) break;
+      }
+      return requests;
+    },
+
+    /**
+     * Completed exports whose stored document has passed its expiry
+     */
+    async listExpiredExports(now) {
+      const requests = [];
+      const entities = store.listEntities(TABLES.dataRequests, {
+        partitionKey: REQUEST_PARTITION_KEY,
+        where: [
+          { field: 'type', op: 'eq', value: 'export' },
+          { field: 'exportExpiresAt', op: 'lt', value: now }
+        ]
+      });
+
+      for await (const entity of entities) {
+        requests.push(entity);
+      }
+      return requests;
+    }
+  };
+}
+
+module.exports = {
+  createDataRequestRepository
+};
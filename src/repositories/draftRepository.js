@@ -0,0 +1,90 @@
+const { TABLES } = require('./tables');
+
+// Every draft lives in one partition, keyed by the hash of its resume token
+const DRAFT_PARTITION = 'draft';
+
+/**
+ * Anonymous survey drafts - answers saved against a resume token before the
+ * respondent's email is known
+ */
+function createDraftRepository(store) {
+  return {
+    async get(tokenHash) {
+      return store.getEntity(TABLES.surveyDrafts, DRAFT_PARTITION, tokenHash);
+    },
+
+    /**
+     * Create a draft - fails with 409 when the token hash is already taken
+     */
+    async create(tokenHash, fields) {
+      await store.createEntity(TABLES.surveyDrafts, {
+        ...fields,
+        partitionKey: DRAFT_PARTITION,
+        rowKey: tokenHash
+      });
+    },
+
+    /**
+     * Merge columns into a draft - pass the draft's etag to fail with 412 if it changed since it was read
+     */
+    async merge(tokenHash, changes, { etag } = {}) {
+      await store.updateEntity(TABLES.surveyDrafts, {
+        ...changes,
+        partitionKey: DRAFT_PARTITION,
+        rowKey: tokenHash
+      }, 'Merge', { etag });
+    },
+
+    /**
+     * Drafts an email was attached to, claimed or not
+     */
+    async listForEmail(email) {
+      const drafts = [];
+      const entities = store.listEntities(TABLES.surveyDrafts, {
+        partitionKey: DRAFT_PARTITION,
+        where: [{ field: 'email', op: 'eq', value: email }]
+      });
+      for await (const entity of entities) {
+        drafts.push(entity);
+      }
+      return drafts;
+    },
+
+    /**
+     * Drafts with an email attached that are waiting for the subscriber
+     */
+    listPendingClaims() {
+      return store.listEntities(TABLES.surveyDrafts, {
+        partitionKey: DRAFT_PARTITION,
+        where: [{ field: 'status', op: 'eq', value: 'pending' }]
+      });
+    },
+
+    async remove(tokenHash) {
+      return store.deleteEntity(TABLES.surveyDrafts, DRAFT_PARTITION, tokenHash);
+    },
+
+    /**
+     * Delete drafts that expired before a time, returning how many were removed
+     */
+    async purgeExpired(now) {
+      let removed = 0;
+      const entities = store.listEntities(TABLES.surveyDrafts, {
+        partitionKey: DRAFT_PARTITION,
+        where: [{ field: 'expiresAt', op: 'lt', value: now }],
+        select: ['PartitionKey', 'RowKey']
+      });
+
+      for await (const entity of entities) {
+        if (await store.deleteEntity(TABLES.surveyDrafts, DRAFT_PARTITION, entity.rowKey)) {
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+}
+
+module.exports = {
+  createDraftRepository
+};
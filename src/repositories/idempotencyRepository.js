@@ -0,0 +1,69 @@
+const { TABLES } = require('./tables');
+
+/**
+ * Idempotency records - one row per scope and hashed idempotency key, holding the
+ * stored result of the first request made with that key
+ */
+function createIdempotencyRepository(store) {
+  return {
+    async get(scope, keyHash) {
+      return store.getEntity(TABLES.idempotencyKeys, scope, keyHash);
+    },
+
+    /**
+     * Create a record - fails with 409 when the key is already recorded
+     */
+    async create(scope, keyHash, fields) {
+      await store.createEntity(TABLES.idempotencyKeys, {
+        ...fields,
+        partitionKey: scope,
+        rowKey: keyHash
+      });
+    },
+
+    /**
+     * Replace a record - pass the record's etag to fail with 412 if it changed since it was read
+     */
+    async replace(scope, keyHash, fields, { etag } = {}) {
+      await store.updateEntity(TABLES.idempotencyKeys, {
+        ...fields,
+        partitionKey: scope,
+        rowKey: keyHash
+      }, 'Replace', { etag });
+    },
+
+    /**
+     * Every record of a scope, read lazily
+     */
+    listAll(scope) {
+      return store.listEntities(TABLES.idempotencyKeys, { partitionKey: scope });
+    },
+
+    async remove(scope, keyHash) {
+      return store.deleteEntity(TABLES.idempotencyKeys, scope, keyHash);
+    },
+
+    /**
+     * Delete a scope's records that expired before a time, returning how many were removed
+     */
+    async purgeExpired(scope, now) {
+      let removed = 0;
+      const entities = store.listEntities(TABLES.idempotencyKeys, {
+        partitionKey: scope,
+        where: [{ field: 'expiresAt', op: 'lt', value: now }],
+        select: ['PartitionKey', 'RowKey']
+      });
+
+      for await (const entity of entities) {
+        if (await store.deleteEntity(TABLES.idempotencyKeys, scope, entity.rowKey)) {
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+}
+
+module.exports = {
+  createIdempotencyRepository
+};
@@ -0,0 +1,81 @@
+const { createAzureTableStore } = require('./azureTableStore');
+const { createMemoryTableStore } = require('./memoryTableStore');
+const { createSubscriberRepository } = require('./subscriberRepository');
+const { createSurveyResponseRepository } = require('./surveyResponseRepository');
+const { createUserTagRepository } = require('./userTagRepository');
+const { createSyncJobRepository } = require('./syncJobRepository');
+const { createAnalyticsRepository } = require('./analyticsRepository');
+const { createRateLimitRepository } = require('./rateLimitRepository');
+const { createIdempotencyRepository } = require('./idempotencyRepository');
+const { createDraftRepository } = require('./draftRepository');
+const { createDataRequestRepository } = require('./dataRequestRepository');
+const { createConsentRepository } = require('./consentRepository');
+const { TABLES, getAllTableNames } = require('./tables');
+
+/**
+ * Storage repositories.
+ *
+ * Services and functions never talk to a storage SDK directly - they use the domain
+ * repositories returned by getRepositories(). The backend is chosen with STORAGE_PROVIDER:
+ *   azure  - Azure Table Storage (default)
+ *   memory - in-process tables, for running the API locally without a storage account
+ *
+ * Both providers share the table-shaped repositories below, built on a small table
+ * store interface (ensureTable, createEntity, getEntity, upsertEntity, updateEntity,
+ * deleteEntity, listEntities, listPage, testConnection). A backend that is not
+ * table-shaped, such as SQL for `database/schema.sql`, should provide its own
+ * repositories with the same methods and register them in PROVIDERS.
+ */
+const PROVIDERS = {
+  azure: () => createTableRepositories(createAzureTableStore()),
+  memory: () => createTableRepositories(createMemoryTableStore())
+};
+
+let repositories;
+
+function createTableRepositories(store) {
+  return {
+    provider: store.provider,
+    store,
+    subscribers: createSubscriberRepository(store),
+    surveyResponses: createSurveyResponseRepository(store),
+    userTags: createUserTagRepository(store),
+    syncJobs: createSyncJobRepository(store),
+    analytics: createAnalyticsRepository(store),
+    rateLimits: createRateLimitRepository(store),
+    idempotencyKeys: createIdempotencyRepository(store),
+    drafts: createDraftRepository(store),
+    dataRequests: createDataRequestRepository(store),
+    consents: createConsentRepository(store),
+
+    async ensureTables() {
+      for (const tableName of getAllTableNames()) {
+        await store.ensureTable(tableName);
+      }
+    },
+
+    async testConnection() {
+      return store.testConnection();
+    }
+  };
+}
+
+/**
+ * Repositories for the configured STORAGE_PROVIDER (created once per process)
+ */
+function getRepositories() {
+  if (!repositories) {
+    const provider = (process.env.STORAGE_PROVIDER || 'azure').toLowerCase();
+    if (!PROVIDERS[provider]) {
+      throw new Error(`Unknown STORAGE_PROVIDER ${provider} (expected ${Object.keys(PROVIDERS).join(' or ')})`);
+    }
+    repositories = PROVIDERS[provider]();
+    console.log(`Using ${provider} storage provider`);
+  }
+  return repositories;
+}
+
+module.exports = {
+  TABLES,
+  getRepositories
+};
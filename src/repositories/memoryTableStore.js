@@ -0,0 +1,188 @@
+const fs = require('fs');
+
+function storeError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function cloneValue(value) {
+  return value instanceof Date ? new Date(value.getTime()) : value;
+}
+
+// Like Azure, properties set to null or undefined are not stored
+function cloneProperties(entity) {
+  const properties = {};
+  for (const [key, value] of Object.entries(entity)) {
+    if (key === 'etag' || key === 'timestamp' || value === null || value === undefined) continue;
+    properties[key] = cloneValue(value);
+  }
+  return properties;
+}
+
+function comparable(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+function matchesCondition(entity, { field, op, value }) {
+  const actual = entity[field === 'PartitionKey' ? 'partitionKey' : field === 'RowKey' ? 'rowKey' : field];
+
+  // Azure never matches an entity that lacks the filtered property
+  if (actual === undefined) return false;
+
+  const left = comparable(actual);
+  if (op === 'in') {
+    return value.some(candidate => left === comparable(candidate));
+  }
+
+  const right = comparable(value);
+  switch (op) {
+    case 'eq': return left === right;
+    case 'ne': return left !== right;
+    case 'gt': return left > right;
+    case 'ge': return left >= right;
+    case 'lt': return left < right;
+    case 'le': return left <= right;
+    default: throw new Error(`Unsupported filter operator ${op}`);
+  }
+}
+
+function compareKeys(a, b) {
+  if (a.partitionKey !== b.partitionKey) return a.partitionKey < b.partitionKey ? -1 : 1;
+  if (a.rowKey !== b.rowKey) return a.rowKey < b.rowKey ? -1 : 1;
+  return 0;
+}
+
+/**
+ * In-memory table store with the same semantics as the Azure Table Storage store
+ * (Merge/Replace, ETags, PartitionKey/RowKey ordering, continuation tokens), so the
+ * API can run locally without a storage account.
+ *
+ * Data lives for the lifetime of the process. MEMORY_STORE_SEED_FILE can point at a
+ * JSON file of `{ "<tableName>": [entity, ...] }` to start with existing subscribers.
+ */
+function createMemoryTableStore({ seedFile = process.env.MEMORY_STORE_SEED_FILE } = {}) {
+  const tables = new Map();
+  let etagCounter = 0;
+
+  function getTable(tableName) {
+    if (!tables.has(tableName)) {
+      tables.set(tableName, new Map());
+    }
+    return tables.get(tableName);
+  }
+
+  function entityKey(partitionKey, rowKey) {
+    return JSON.stringify([partitionKey, rowKey]);
+  }
+
+  function write(tableName, properties) {
+    etagCounter++;
+    getTable(tableName).set(entityKey(properties.partitionKey, properties.rowKey), {
+      properties,
+      etag: `W/"${etagCounter}"`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  function read(stored, select) {
+    const entity = { etag: stored.etag, timestamp: stored.timestamp };
+    for (const [key, value] of Object.entries(stored.properties)) {
+      if (!select || key === 'partitionKey' || key === 'rowKey' || select.includes(key)) {
+        entity[key] = cloneValue(value);
+      }
+    }
+    return entity;
+  }
+
+  function query(tableName, { partitionKey, where = [], select } = {}) {
+    return [...getTable(tableName).values()]
+      .filter(stored => partitionKey === undefined || stored.properties.partitionKey === partitionKey)
+      .filter(stored => where.every(condition => matchesCondition(stored.properties, condition)))
+      .sort((a, b) => compareKeys(a.properties, b.properties))
+      .map(stored => read(stored, select));
+  }
+
+  function requireKeys(entity) {
+    if (typeof entity.partitionKey !== 'string' || typeof entity.rowKey !== 'string') {
+      throw storeError(400, 'Entities require string partitionKey and rowKey');
+    }
+  }
+
+  if (seedFile) {
+    const seed = JSON.parse(fs.readFileSync(seedFile, 'utf8'));
+    for (const [tableName, entities] of Object.entries(seed)) {
+      entities.forEach(entity => write(tableName, cloneProperties(entity)));
+    }
+    console.log(`Memory table store seeded from ${seedFile}`);
+  }
+
+  return {
+    provider: 'memory',
+
+    async ensureTable(tableName) {
+      getTable(tableName);
+    },
+
+    async createEntity(tableName, entity) {
+      requireKeys(entity);
+      if (getTable(tableName).has(entityKey(entity.partitionKey, entity.rowKey))) {
+        throw storeError(409, `Entity ${entity.partitionKey}/${entity.rowKey} already exists in ${tableName}`);
+      }
+      write(tableName, cloneProperties(entity));
+    },
+
+    async getEntity(tableName, partitionKey, rowKey) {
+      const stored = getTable(tableName).get(entityKey(partitionKey, rowKey));
+      return stored ? read(stored) : null;
+    },
+
+    async upsertEntity(tableName, entity, mode = 'Merge') {
+      requireKeys(entity);
+      const stored = getTable(tableName).get(entityKey(entity.partitionKey, entity.rowKey));
+      const properties = cloneProperties(entity);
+      write(tableName, stored && mode === 'Merge' ? { ...stored.properties, ...properties } : properties);
+    },
+
+    async updateEntity(tableName, entity, mode = 'Merge', { etag } = {}) {
+      requireKeys(entity);
+      const stored = getTable(tableName).get(entityKey(entity.partitionKey, entity.rowKey));
+      if (!stored) {
+        throw storeError(404, `Entity ${entity.partitionKey}/${entity.rowKey} not found in ${tableName}`);
+      }
+      if (etag && etag !== '*' && etag !== stored.etag) {
+        throw storeError(412, `Entity ${entity.partitionKey}/${entity.rowKey} was modified by another request`);
+      }
+
+      const properties = cloneProperties(entity);
+      write(tableName, mode === 'Merge' ? { ...stored.properties, ...properties } : properties);
+    },
+
+    async deleteEntity(tableName, partitionKey, rowKey) {
+      return getTable(tableName).delete(entityKey(partitionKey, rowKey));
+    },
+
+    async *listEntities(tableName, queryOptions = {}) {
+      yield* query(tableName, queryOptions);
+    },
+
+    async listPage(tableName, queryOptions = {}, { pageSize = 50, continuationToken } = {}) {
+      const entities = query(tableName, queryOptions);
+      const offset = continuationToken ? parseInt(Buffer.from(continuationToken, 'base64').toString('utf8'), 10) || 0 : 0;
+      const next = offset + pageSize;
+
+      return {
+        entities: entities.slice(offset, next),
+        continuationToken: next < entities.length ? Buffer.from(String(next)).toString('base64') : null
+      };
+    },
+
+    async testConnection() {
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  createMemoryTableStore
+};
@@ -0,0 +1,71 @@
+const { TABLES } = require('./tables');
+
+/**
+ * Rate limit counters - one row per policy, key and fixed window.
+ *
+ * Rows are partitioned by policy with row keys `<windowStart>_<key>`, the window start
+ * being zero-padded epoch seconds, so expired windows sort first and can be purged
+ * with a row key range.
+ */
+const MAX_INCREMENT_ATTEMPTS = 5;
+
+function getWindowPrefix(windowStartSeconds) {
+  return String(windowStartSeconds).padStart(12, '0');
+}
+
+function createRateLimitRepository(store) {
+  return {
+    /**
+     * Count one request against a window and return the window's new total.
+     * Concurrent requests race on the row's etag and retry, so none are lost.
+     */
+    async increment(policy, key, windowStartSeconds) {
+      const rowKey = `${getWindowPrefix(windowStartSeconds)}_${key}`;
+
+      for (let attempt = 1; attempt <= MAX_INCREMENT_ATTEMPTS; attempt++) {
+        const existing = await store.getEntity(TABLES.rateLimits, policy, rowKey);
+
+        try {
+          if (!existing) {
+            await store.createEntity(TABLES.rateLimits, { partitionKey: policy, rowKey, count: 1 });
+            return 1;
+          }
+
+          const count = (existing.count || 0) + 1;
+          await store.updateEntity(TABLES.rateLimits, { partitionKey: policy, rowKey, count }, 'Merge', { etag: existing.etag });
+          return count;
+        } catch (error) {
+          // Another instance created or bumped the counter first - read it again
+          if (error.statusCode !== 409 && error.statusCode !== 412) {
+            throw error;
+          }
+        }
+      }
+
+      throw new Error(`Rate limit counter ${policy}/${rowKey} kept changing - gave up after ${MAX_INCREMENT_ATTEMPTS} attempts`);
+    },
+
+    /**
+     * Delete a policy's windows that started before a time, returning how many were removed
+     */
+    async purgeBefore(policy, windowStartSeconds) {
+      let removed = 0;
+      const entities = store.listEntities(TABLES.rateLimits, {
+        partitionKey: policy,
+        where: [{ field: 'RowKey', op: 'lt', value: getWindowPrefix(windowStartSeconds) }],
+        select: ['PartitionKey', 'RowKey']
+      });
+
+      for await (const entity of entities) {
+        if (await store.deleteEntity(TABLES.rateLimits, policy, entity.rowKey)) {
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+}
+
+module.exports = {
+  createRateLimitRepository
+};
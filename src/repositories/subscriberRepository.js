@@ -0,0 +1,192 @@
+const { TABLES } = require('./tables');
+const { normalizeEmail } = require('../utils/validation');
+
+const INDEX_ROW_KEY = 'subscriber';
+
+// Subscribers this API creates (rather than site registration) share one partition
+const PROVISIONED_PARTITION = 'provisioned';
+
+/**
+ * Email index key - storage keys cannot contain '/', '\\', '#' or '?'
+ */
+function getEmailIndexKey(normalizedEmail) {
+  return encodeURIComponent(normalizedEmail);
+}
+
+/**
+ * Email column of a subscriber (the existing table uses Email, some rows email)
+ */
+function getSubscriberEmail(subscriber) {
+  return subscriber.Email || subscriber.email;
+}
+
+/**
+ * Subscribers - one row per newsletter subscriber, with Q1-Q6 answers and tag_* fields.
+ *
+ * Subscribers are found through the `subscriberemailindex` table, keyed by the
+ * normalized email and pointing at the subscriber's PartitionKey/RowKey. Site
+ * registration writes the subscribers table directly and never touches the index, so
+ * a miss falls back to an exact-match query on the email columns and indexes what it
+ * finds - each subscriber is queried for once, later lookups hit the index.
+ */
+function createSubscriberRepository(store) {
+  async function findInIndex(normalizedEmail) {
+    const entry = await store.getEntity(TABLES.subscriberEmailIndex, getEmailIndexKey(normalizedEmail), INDEX_ROW_KEY);
+    if (!entry) {
+      return null;
+    }
+
+    const subscriber = await store.getEntity(TABLES.subscribers, entry.subscriberPartitionKey, entry.subscriberRowKey);
+    if (subscriber && normalizeEmail(getSubscriberEmail(subscriber)) === normalizedEmail) {
+      return subscriber;
+    }
+
+    // The subscriber was deleted or changed email since it was indexed
+    await store.deleteEntity(TABLES.subscriberEmailIndex, getEmailIndexKey(normalizedEmail), INDEX_ROW_KEY);
+    return null;
+  }
+
+  async function findByQuery(email, normalizedEmail) {
+    const candidates = [...new Set([email.trim(), normalizedEmail])];
+
+    for (const field of ['Email', 'email']) {
+      const entities = store.listEntities(TABLES.subscribers, {
+        where: [{ field, op: 'in', value: candidates }]
+      });
+
+      for await (const entity of entities) {
+        return entity;
+      }
+    }
+    return null;
+  }
+
+  return {
+    async findByEmail(email) {
+      const normalizedEmail = normalizeEmail(email);
+      if (!normalizedEmail) {
+        return null;
+      }
+
+      const indexed = await findInIndex(normalizedEmail);
+      if (indexed) {
+        return indexed;
+      }
+
+      const subscriber = await findByQuery(email, normalizedEmail);
+      if (subscriber) {
+        await this.indexSubscriber(subscriber);
+      }
+      return subscriber;
+    },
+
+    /**
+     * Point the email index at a subscriber.
+     * Returns 'indexed', 'unchanged', 'duplicate' (the email already points at another
+     * subscriber, which is kept unless `overwrite` is set) or 'skipped' (no email).
+     */
+    async indexSubscriber(subscriber, { overwrite = false } = {}) {
+      const normalizedEmail = normalizeEmail(getSubscriberEmail(subscriber));
+      if (!normalizedEmail) {
+        return 'skipped';
+      }
+
+      const key = getEmailIndexKey(normalizedEmail);
+      const existing = await store.getEntity(TABLES.subscriberEmailIndex, key, INDEX_ROW_KEY);
+      if (existing) {
+        const sameSubscriber = existing.subscriberPartitionKey === subscriber.partitionKey &&
+          existing.subscriberRowKey === subscriber.rowKey;
+        if (sameSubscriber) {
+          return 'unchanged';
+        }
+        if (!overwrite) {
+          return 'duplicate';
+        }
+      }
+
+      await store.upsertEntity(TABLES.subscriberEmailIndex, {
+        partitionKey: key,
+        rowKey: INDEX_ROW_KEY,
+        email: normalizedEmail,
+        subscriberPartitionKey: subscriber.partitionKey,
+        subscriberRowKey: subscriber.rowKey,
+        indexedAt: new Date().toISOString()
+      }, 'Replace');
+      return 'indexed';
+    },
+
+    async get(partitionKey, rowKey) {
+      return store.getEntity(TABLES.subscribers, partitionKey, rowKey);
+    },
+
+    /**
+     * Create a subscriber keyed by its normalized email and index it.
+     * Fails with 409 when this email was already created here.
+     */
+    async create(fields) {
+      const normalizedEmail = normalizeEmail(fields.Email);
+      const subscriber = {
+        ...fields,
+        Email: normalizedEmail,
+        partitionKey: PROVISIONED_PARTITION,
+        rowKey: getEmailIndexKey(normalizedEmail)
+      };
+
+      await store.createEntity(TABLES.subscribers, subscriber);
+      await this.indexSubscriber(subscriber);
+      return store.getEntity(TABLES.subscribers, subscriber.partitionKey, subscriber.rowKey);
+    },
+
+    /**
+     * Delete a subscriber and its email index entry
+     */
+    async remove(subscriber) {
+      const normalizedEmail = normalizeEmail(getSubscriberEmail(subscriber));
+      if (normalizedEmail) {
+        await store.deleteEntity(TABLES.subscriberEmailIndex, getEmailIndexKey(normalizedEmail), INDEX_ROW_KEY);
+      }
+      return store.deleteEntity(TABLES.subscribers, subscriber.partitionKey, subscriber.rowKey);
+    },
+
+    /**
+     * Merge changed columns onto a subscriber read earlier.
+     * Fails with 412 if the subscriber changed since it was read.
+     */
+    async merge(subscriber, changes) {
+      await store.updateEntity(TABLES.subscribers, {
+        ...changes,
+        partitionKey: subscriber.partitionKey,
+        rowKey: subscriber.rowKey
+      }, 'Merge', { etag: subscriber.etag });
+    },
+
+    async listByKitSyncStatus(status, { limit = 50, select } = {}) {
+      const subscribers = [];
+      const entities = store.listEntities(TABLES.subscribers, {
+        where: [{ field: 'kitSyncStatus', op: 'eq', value: status }],
+        select
+      });
+
+      for await (const entity of entities) {
+        if (subscribers.length >= limit) break;
+        subscribers.push(entity);
+      }
+      return subscribers;
+    },
+
+    /**
+     * Every subscriber, read lazily
+     */
+    listAll() {
+      return store.listEntities(TABLES.subscribers);
+    },
+
+    async listPage({ pageSize, continuationToken } = {}) {
+      return store.listPage(TABLES.subscribers, {}, { pageSize, continuationToken });
+    }
+  };
+}
+
+module.exports = {
+  createSubscriberRepository
+};
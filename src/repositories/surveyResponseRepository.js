@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { TABLES } = require('./tables');
+const { normalizeEmail } = require('../utils/validation');
+
+// Responses kept for research after their respondent asked to be forgotten
+const ANONYMIZED_PARTITION_KEY = 'anonymized';
+
+/**
+ * Survey responses - one row per submission, partitioned by normalized email
+ */
+function createSurveyResponseRepository(store) {
+  return {
+    /**
+     * Store a submission and return its response id
+     */
+    async insert(email, fields) {
+      const partitionKey = normalizeEmail(email);
+      const responseId = `${partitionKey}_${Date.now()}`;
+
+      await store.createEntity(TABLES.surveyResponses, {
+        ...fields,
+        partitionKey: partitionKey,
+        rowKey: responseId
+      });
+
+      return responseId;
+    },
+
+    async get(email, responseId) {
+      return store.getEntity(TABLES.surveyResponses, normalizeEmail(email), responseId);
+    },
+
+    /**
+     * Find a response by id alone - ids are `<email>_<timestamp>`, older ones are looked up by RowKey
+     */
+    async findById(responseId) {
+      const match = /^(.+)_\d+$/.exec(responseId);
+      if (match) {
+        const entity = await this.get(match[1], responseId);
+        if (entity) {
+          return entity;
+        }
+      }
+
+      const entities = store.listEntities(TABLES.surveyResponses, {
+        where: [{ field: 'RowKey', op: 'eq', value: responseId }]
+      });
+      for await (const entity of entities) {
+        return entity;
+      }
+      return null;
+    },
+
+    async update(email, responseId, changes) {
+      await store.updateEntity(TABLES.surveyResponses, {
+        ...changes,
+        partitionKey: normalizeEmail(email),
+        rowKey: responseId
+      }, 'Merge');
+    },
+
+    /**
+     * Merge changed columns onto a response read earlier, wherever it is stored
+     */
+    async merge(response, changes) {
+      await store.updateEntity(TABLES.surveyResponses, {
+        ...changes,
+        partitionKey: response.partitionKey,
+        rowKey: response.rowKey
+      }, 'Merge');
+    },
+
+    /**
+     * Delete a response - resolves false when it was already gone
+     */
+    async remove(email, responseId) {
+      return store.deleteEntity(TABLES.surveyResponses, normalizeEmail(email), responseId);
+    },
+
+    /**
+     * Store a copy of a response with the respondent's identity removed, under the
+     * `anonymized` partition and a random respondent id
+     */
+    async insertAnonymized(anonymousId, fields) {
+      const rowKey = `${anonymousId}_${Date.now()}_${crypto.randomBytes(2).toString('hex')}`;
+      await store.createEntity(TABLES.surveyResponses, {
+        ...fields,
+        partitionKey: ANONYMIZED_PARTITION_KEY,
+        rowKey
+      });
+      return rowKey;
+    },
+
+    async listForEmail(email) {
+      const responses = [];
+      for await (const entity of store.listEntities(TABLES.surveyResponses, { partitionKey: normalizeEmail(email) })) {
+        responses.push(entity);
+      }
+      return responses;
+    },
+
+    /**
+     * Every response, read lazily
+     */
+    listAll() {
+      return store.listEntities(TABLES.surveyResponses);
+    },
+
+    /**
+     * One page of responses across all emails, optionally filtered by kitSyncStatus
+     * and moderationStatus
+     */
+    async listPage({ kitSyncStatus, moderationStatus, pageSize, continuationToken } = {}) {
+      const where = [];
+      if (kitSyncStatus) where.push({ field: 'kitSyncStatus', op: 'eq', value: kitSyncStatus });
+      if (moderationStatus) where.push({ field: 'moderationStatus', op: 'eq', value: moderationStatus });
+      return store.listPage(TABLES.surveyResponses, { where }, { pageSize, continuationToken });
+    },
+
+    /**
+     * Most recent submission for an email (null if they have never submitted)
+     */
+    async findLatestForEmail(email) {
+      // completedAt may be an ISO string or a Date depending on which endpoint wrote the row
+      const completedAt = entity => new Date(entity.completedAt || 0).getTime();
+
+      let latest = null;
+      for (const entity of await this.listForEmail(email)) {
+        if (!latest || completedAt(entity) >= completedAt(latest)) {
+          latest = entity;
+        }
+      }
+      return latest;
+    }
+  };
+}
+
+module.exports = {
+  createSurveyResponseRepository
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { TABLES } = require('./tables');
+const { normalizeEmail } = require('../utils/validation');
+
+/**
+ * Sync jobs - the Kit.com outbox
+ */
+const JOB_PARTITION_KEY = 'kitsync';
+
+function createSyncJobRepository(store) {
+  return {
+    /**
+     * Create a job and return the stored entity (with its etag, needed to claim it)
+     */
+    async create(fields) {
+      const entity = {
+        ...fields,
+        partitionKey: JOB_PARTITION_KEY,
+        // Time-ordered so the oldest jobs are drained first
+        rowKey: `${Date.now()}_${crypto.randomBytes(4).toString('hex')}`
+      };
+
+      await store.createEntity(TABLES.kitSyncJobs, entity);
+      return store.getEntity(TABLES.kitSyncJobs, JOB_PARTITION_KEY, entity.rowKey);
+    },
+
+    async get(jobId) {
+      return store.getEntity(TABLES.kitSyncJobs, JOB_PARTITION_KEY, jobId);
+    },
+
+    /**
+     * Merge changes onto a job - pass the job's etag to fail with 412 if it changed since it was read
+     */
+    async update(jobId, changes, { etag } = {}) {
+      await store.updateEntity(TABLES.kitSyncJobs, {
+        ...changes,
+        partitionKey: JOB_PARTITION_KEY,
+        rowKey: jobId
+      }, 'Merge', { etag });
+    },
+
+    /**
+     * Jobs in one of the given statuses whose next attempt is due, oldest first
+     */
+    async listDue(statuses, now, limit) {
+      const jobs = [];
+      const entities = store.listEntities(TABLES.kitSyncJobs, {
+        partitionKey: JOB_PARTITION_KEY,
+        where: [
+          { field: 'status', op: 'in', value: statuses },
+          { field: 'nextAttemptAt', op: 'le', value: now }
+        ]
+      });
+
+      for await (const entity of entities) {
+        jobs.push(entity);
+        if (jobs.length >= limit) break;
+      }
+      return jobs;
+    },
+
+    /**
+     * Jobs for an email in one of the given statuses, oldest first
+     */
+    async listForEmailInStatus(email, statuses) {
+      const normalizedEmail = normalizeEmail(email);
+      const jobs = [];
+      const entities = store.listEntities(TABLES.kitSyncJobs, {
+        partitionKey: JOB_PARTITION_KEY,
+        where: [{ field: 'status', op: 'in', value: statuses }]
+      });
+
+      for await (const entity of entities) {
+        if (normalizeEmail(entity.email) === normalizedEmail) {
+          jobs.push(entity);
+        }
+      }
+      return jobs;
+    },
+
+    /**
+     * Every job for an email, whatever its status (jobs keep the email as submitted)
+     */
+    async listForEmail(email) {
+      const normalizedEmail = normalizeEmail(email);
+      const jobs = [];
+      for await (const entity of store.listEntities(TABLES.kitSyncJobs, { partitionKey: JOB_PARTITION_KEY })) {
+        if (normalizeEmail(entity.email) === normalizedEmail) {
+          jobs.push(entity);
+        }
+      }
+      return jobs;
+    },
+
+    async remove(jobId) {
+      return store.deleteEntity(TABLES.kitSyncJobs, JOB_PARTITION_KEY, jobId);
+    }
+  };
+}
+
+module.exports = {
+  createSyncJobRepository
+};
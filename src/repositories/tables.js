@@ -0,0 +1,54 @@
+/**
+ * Table names, overridable through app settings.
+ * Getters so settings are read when a table is used rather than at require time.
+ */
+const TABLES = {
+  get subscribers() {
+    return process.env.SUBSCRIBER_TABLE_NAME || 'subscribers';
+  },
+  get subscriberEmailIndex() {
+    return process.env.SUBSCRIBER_EMAIL_INDEX_TABLE_NAME || 'subscriberemailindex';
+  },
+  get surveyResponses() {
+    return process.env.SURVEY_RESPONSES_TABLE_NAME || 'surveyresponses';
+  },
+  get surveyAnalytics() {
+    return process.env.SURVEY_ANALYTICS_TABLE_NAME || 'surveyanalytics';
+  },
+  get userTags() {
+    return process.env.USER_TAGS_TABLE_NAME || 'usertags';
+  },
+  get kitSyncJobs() {
+    return process.env.KIT_SYNC_JOBS_TABLE_NAME || 'kitsyncjobs';
+  },
+  get kitDriftReports() {
+    return process.env.KIT_DRIFT_REPORTS_TABLE_NAME || 'kitdriftreports';
+  },
+  get rateLimits() {
+    return process.env.RATE_LIMITS_TABLE_NAME || 'ratelimits';
+  },
+  get idempotencyKeys() {
+    return process.env.IDEMPOTENCY_KEYS_TABLE_NAME || 'idempotencykeys';
+  },
+  get surveyDrafts() {
+    return process.env.SURVEY_DRAFTS_TABLE_NAME || 'surveydrafts';
+  },
+  get dataRequests() {
+    return process.env.DATA_REQUESTS_TABLE_NAME || 'datarequests';
+  },
+  get marketingConsents() {
+    return process.env.MARKETING_CONSENTS_TABLE_NAME || 'marketingconsents';
+  }
+};
+
+/**
+ * Every table the API uses, for provisioning
+ */
+function getAllTableNames() {
+  return Object.keys(TABLES).map(key => TABLES[key]);
+}
+
+module.exports = {
+  TABLES,
+  getAllTableNames
+};
@@ -0,0 +1,38 @@
+const { TABLES } = require('./tables');
+const { normalizeEmail } = require('../utils/validation');
+
+/**
+ * User tags - one row per tag a user holds, keyed by normalized email and tag name
+ */
+function createUserTagRepository(store) {
+  return {
+    async upsert(email, tagName, fields = {}) {
+      await store.upsertEntity(TABLES.userTags, {
+        ...fields,
+        partitionKey: normalizeEmail(email),
+        rowKey: tagName,
+        email: normalizeEmail(email),
+        tagName: tagName
+      }, 'Replace');
+    },
+
+    /**
+     * Delete a tag row - resolves false when the tag was never stored
+     */
+    async remove(email, tagName) {
+      return store.deleteEntity(TABLES.userTags, normalizeEmail(email), tagName);
+    },
+
+    async listForEmail(email) {
+      const tags = [];
+      for await (const entity of store.listEntities(TABLES.userTags, { partitionKey: normalizeEmail(email) })) {
+        tags.push(entity);
+      }
+      return tags;
+    }
+  };
+}
+
+module.exports = {
+  createUserTagRepository
+};
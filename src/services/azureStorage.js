@@ -1,56 +1,28 @@
-const { TableServiceClient, TableClient } = require('@azure/data-tables');
+const { getRepositories } = require('../repositories');
+const {
+  getCurrentSurveyVersion,
+  getStoredSurveyVersion,
+  getQuestions,
+  getQuestion,
+  toSubscriberColumns,
+  serializeAnswer,
+  parseAnswer,
+  getAnswerTags
+} = require('../survey/definition');
+const { buildModerationColumns } = require('./freeTextModeration');
 
-let tableServiceClient;
-
-/**
- * Initialize Azure Table Storage client
- */
-function initializeTableClient() {
-  if (!tableServiceClient) {
-    const connectionString = process.env.AZURE_STORAGE_CONNECTION_STRING;
-    if (!connectionString) {
-      throw new Error('AZURE_STORAGE_CONNECTION_STRING environment variable is not set');
-    }
-    tableServiceClient = TableServiceClient.fromConnectionString(connectionString);
-  }
-  return tableServiceClient;
-}
-
-/**
- * Get table client for a specific table
- */
-function getTableClient(tableName) {
-  const serviceClient = initializeTableClient();
-  return new TableClient(process.env.AZURE_STORAGE_CONNECTION_STRING, tableName);
-}
+// Concurrent writes to one subscriber are retried this many times before giving up
+const MAX_UPDATE_ATTEMPTS = 5;
 
 /**
  * Ensure tables exist, create if they don't
  */
 async function ensureTablesExist() {
-  const serviceClient = initializeTableClient();
-  
-  const subscriberTableName = process.env.SUBSCRIBER_TABLE_NAME || 'subscribers';
-  const surveyResponsesTableName = process.env.SURVEY_RESPONSES_TABLE_NAME || 'surveyresponses';
-  
-  try {
-    // Create subscribers table if it doesn't exist
-    await serviceClient.createTable(subscriberTableName);
-    console.log(`Table ${subscriberTableName} created or already exists`);
-  } catch (error) {
-    if (error.statusCode !== 409) { // 409 = table already exists
-      console.error(`Error creating ${subscriberTableName} table:`, error);
-    }
-  }
-  
   try {
-    // Create survey responses table if it doesn't exist
-    await serviceClient.createTable(surveyResponsesTableName);
-    console.log(`Table ${surveyResponsesTableName} created or already exists`);
+    await getRepositories().ensureTables();
+    console.log('Storage tables created or already exist');
   } catch (error) {
-    if (error.statusCode !== 409) { // 409 = table already exists
-      console.error(`Error creating ${surveyResponsesTableName} table:`, error);
-    }
+    console.error('Error creating storage tables:', error);
   }
 }
 
@@ -58,20 +30,8 @@ async function ensureTablesExist() {
  * Find subscriber by email
  */
 async function getSubscriberByEmail(email) {
-  const tableName = process.env.SUBSCRIBER_TABLE_NAME || 'subscribers';
-  const tableClient = getTableClient(tableName);
-  
   try {
-    // In Azure Table Storage, we'll use email as the row key for easy lookup
-    // You may need to adjust this based on your existing table structure
-    const entities = tableClient.listEntities({
-      filter: `Email eq '${email}'`
-    });
-    
-    for await (const entity of entities) {
-      return entity;
-    }
-    return null;
+    return await getRepositories().subscribers.findByEmail(email);
   } catch (error) {
     console.error(`Error getting subscriber by email ${email}:`, error);
     throw error;
@@ -79,50 +39,70 @@ async function getSubscriberByEmail(email) {
 }
 
 /**
- * Update a single question's answer in real-time as user progresses
+ * The single write path for subscribers.
+ *
+ * `buildChanges(subscriber)` gets the freshly read entity and returns the columns to
+ * write. Changes are merged (so columns this API does not own, like Name or Password,
+ * are never dropped) and guarded by the entity's ETag - if another request wrote the
+ * subscriber in between, it is re-read and the changes rebuilt.
+ *
+ * Returns the updated subscriber, or null if no subscriber has this email.
  */
-async function updateQuestionAnswer(email, questionNumber, answer, otherText = null) {
-  const tableName = process.env.SUBSCRIBER_TABLE_NAME || 'subscribers';
-  const tableClient = getTableClient(tableName);
+async function updateSubscriber(email, buildChanges) {
+  const { subscribers } = getRepositories();
   
-  try {
-    // Find existing subscriber
+  for (let attempt = 1; ; attempt++) {
     const subscriber = await getSubscriberByEmail(email);
-    
     if (!subscriber) {
-      throw new Error(`Subscriber with email ${email} not found`);
+      return null;
+    }
+    
+    const changes = buildChanges(subscriber);
+    
+    try {
+      await subscribers.merge(subscriber, changes);
+      return { ...subscriber, ...changes };
+    } catch (error) {
+      if (error.statusCode !== 412 || attempt >= MAX_UPDATE_ATTEMPTS) {
+        throw error;
+      }
+      console.log(`Subscriber ${email} changed during update, retrying (attempt ${attempt})`);
+    }
+  }
+}
+
+/**
+ * Update a single question's answer in real-time as user progresses
+ */
+async function updateQuestionAnswer(email, questionNumber, answer, otherText = null, surveyVersion = null) {
+  try {
+    const version = surveyVersion || getCurrentSurveyVersion();
+    const question = getQuestion(questionNumber, version);
+    if (!question) {
+      throw new Error(`Unknown survey question ${questionNumber} in survey version ${version}`);
     }
     
     // Prepare the update object
     const updateData = {
-      partitionKey: subscriber.partitionKey,
-      rowKey: subscriber.rowKey,
-      etag: subscriber.etag,
+      surveyVersion: version,
       updatedAt: new Date().toISOString()
     };
     
-    // Update the specific question field
-    const questionField = `Q${questionNumber}`;
-    const otherField = `Q${questionNumber}_other`;
-    
-    // Handle different answer types
-    if (Array.isArray(answer)) {
-      // Multiple selection questions (Q3, Q4, Q6)
-      updateData[questionField] = JSON.stringify(answer);
-    } else {
-      // Single selection questions (Q1, Q2, Q5)
-      updateData[questionField] = answer;
-    }
+    // Multiple selection questions are stored as JSON arrays, single selections as the tag
+    updateData[question.id] = serializeAnswer(question, answer);
     
     // Handle "other" text responses
-    if (otherText && (questionNumber === 2 || questionNumber === 6)) {
-      updateData[otherField] = otherText;
+    if (otherText && question.other) {
+      updateData[question.other.column] = otherText;
     }
     
     // Update the entity
-    await tableClient.updateEntity(updateData, 'Replace');
+    const subscriber = await updateSubscriber(email, () => updateData);
+    if (!subscriber) {
+      throw new Error(`Subscriber with email ${email} not found`);
+    }
     
-    console.log(`Updated ${questionField} for ${email} with answer:`, answer);
+    console.log(`Updated ${question.id} for ${email} with answer:`, answer);
     return true;
     
   } catch (error) {
@@ -151,17 +131,18 @@ async function getSurveyProgress(email) {
     const completedQuestions = [];
     const questionProgress = {};
     
-    // Check each question
-    for (let i = 1; i <= 6; i++) {
-      const questionField = `Q${i}`;
-      if (subscriber[questionField]) {
-        completedQuestions.push(i);
-        questionProgress[questionField] = subscriber[questionField];
+    // Check each question of the version the subscriber answered
+    const questions = getQuestions(getStoredSurveyVersion(subscriber));
+    questions.forEach((question, index) => {
+      if (subscriber[question.id]) {
+        completedQuestions.push(index + 1);
+        questionProgress[question.id] = subscriber[question.id];
       }
-    }
+    });
     
-    const progressPercent = Math.round((completedQuestions.length / 6) * 100);
-    const nextQuestion = completedQuestions.length < 6 ? completedQuestions.length + 1 : null;
+    const totalQuestions = questions.length;
+    const progressPercent = Math.round((completedQuestions.length / totalQuestions) * 100);
+    const nextQuestion = completedQuestions.length < totalQuestions ? completedQuestions.length + 1 : null;
     
     return {
       email: email,
@@ -170,6 +151,7 @@ async function getSurveyProgress(email) {
       completedQuestions: completedQuestions,
       nextQuestion: nextQuestion,
       questionData: questionProgress,
+      surveyVersion: getStoredSurveyVersion(subscriber),
       surveyCompleted: subscriber.surveyCompleted || false,
       lastUpdated: subscriber.updatedAt
     };
@@ -198,30 +180,21 @@ async function getQuestionAnswers(email) {
     const answers = {};
     
     // Extract each question's answer
-    for (let i = 1; i <= 6; i++) {
-      const questionField = `Q${i}`;
-      const otherField = `Q${i}_other`;
-      
-      if (subscriber[questionField]) {
-        try {
-          // Try to parse as JSON (for multiple selection questions)
-          const parsed = JSON.parse(subscriber[questionField]);
-          answers[questionField] = Array.isArray(parsed) ? parsed : subscriber[questionField];
-        } catch (e) {
-          // Single selection or string value
-          answers[questionField] = subscriber[questionField];
-        }
+    for (const question of getQuestions(getStoredSurveyVersion(subscriber))) {
+      if (subscriber[question.id]) {
+        answers[question.id] = parseAnswer(question, subscriber[question.id]);
       }
       
       // Include "other" text if present
-      if (subscriber[otherField]) {
-        answers[otherField] = subscriber[otherField];
+      if (question.other && subscriber[question.other.column]) {
+        answers[question.other.column] = subscriber[question.other.column];
       }
     }
     
     return {
       email: email,
       answers: answers,
+      surveyVersion: getStoredSurveyVersion(subscriber),
       completed: subscriber.surveyCompleted || false,
       lastUpdated: subscriber.updatedAt
     };
@@ -235,73 +208,38 @@ async function getQuestionAnswers(email) {
  * Update subscriber tags - handles both individual tag updates and full survey data
  */
 async function updateSubscriberTags(subscriberId, updateData) {
-  const tableName = process.env.SUBSCRIBER_TABLE_NAME || 'subscribers';
-  const tableClient = getTableClient(tableName);
-  
   try {
     // If updateData has tagName, it's an individual tag update
     if (updateData.tagName) {
       // Individual tag update - store in a tags table or as individual fields
       // For now, we'll store it as a field on the subscriber entity
-      const subscriber = await getSubscriberByEmail(updateData.email);
-      if (!subscriber) {
-        throw new Error(`Subscriber with email ${updateData.email} not found`);
-      }
-      
       const tagFieldName = `tag_${updateData.tagName}`;
       const tagUpdateEntity = {
-        partitionKey: subscriber.partitionKey,
-        rowKey: subscriber.rowKey,
-        etag: subscriber.etag,
         [tagFieldName]: updateData.tagName,
         [`${tagFieldName}_source`]: updateData.tagSource || 'survey',
         [`${tagFieldName}_createdAt`]: updateData.createdAt || new Date().toISOString(),
         lastTagUpdate: new Date().toISOString()
       };
       
-      await tableClient.updateEntity(tagUpdateEntity, 'Merge');
+      const subscriber = await updateSubscriber(updateData.email, () => tagUpdateEntity);
+      if (!subscriber) {
+        throw new Error(`Subscriber with email ${updateData.email} not found`);
+      }
       console.log(`Individual tag ${updateData.tagName} updated for subscriber ${subscriberId}`);
       return;
     }
     
     // Full survey data update (legacy support)
-    const subscriber = await getSubscriberByEmail(updateData.email || subscriberId);
-    if (!subscriber) {
-      throw new Error(`Subscriber ${subscriberId} not found`);
-    }
-    
     // Update with full survey data
     const tagUpdate = {
-      partitionKey: subscriber.partitionKey,
-      rowKey: subscriber.rowKey,
-      etag: subscriber.etag,
-      
       // Survey completion info
       surveyCompleted: true,
       surveyCompletedAt: new Date().toISOString(),
       lastSurveyData: JSON.stringify(updateData.surveyData || {}),
       
-      // Q1 - Setting (single selection)
-      Q1: (updateData.surveyData && updateData.surveyData.setting) || '',
-      
-      // Q2 - Profession (single selection)
-      Q2: (updateData.surveyData && updateData.surveyData.profession) || '',
-      
-      // Q3 - Population Served (multiple selections)
-      Q3: JSON.stringify((updateData.surveyData && updateData.surveyData.populations) || []),
-      
-      // Q4 - Interests (multiple selections)
-      Q4: JSON.stringify((updateData.surveyData && updateData.surveyData.interests) || []),
-      
-      // Q5 - Frequency (single selection)
-      Q5: (updateData.surveyData && updateData.surveyData.frequency) || '',
-      
-      // Q6 - Modalities (multiple selections)
-      Q6: JSON.stringify((updateData.surveyData && updateData.surveyData.modalities) || []),
-      
-      // Free text responses (not sent to Kit.com)
-      Q2_other: (updateData.surveyData && updateData.surveyData.profession_other) || '',
-      Q6_other: (updateData.surveyData && updateData.surveyData.modality_other) || '',
+      // Q1-Q6 answers plus free text responses (not sent to Kit.com)
+      surveyVersion: updateData.surveyVersion || getCurrentSurveyVersion(),
+      ...toSubscriberColumns(updateData.surveyData, updateData.surveyVersion),
       
       // All selected tags as JSON array (for Kit.com sync)
       allSelectedTags: JSON.stringify(updateData.selectedTags || []),
@@ -314,7 +252,10 @@ async function updateSubscriberTags(subscriberId, updateData) {
       lastUpdated: new Date().toISOString()
     };
     
-    await tableClient.updateEntity(tagUpdate, 'Merge');
+    const subscriber = await updateSubscriber(updateData.email || subscriberId, () => tagUpdate);
+    if (!subscriber) {
+      throw new Error(`Subscriber ${subscriberId} not found`);
+    }
     console.log(`Subscriber tags updated for ${subscriberId}`);
     
   } catch (error) {
@@ -324,22 +265,87 @@ async function updateSubscriberTags(subscriberId, updateData) {
 }
 
 /**
- * Insert survey response record
+ * Tags stored as individual tag_<name> fields on a subscriber entity
  */
-async function insertSurveyResponse(surveyData) {
-  const tableName = process.env.SURVEY_RESPONSES_TABLE_NAME || 'surveyresponses';
-  const tableClient = getTableClient(tableName);
+function getTagFields(subscriber) {
+  const tags = [];
+  
+  for (const [key, value] of Object.entries(subscriber)) {
+    // tag_<name> holds the tag name itself (blank once removed); tag_<name>_source/_createdAt hold its provenance
+    if (key.startsWith('tag_') && value && key === `tag_${value}`) {
+      tags.push({
+        tagName: value,
+        tagSource: subscriber[`${key}_source`] || 'survey',
+        createdAt: subscriber[`${key}_createdAt`] || subscriber.timestamp || new Date().toISOString()
+      });
+    }
+  }
   
+  return tags;
+}
+
+/**
+ * All tags stored locally for a subscriber - allSelectedTags plus individual tag_* fields
+ */
+function getLocalSubscriberTags(subscriber) {
+  const tags = new Set(getTagFields(subscriber).map(tag => tag.tagName));
+  
+  if (subscriber.allSelectedTags) {
+    try {
+      JSON.parse(subscriber.allSelectedTags).forEach(tag => tags.add(tag));
+    } catch (e) {
+      console.error('Error parsing allSelectedTags:', e);
+    }
+  }
+  
+  return [...tags];
+}
+
+/**
+ * Remove tags from a subscriber - clears the tag_* fields and drops them from allSelectedTags
+ */
+async function removeSubscriberTags(email, tagNames) {
   try {
-    // Create unique response ID
-    const responseId = `${surveyData.email}_${Date.now()}`;
+    const subscriber = await updateSubscriber(email, current => {
+      // Merges cannot drop columns, so removed tag_* fields are blanked - getTagFields skips them
+      const changes = { lastTagUpdate: new Date().toISOString() };
+      for (const tagName of tagNames) {
+        if (current[`tag_${tagName}`]) {
+          changes[`tag_${tagName}`] = '';
+          changes[`tag_${tagName}_source`] = '';
+          changes[`tag_${tagName}_createdAt`] = '';
+        }
+      }
+      
+      if (current.allSelectedTags) {
+        changes.allSelectedTags = JSON.stringify(
+          getLocalSubscriberTags({ allSelectedTags: current.allSelectedTags }).filter(tag => !tagNames.includes(tag))
+        );
+      }
+      return changes;
+    });
+    
+    if (!subscriber) {
+      throw new Error(`Subscriber with email ${email} not found`);
+    }
+    console.log(`Removed ${tagNames.length} tags for ${email}`);
     
+  } catch (error) {
+    console.error(`Error removing subscriber tags for ${email}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Insert survey response record
+ */
+async function insertSurveyResponse(surveyData) {
+  try {
     const surveyResponse = {
-      partitionKey: surveyData.email, // Partition by email for efficient queries
-      rowKey: responseId,
       therapistId: surveyData.therapistId || null,
       email: surveyData.email,
       name: surveyData.name,
+      surveyVersion: surveyData.surveyVersion || getCurrentSurveyVersion(),
       surveyData: JSON.stringify(surveyData.surveyData),
       recommendations: JSON.stringify(surveyData.recommendations || []),
       selectedTags: JSON.stringify(surveyData.selectedTags || []),
@@ -348,10 +354,12 @@ async function insertSurveyResponse(surveyData) {
       completed: surveyData.completed || false,
       kitSyncStatus: surveyData.kitSyncStatus || 'pending',
       kitSyncedAt: null,
-      kitErrorMessage: null
+      kitErrorMessage: null,
+      ...buildModerationColumns(surveyData.surveyData, surveyData.customResponses, surveyData.surveyVersion || getCurrentSurveyVersion())
     };
     
-    await tableClient.createEntity(surveyResponse);
+    // Partitioned by email for efficient queries
+    const responseId = await getRepositories().surveyResponses.insert(surveyData.email, surveyResponse);
     console.log(`Survey response created for ${surveyData.email} with ID: ${responseId}`);
     
     return responseId;
@@ -362,47 +370,43 @@ async function insertSurveyResponse(surveyData) {
   }
 }
 
+/**
+ * Get the most recent survey response for an email (null if they have never submitted)
+ */
+async function getLatestSurveyResponse(email) {
+  try {
+    return await getRepositories().surveyResponses.findLatestForEmail(email);
+  } catch (error) {
+    console.error(`Error getting latest survey response for ${email}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Update Kit.com sync status for a subscriber
  */
 async function updateKitSyncStatus(email, status, responseId = null) {
-  const subscriberTableName = process.env.SUBSCRIBER_TABLE_NAME || 'subscribers';
-  const surveyTableName = process.env.SURVEY_RESPONSES_TABLE_NAME || 'surveyresponses';
+  const { surveyResponses } = getRepositories();
   
   try {
-    // Update subscriber table
-    const subscriberTableClient = getTableClient(subscriberTableName);
-    const subscriber = await getSubscriberByEmail(email);
-    
-    if (subscriber) {
-      const updateData = {
-        partitionKey: subscriber.partitionKey,
-        rowKey: subscriber.rowKey,
-        etag: subscriber.etag,
-        kitSyncStatus: status,
-        kitSyncedAt: status === 'success' ? new Date().toISOString() : subscriber.kitSyncedAt,
-        updatedAt: new Date().toISOString()
-      };
-      
-      await subscriberTableClient.updateEntity(updateData, 'Replace');
+    // Update subscriber table (kitSyncedAt keeps the last successful sync)
+    const updateData = {
+      kitSyncStatus: status,
+      updatedAt: new Date().toISOString()
+    };
+    if (status === 'success') {
+      updateData.kitSyncedAt = new Date().toISOString();
     }
     
+    await updateSubscriber(email, () => updateData);
+    
     // Update survey response table if responseId provided
     if (responseId) {
-      const surveyTableClient = getTableClient(surveyTableName);
-      
       try {
-        const surveyResponse = await surveyTableClient.getEntity(email, responseId);
-        
-        const updateData = {
-          partitionKey: email,
-          rowKey: responseId,
-          etag: surveyResponse.etag,
+        await surveyResponses.update(email, responseId, {
           kitSyncStatus: status,
-          kitSyncedAt: status === 'success' ? new Date().toISOString() : surveyResponse.kitSyncedAt
-        };
-        
-        await surveyTableClient.updateEntity(updateData, 'Replace');
+          kitSyncedAt: updateData.kitSyncedAt
+        });
       } catch (error) {
         console.error(`Could not update survey response ${responseId}:`, error);
       }
@@ -436,57 +440,18 @@ async function getSubscriberTags(email) {
     const tags = [];
     const tagsByQuestion = {};
     
-    // Extract Q1 - Setting (single tag)
-    if (subscriber.Q1) {
-      tags.push(subscriber.Q1);
-      tagsByQuestion.Q1 = subscriber.Q1;
-    }
+    const freeTextResponses = {};
     
-    // Extract Q2 - Profession (single tag)
-    if (subscriber.Q2) {
-      tags.push(subscriber.Q2);
-      tagsByQuestion.Q2 = subscriber.Q2;
-    }
-    
-    // Extract Q3 - Population (multiple tags)
-    if (subscriber.Q3) {
-      try {
-        const q3Tags = JSON.parse(subscriber.Q3);
-        tags.push(...q3Tags);
-        tagsByQuestion.Q3 = q3Tags;
-      } catch (e) {
-        console.error('Error parsing Q3 tags:', e);
-        tagsByQuestion.Q3 = [];
+    // Single selection questions hold one tag, multiple selection questions a JSON array
+    for (const question of getQuestions(getStoredSurveyVersion(subscriber))) {
+      if (question.other) {
+        freeTextResponses[question.other.column] = subscriber[question.other.column] || '';
       }
-    }
-    
-    // Extract Q4 - Interests (multiple tags)
-    if (subscriber.Q4) {
-      try {
-        const q4Tags = JSON.parse(subscriber.Q4);
-        tags.push(...q4Tags);
-        tagsByQuestion.Q4 = q4Tags;
-      } catch (e) {
-        console.error('Error parsing Q4 tags:', e);
-        tagsByQuestion.Q4 = [];
-      }
-    }
-    
-    // Extract Q5 - Frequency (single tag)
-    if (subscriber.Q5) {
-      tags.push(subscriber.Q5);
-      tagsByQuestion.Q5 = subscriber.Q5;
-    }
-    
-    // Extract Q6 - Modalities (multiple tags)
-    if (subscriber.Q6) {
-      try {
-        const q6Tags = JSON.parse(subscriber.Q6);
-        tags.push(...q6Tags);
-        tagsByQuestion.Q6 = q6Tags;
-      } catch (e) {
-        console.error('Error parsing Q6 tags:', e);
-        tagsByQuestion.Q6 = [];
+      
+      if (subscriber[question.id]) {
+        const answer = parseAnswer(question, subscriber[question.id]);
+        tags.push(...getAnswerTags(answer));
+        tagsByQuestion[question.id] = answer;
       }
     }
     
@@ -494,10 +459,8 @@ async function getSubscriberTags(email) {
       email: email,
       tags: tags,
       tagsByQuestion: tagsByQuestion,
-      freeTextResponses: {
-        Q2_other: subscriber.Q2_other || '',
-        Q6_other: subscriber.Q6_other || ''
-      },
+      freeTextResponses: freeTextResponses,
+      surveyVersion: getStoredSurveyVersion(subscriber),
       allSelectedTags: subscriber.allSelectedTags ? JSON.parse(subscriber.allSelectedTags) : [],
       lastUpdated: subscriber.updatedAt || subscriber.surveyCompletedAt,
       surveyCompleted: subscriber.surveyCompleted || false,
@@ -514,28 +477,17 @@ async function getSubscriberTags(email) {
  * Get failed Kit.com syncs for retry
  */
 async function getFailedKitSyncs(limit = 50) {
-  const tableName = process.env.SUBSCRIBER_TABLE_NAME || 'subscribers';
-  const tableClient = getTableClient(tableName);
-  
   try {
-    const failedSyncs = [];
-    const entities = tableClient.listEntities({
-      filter: "kitSyncStatus eq 'failed'",
-      select: ['email', 'allSelectedTags', 'surveyCompletedAt']
+    const entities = await getRepositories().subscribers.listByKitSyncStatus('failed', {
+      limit,
+      select: ['Email', 'email', 'allSelectedTags', 'surveyCompletedAt']
     });
     
-    let count = 0;
-    for await (const entity of entities) {
-      if (count >= limit) break;
-      failedSyncs.push({
-        email: entity.email,
-        tags: entity.allSelectedTags ? JSON.parse(entity.allSelectedTags) : [],
-        completedAt: entity.surveyCompletedAt
-      });
-      count++;
-    }
-    
-    return failedSyncs;
+    return entities.map(entity => ({
+      email: entity.Email || entity.email,
+      tags: entity.allSelectedTags ? JSON.parse(entity.allSelectedTags) : [],
+      completedAt: entity.surveyCompletedAt
+    }));
     
   } catch (error) {
     console.error('Error getting failed Kit.com syncs:', error);
@@ -544,23 +496,16 @@ async function getFailedKitSyncs(limit = 50) {
 }
 
 /**
- * Test connection to Azure Table Storage
+ * Test connection to the configured storage provider
  */
 async function testConnection() {
   try {
-    const serviceClient = initializeTableClient();
-    // Try to list tables to test connection
-    const tables = serviceClient.listTables();
-    
-    // Just get the first result to test connectivity
-    for await (const table of tables) {
-      console.log('Connected to Azure Table Storage successfully');
-      return true;
-    }
-    
+    const repositories = getRepositories();
+    await repositories.testConnection();
+    console.log(`Connected to ${repositories.provider} storage successfully`);
     return true;
   } catch (error) {
-    console.error('Azure Table Storage connection test failed:', error);
+    console.error('Storage connection test failed:', error);
     return false;
   }
 }
@@ -570,39 +515,14 @@ async function testConnection() {
  */
 async function getUserTags(email) {
   try {
-    const tableClient = getTableClient(process.env.SUBSCRIBER_TABLE_NAME || 'subscribers');
-    
-    // Query for subscriber by email
-    const subscriberEntities = tableClient.listEntities({
-      filter: `email eq '${email}'`
-    });
-    
-    const subscribers = [];
-    for await (const entity of subscriberEntities) {
-      subscribers.push(entity);
-    }
+    const subscriber = await getSubscriberByEmail(email);
     
-    if (subscribers.length === 0) {
+    if (!subscriber) {
       return [];
     }
     
-    const subscriber = subscribers[0];
-    const tags = [];
-    
-    // Extract tags from subscriber entity
-    // Look for all tag-related fields (those starting with tag_)
-    for (const [key, value] of Object.entries(subscriber)) {
-      if (key.startsWith('tag_') && value) {
-        tags.push({
-          tagName: value,
-          email: email,
-          tagSource: 'survey',
-          createdAt: subscriber.timestamp || new Date().toISOString()
-        });
-      }
-    }
-    
-    return tags;
+    // Extract tags from subscriber entity (tag_* fields)
+    return getTagFields(subscriber).map(tag => ({ ...tag, email: email }));
   } catch (error) {
     console.error('Error getting user tags:', error);
     throw error;
@@ -612,14 +532,18 @@ async function getUserTags(email) {
 module.exports = {
   ensureTablesExist,
   getSubscriberByEmail,
+  updateSubscriber,
   updateSubscriberTags,
   updateQuestionAnswer,
   getQuestionAnswers,
   getSurveyProgress,
   insertSurveyResponse,
+  getLatestSurveyResponse,
   updateKitSyncStatus,
   getSubscriberTags,
   getFailedKitSyncs,
   testConnection,
-  getUserTags
+  getUserTags,
+  getLocalSubscriberTags,
+  removeSubscriberTags
 };
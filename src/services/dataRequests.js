@@ -0,0 +1,431 @@
+const crypto = require('crypto');
+const { getRepositories, TABLES } = require('../repositories');
+const { normalizeEmail } = require('../utils/validation');
+const { getSubscriberByEmail } = require('./azureStorage');
+const { getEmailProvider } = require('../emailProviders');
+const { parseSurveyResponse, toAnonymizedResponse } = require('./responseAdmin');
+const { describeDraft } = require('./surveyDrafts');
+const { getConsentHistory } = require('./marketingConsent');
+const { rebuildAnalytics } = require('./surveyAnalytics');
+const { getAllKnownTags, isKitSyncableTag } = require('../survey/definition');
+
+/**
+ * Data-subject requests (GDPR/CCPA).
+ *
+ * Every export or erasure request gets an audit row in `datarequests` that the
+ * requester polls. Requests are processed when they are made and, if that fails, by
+ * the dataRequestWorker timer with backoff (up to MAX_ATTEMPTS).
+ *
+ * export  - everything stored about the email: the subscriber row (Q1-Q6, tag_* and
+ *           the rest, except the password hash), survey responses, user tags, drafts,
+ *           queued Kit.com syncs and marketing consent history. The document is kept with the
+ *           request for DATA_EXPORT_RETENTION_DAYS (7 by default), then dropped.
+ * erasure - removes the email from Kit.com (survey tags removed, then unsubscribed)
+ *           and deletes the subscriber, user tags, drafts, Kit.com sync jobs, drift
+ *           report rows, stored submission replays and consent history. Survey responses are deleted
+ *           (mode `erase`) or kept for research without name, email or free text
+ *           (mode `anonymize`). Analytics rollups are rebuilt afterwards.
+ *
+ * Completed erasure requests keep only a hash and a masked form of the email. Earlier
+ * export requests for the email are deleted with their documents, and earlier failed
+ * erasure requests lose the raw email.
+ * Rate limit counters are not touched - they hold hashes only and expire within hours.
+ */
+const REQUEST_TYPES = ['export', 'erasure'];
+const ERASURE_MODES = ['erase', 'anonymize'];
+const DUE_STATUSES = ['pending', 'retrying', 'processing'];
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_SECONDS = 300;
+
+// A processing request not finished within this lease is picked up again
+const PROCESSING_LEASE_SECONDS = 900;
+
+// Table properties hold at most 64KB, so the export document is split into one row per 30,000 characters
+const EXPORT_CHUNK_LENGTH = 30000;
+const DEFAULT_EXPORT_RETENTION_DAYS = 7;
+
+// Columns never included in an export
+const EXCLUDED_COLUMNS = ['etag', 'Password', 'password'];
+
+function hashEmail(email) {
+  return crypto.createHash('sha256').update(normalizeEmail(email)).digest('hex');
+}
+
+function maskEmail(email) {
+  const [local, domain] = normalizeEmail(email).split('@');
+  return `${local.substring(0, 2)}***@${domain}`;
+}
+
+function getExportRetentionDays() {
+  const days = parseFloat(process.env.DATA_EXPORT_RETENTION_DAYS);
+  return days > 0 ? days : DEFAULT_EXPORT_RETENTION_DAYS;
+}
+
+function toExportRow(entity) {
+  const row = {};
+  for (const [key, value] of Object.entries(entity)) {
+    if (!EXCLUDED_COLUMNS.includes(key)) {
+      row[key] = value instanceof Date ? value.toISOString() : value;
+    }
+  }
+  return row;
+}
+
+function parseJsonColumn(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Everything stored about an email, as one JSON document
+ */
+async function collectSubjectData(email) {
+  const { surveyResponses, userTags, drafts, syncJobs } = getRepositories();
+  const normalizedEmail = normalizeEmail(email);
+
+  const subscriber = await getSubscriberByEmail(normalizedEmail);
+
+  return {
+    email: normalizedEmail,
+    generatedAt: new Date().toISOString(),
+    subscriber: subscriber ? toExportRow(subscriber) : null,
+    surveyResponses: (await surveyResponses.listForEmail(normalizedEmail)).map(parseSurveyResponse),
+    userTags: (await userTags.listForEmail(normalizedEmail)).map(toExportRow),
+    surveyDrafts: (await drafts.listForEmail(normalizedEmail)).map(describeDraft),
+    kitSyncJobs: (await syncJobs.listForEmail(normalizedEmail)).map(job => ({
+      jobId: job.rowKey,
+      status: job.status,
+      tags: parseJsonColumn(job.tags, []),
+      createdAt: job.createdAt,
+      completedAt: job.completedAt || null
+    })),
+    marketingConsents: await getConsentHistory(normalizedEmail)
+  };
+}
+
+/**
+ * Remove the survey tags from the subscriber in the email providers (Kit.com by
+ * default) and unsubscribe them. Throws when a provider fails, so the request is retried.
+ */
+async function removeFromKit(email) {
+  const provider = getEmailProvider();
+  if (!provider.isConfigured()) {
+    return { status: 'skipped', reason: `Email provider ${provider.name} is not configured` };
+  }
+
+  const kitResult = await provider.getSubscriber(email);
+  if (!kitResult.success) {
+    if (kitResult.status === 404) {
+      return { status: 'not_found' };
+    }
+    if (kitResult.status !== 501) {
+      throw new Error(`Email provider lookup failed: ${JSON.stringify(kitResult.error)}`);
+    }
+  }
+
+  // Providers that cannot be read (501) get every survey tag removed
+  const surveyTags = new Set(getAllKnownTags().filter(isKitSyncableTag));
+  const tags = kitResult.success ? kitResult.subscriber.tags.filter(tag => surveyTags.has(tag)) : [...surveyTags];
+
+  if (tags.length > 0) {
+    const removal = await provider.removeTags(email, tags);
+    if (!removal.success) {
+      throw new Error(`Email provider tag removal failed: ${JSON.stringify(removal.error)}`);
+    }
+  }
+
+  const unsubscribe = await provider.unsubscribe(email);
+  if (!unsubscribe.success) {
+    throw new Error(`Email provider unsubscribe failed: ${JSON.stringify(unsubscribe.error)}`);
+  }
+
+  return { status: 'removed', tagsRemoved: tags.length };
+}
+
+function createErasureSummary(previous) {
+  return {
+    kitSyncJobs: 0,
+    surveyResponses: 0,
+    anonymizedResponses: 0,
+    userTags: 0,
+    surveyDrafts: 0,
+    driftReports: 0,
+    submissionReplays: 0,
+    marketingConsents: 0,
+    dataRequests: 0,
+    subscriber: false,
+    ...previous
+  };
+}
+
+/**
+ * Delete (or anonymize) everything stored about an email, counting into `summary`.
+ * Each step is safe to repeat, so a retried request simply finishes the job.
+ */
+async function eraseSubjectData(email, mode, summary, requestId) {
+  const { store, subscribers, surveyResponses, userTags, drafts, syncJobs, idempotencyKeys, consents, dataRequests } = getRepositories();
+  const normalizedEmail = normalizeEmail(email);
+
+  // Queued syncs go first so none of them tags the person in Kit.com again
+  for (const job of await syncJobs.listForEmail(normalizedEmail)) {
+    if (await syncJobs.remove(job.rowKey)) summary.kitSyncJobs++;
+  }
+
+  const kit = await removeFromKit(normalizedEmail);
+
+  const responses = await surveyResponses.listForEmail(normalizedEmail);
+  const anonymousId = `anon_${crypto.randomBytes(8).toString('hex')}`;
+  for (const response of responses) {
+    if (mode === 'anonymize') {
+      await surveyResponses.insertAnonymized(anonymousId, toAnonymizedResponse(response, anonymousId));
+      summary.anonymizedResponses++;
+    }
+    if (await surveyResponses.remove(normalizedEmail, response.rowKey)) summary.surveyResponses++;
+  }
+
+  for (const tag of await userTags.listForEmail(normalizedEmail)) {
+    if (await userTags.remove(normalizedEmail, tag.rowKey)) summary.userTags++;
+  }
+
+  for (const draft of await drafts.listForEmail(normalizedEmail)) {
+    if (await drafts.remove(draft.rowKey)) summary.surveyDrafts++;
+  }
+
+  // Drift reports are written by the reconciler straight to its table
+  const driftRows = store.listEntities(TABLES.kitDriftReports, {
+    where: [{ field: 'RowKey', op: 'eq', value: encodeURIComponent(normalizedEmail) }],
+    select: ['PartitionKey', 'RowKey']
+  });
+  for await (const row of driftRows) {
+    if (await store.deleteEntity(TABLES.kitDriftReports, row.partitionKey, row.rowKey)) summary.driftReports++;
+  }
+
+  // Stored submission results echo the email back, and their keys are hashed
+  for await (const record of idempotencyKeys.listAll('surveySubmission')) {
+    const body = parseJsonColumn(record.responseBody, {});
+    const replayEmail = body && body.data && body.data.email;
+    if (replayEmail && normalizeEmail(replayEmail) === normalizedEmail) {
+      if (await idempotencyKeys.remove('surveySubmission', record.rowKey)) summary.submissionReplays++;
+    }
+  }
+
+  for (const record of await consents.listForEmail(normalizedEmail)) {
+    if (await consents.remove(normalizedEmail, record.rowKey)) summary.marketingConsents++;
+  }
+
+  // Other requests for the email - exports hold it and its data, failed erasures the raw email
+  for (const request of await dataRequests.listForEmailHash(hashEmail(normalizedEmail))) {
+    if (request.rowKey === requestId) continue;
+
+    if (request.type === 'export') {
+      await dataRequests.removeExportChunks(request.rowKey);
+      if (await dataRequests.remove(request.rowKey)) summary.dataRequests++;
+    } else if (request.email && request.status === 'failed') {
+      const { email: rawEmail, etag, timestamp, ...audit } = request;
+      await dataRequests.replace(request.rowKey, audit);
+      summary.dataRequests++;
+    }
+  }
+
+  const subscriber = await getSubscriberByEmail(normalizedEmail);
+  if (subscriber) {
+    summary.subscriber = await subscribers.remove(subscriber);
+  }
+
+  if (responses.length > 0) {
+    await rebuildAnalytics();
+  }
+
+  return kit;
+}
+
+/**
+ * A request as shown to the requester - completed exports include their document
+ */
+async function toRequestView(entity) {
+  const view = {
+    requestId: entity.rowKey,
+    type: entity.type,
+    mode: entity.mode || null,
+    status: entity.status,
+    email: entity.email || entity.emailMasked,
+    requestedBy: entity.requestedBy,
+    reason: entity.reason || null,
+    requestedAt: entity.requestedAt,
+    completedAt: entity.completedAt || null,
+    attempts: entity.attempts || 0,
+    lastError: entity.lastError || null,
+    kit: parseJsonColumn(entity.kit, null),
+    summary: parseJsonColumn(entity.summary, null)
+  };
+
+  if (entity.type === 'export' && entity.status === 'completed') {
+    const chunks = entity.exportChunks ? await getRepositories().dataRequests.listExportChunks(entity.rowKey) : [];
+    view.exportExpiresAt = entity.exportExpiresAt ? new Date(entity.exportExpiresAt).toISOString() : null;
+    view.export = chunks.length > 0 ? JSON.parse(chunks.join('')) : null;
+  }
+
+  return view;
+}
+
+/**
+ * Record a new request - returns the stored entity
+ */
+async function createDataRequest({ email, type, mode = null, requestedBy, reason = null }) {
+  if (!REQUEST_TYPES.includes(type)) {
+    throw new Error(`Unknown data request type ${type}`);
+  }
+
+  const now = new Date();
+  const request = await getRepositories().dataRequests.create({
+    type,
+    mode: type === 'erasure' ? (ERASURE_MODES.includes(mode) ? mode : 'erase') : null,
+    status: 'pending',
+    email: normalizeEmail(email),
+    emailHash: hashEmail(email),
+    emailMasked: maskEmail(email),
+    requestedBy,
+    reason,
+    requestedAt: now.toISOString(),
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null
+  });
+
+  console.log(`Data ${type} request ${request.rowKey} recorded for ${request.emailMasked} by ${requestedBy}`);
+  return request;
+}
+
+/**
+ * Run one request. Returns the updated entity, or null when another worker claimed it.
+ */
+async function processDataRequest(request) {
+  const { dataRequests } = getRepositories();
+  const now = new Date();
+  const attempts = (request.attempts || 0) + 1;
+
+  // Claim it, so concurrent workers do not run the same request twice
+  try {
+    await dataRequests.update(request.rowKey, {
+      status: 'processing',
+      attempts,
+      startedAt: now.toISOString(),
+      nextAttemptAt: new Date(now.getTime() + PROCESSING_LEASE_SECONDS * 1000)
+    }, { etag: request.etag });
+  } catch (error) {
+    if (error.statusCode === 412) {
+      return null;
+    }
+    throw error;
+  }
+
+  const claimed = await dataRequests.get(request.rowKey);
+
+  // Counts carry over from earlier attempts, which may have erased part of the data
+  const summary = createErasureSummary(parseJsonColumn(claimed.summary, {}));
+
+  try {
+    if (request.type === 'export') {
+      const document = JSON.stringify(await collectSubjectData(request.email));
+      const chunks = [];
+      for (let offset = 0; offset < document.length; offset += EXPORT_CHUNK_LENGTH) {
+        chunks.push(document.substring(offset, offset + EXPORT_CHUNK_LENGTH));
+      }
+      await dataRequests.saveExportChunks(request.rowKey, chunks);
+
+      const completedAt = new Date();
+      await dataRequests.update(request.rowKey, {
+        exportChunks: chunks.length,
+        exportExpiresAt: new Date(completedAt.getTime() + getExportRetentionDays() * 24 * 3600 * 1000),
+        status: 'completed',
+        completedAt: completedAt.toISOString(),
+        lastError: null
+      }, { etag: claimed.etag });
+    } else {
+      const kit = await eraseSubjectData(request.email, request.mode, summary, request.rowKey);
+
+      // Replace rather than merge, so the raw email is not kept on the audit row
+      const { email, etag, timestamp, ...audit } = claimed;
+      await dataRequests.replace(request.rowKey, {
+        ...audit,
+        kit: JSON.stringify(kit),
+        summary: JSON.stringify(summary),
+        status: 'completed',
+        completedAt: new Date().toISOString(),
+        lastError: null
+      }, { etag: claimed.etag });
+    }
+
+    console.log(`Data ${request.type} request ${request.rowKey} completed`);
+  } catch (error) {
+    const failed = attempts >= MAX_ATTEMPTS;
+    console.error(`Data ${request.type} request ${request.rowKey} failed (attempt ${attempts}):`, error);
+
+    await dataRequests.update(request.rowKey, {
+      status: failed ? 'failed' : 'retrying',
+      ...(request.type === 'erasure' ? { summary: JSON.stringify(summary) } : {}),
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + RETRY_BASE_SECONDS * 1000 * Math.pow(2, attempts - 1))
+    });
+  }
+
+  return dataRequests.get(request.rowKey);
+}
+
+/**
+ * Process the requests that are due (new, retrying, or with an expired lease)
+ */
+async function drainDataRequests({ limit = 10 } = {}) {
+  const due = await getRepositories().dataRequests.listDue(DUE_STATUSES, new Date(), limit);
+  const result = { processed: 0, completed: 0, failed: 0 };
+
+  for (const request of due) {
+    const processed = await processDataRequest(request);
+    if (!processed) continue;
+
+    result.processed++;
+    if (processed.status === 'completed') result.completed++;
+    if (processed.status === 'failed') result.failed++;
+  }
+
+  return result;
+}
+
+/**
+ * Drop export documents past their retention, keeping the audit row
+ */
+async function purgeExpiredExports() {
+  const { dataRequests } = getRepositories();
+  let purged = 0;
+
+  for (const request of await dataRequests.listExpiredExports(new Date())) {
+    const { etag, timestamp, exportChunks, exportExpiresAt, ...audit } = request;
+    await dataRequests.removeExportChunks(request.rowKey);
+    await dataRequests.replace(request.rowKey, { ...audit, exportPurgedAt: new Date().toISOString() });
+    purged++;
+  }
+
+  return purged;
+}
+
+/**
+ * A request as shown to the requester - null when there is no such request
+ */
+async function getDataRequest(requestId) {
+  const request = await getRepositories().dataRequests.get(requestId);
+  return request ? toRequestView(request) : null;
+}
+
+module.exports = {
+  REQUEST_TYPES,
+  ERASURE_MODES,
+  createDataRequest,
+  processDataRequest,
+  drainDataRequests,
+  purgeExpiredExports,
+  getDataRequest,
+  toRequestView
+};
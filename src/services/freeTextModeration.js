@@ -0,0 +1,283 @@
+const { getRepositories } = require('../repositories');
+const { sanitizeInput } = require('../utils/validation');
+const { getQuestions, getStoredSurveyVersion } = require('../survey/definition');
+
+/**
+ * Moderation of free-text "other" answers.
+ *
+ * Therapists sometimes type client details into profession_other / modality_other.
+ * Each submission's free text is scrubbed when it is stored: sanitized, with emails,
+ * phone numbers, ID numbers, dates and names after words like "client" or titles
+ * replaced by placeholders. The redacted copy is stored on the `surveyresponses` row
+ * (freeTextRedacted, keyed by export column) with a moderation status:
+ *   approved - nothing was flagged, or an admin approved it
+ *   pending  - redactions, profanity or spam were flagged and an admin has to review it
+ *   rejected - an admin decided the text must not be shown
+ * FREE_TEXT_REVIEW_ALL=true sends all free text to review. FREE_TEXT_BLOCKED_WORDS adds
+ * comma-separated words to the profanity list.
+ *
+ * Exports and reports only ever show the redacted copy of approved text. The original
+ * stays in surveyData/customResponses for the review queue and data-subject exports -
+ * the admin response routes show the redacted copy in its place. Rows
+ * stored before moderation get their columns from scripts/backfill-moderation.js -
+ * until then they are scrubbed as they are read and missing from the queue.
+ */
+const MODERATION_STATUS = {
+  APPROVED: 'approved',
+  PENDING: 'pending',
+  REJECTED: 'rejected'
+};
+
+// Applied in order - ID numbers before phone numbers, which would match them too
+const PII_PATTERNS = [
+  { type: 'email', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, replacement: '[email]' },
+  { type: 'id_number', pattern: /\b\d{3}-\d{2}-\d{4}\b/g, replacement: '[id number]' },
+  { type: 'phone', pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)\s?|\b\d{2,4}[\s.-])\d{3,4}[\s.-]?\d{3,4}\b|\b\d{10,11}\b/g, replacement: '[phone]' },
+  { type: 'date', pattern: /\b\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}\b/g, replacement: '[date]' },
+  {
+    type: 'name',
+    pattern: /\b((?:[Mm]y |[Aa] |[Tt]he )?(?:[Cc]lient|[Pp]atient|[Cc]hild|[Ss]on|[Dd]aughter|[Kk]id|[Ss]tudent|[Cc]ouple)(?:\s+(?:named|called|is))?:?\s+)[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?/g,
+    replacement: '$1[name]'
+  },
+  { type: 'name', pattern: /\b(?:Mr|Mrs|Ms|Miss|Mx|Dr)\.?\s+[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?/g, replacement: '[name]' }
+];
+
+const PROFANITY = ['fuck', 'fucking', 'shit', 'bitch', 'cunt', 'asshole', 'bastard', 'dick', 'piss', 'wanker', 'twat'];
+const SPAM_PATTERNS = [
+  /https?:\/\/|www\./i,
+  /\b(?:viagra|casino|crypto|bitcoin|forex|payday loan|seo services|click here|buy now|free money)\b/i,
+  // The same character over and over
+  /(.)\1{7,}/
+];
+
+function getBlockedWords() {
+  const extra = (process.env.FREE_TEXT_BLOCKED_WORDS || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+  return [...PROFANITY, ...extra];
+}
+
+function containsProfanity(text) {
+  const words = new Set(text.toLowerCase().split(/[^a-z']+/));
+  return getBlockedWords().some(word => words.has(word));
+}
+
+function looksLikeSpam(text) {
+  return SPAM_PATTERNS.some(pattern => pattern.test(text));
+}
+
+/**
+ * Redact one free-text answer - returns { redacted, flags }, flags being `pii:<type>`,
+ * `profanity` and `spam`
+ */
+function scrubFreeText(text) {
+  let redacted = sanitizeInput(String(text));
+  const flags = new Set();
+
+  for (const { type, pattern, replacement } of PII_PATTERNS) {
+    const next = redacted.replace(pattern, replacement);
+    if (next !== redacted) {
+      flags.add(`pii:${type}`);
+    }
+    redacted = next;
+  }
+
+  if (containsProfanity(redacted)) flags.add('profanity');
+  if (looksLikeSpam(redacted)) flags.add('spam');
+
+  return { redacted, flags: [...flags] };
+}
+
+/**
+ * The free-text answers of a submission, keyed by export column (Q2_other, ...). Text
+ * in both surveyData and customResponses (role_other, mod_other) is joined, so both
+ * are scrubbed and flagged.
+ */
+function getFreeTextAnswers(surveyData = {}, customResponses = {}, version) {
+  const answers = {};
+
+  for (const question of getQuestions(version)) {
+    if (!question.other) continue;
+
+    const texts = [surveyData[question.other.field], (customResponses || {})[question.other.customResponseKey]]
+      .filter(text => typeof text === 'string' && text.trim())
+      .map(text => text.trim());
+    if (texts.length > 0) {
+      answers[question.other.column] = [...new Set(texts)].join(' | ');
+    }
+  }
+  return answers;
+}
+
+/**
+ * Scrub every free-text answer of a submission - returns { freeText, flags, status },
+ * or null when there is no free text
+ */
+function moderateFreeText(surveyData, customResponses, version) {
+  const answers = getFreeTextAnswers(surveyData, customResponses, version);
+  if (Object.keys(answers).length === 0) {
+    return null;
+  }
+
+  const freeText = {};
+  const flags = new Set();
+  for (const [column, text] of Object.entries(answers)) {
+    const scrubbed = scrubFreeText(text);
+    freeText[column] = scrubbed.redacted;
+    scrubbed.flags.forEach(flag => flags.add(flag));
+  }
+
+  const needsReview = flags.size > 0 || process.env.FREE_TEXT_REVIEW_ALL === 'true';
+  return {
+    freeText,
+    flags: [...flags],
+    status: needsReview ? MODERATION_STATUS.PENDING : MODERATION_STATUS.APPROVED
+  };
+}
+
+/**
+ * Moderation columns for a new `surveyresponses` row (none without free text)
+ */
+function buildModerationColumns(surveyData, customResponses, version) {
+  const moderation = moderateFreeText(surveyData, customResponses, version);
+  if (!moderation) {
+    return {};
+  }
+
+  return {
+    freeTextRedacted: JSON.stringify(moderation.freeText),
+    moderationStatus: moderation.status,
+    moderationFlags: JSON.stringify(moderation.flags),
+    moderatedBy: 'auto',
+    moderatedAt: new Date().toISOString()
+  };
+}
+
+function parseJsonColumn(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    console.error('Error parsing JSON column:', e);
+    return fallback;
+  }
+}
+
+/**
+ * Moderation state of a stored response, or null when it has no free text.
+ * Rows stored before moderation are scrubbed as they are read.
+ */
+function getResponseModeration(entity) {
+  if (entity.moderationStatus) {
+    return {
+      status: entity.moderationStatus,
+      flags: parseJsonColumn(entity.moderationFlags, []),
+      freeText: parseJsonColumn(entity.freeTextRedacted, {}),
+      moderatedBy: entity.moderatedBy || null,
+      moderatedAt: entity.moderatedAt || null
+    };
+  }
+
+  const moderation = moderateFreeText(
+    parseJsonColumn(entity.surveyData, {}),
+    parseJsonColumn(entity.customResponses, {}),
+    getStoredSurveyVersion(entity)
+  );
+  return moderation ? { ...moderation, moderatedBy: null, moderatedAt: null } : null;
+}
+
+/**
+ * Redacted free text of a stored response that may be shown - empty unless approved
+ */
+function getPublishedFreeText(entity) {
+  const moderation = getResponseModeration(entity);
+  return moderation && moderation.status === MODERATION_STATUS.APPROVED ? moderation.freeText : {};
+}
+
+/**
+ * Redacted text of a free-text value outside a response (e.g. a subscriber's Q2_other
+ * column), or '' when anything was flagged - these are never reviewed
+ */
+function getPublishedText(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return '';
+  }
+  const scrubbed = scrubFreeText(text);
+  return scrubbed.flags.length === 0 ? scrubbed.redacted : '';
+}
+
+function createModerationError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Responses awaiting review (or in another status), one page at a time
+ */
+async function listModerationQueue({ status = MODERATION_STATUS.PENDING, pageSize = 50, continuationToken = null } = {}) {
+  const page = await getRepositories().surveyResponses.listPage({ moderationStatus: status, pageSize, continuationToken });
+
+  return {
+    responses: page.entities.map(entity => ({
+      responseId: entity.rowKey,
+      email: entity.email || entity.partitionKey,
+      completedAt: entity.completedAt ? new Date(entity.completedAt).toISOString() : null,
+      original: getFreeTextAnswers(parseJsonColumn(entity.surveyData, {}), parseJsonColumn(entity.customResponses, {}), getStoredSurveyVersion(entity)),
+      moderation: getResponseModeration(entity)
+    })),
+    continuationToken: page.continuationToken || null
+  };
+}
+
+/**
+ * Record an admin's review of a response's free text. `freeText` optionally replaces
+ * redacted answers (keyed by column) before approving them.
+ */
+async function reviewFreeText(responseId, { status, freeText = null, reviewedBy }) {
+  const { surveyResponses } = getRepositories();
+
+  const entity = await surveyResponses.findById(responseId);
+  if (!entity) {
+    throw createModerationError(404, 'Survey response not found');
+  }
+
+  const moderation = getResponseModeration(entity);
+  if (!moderation) {
+    throw createModerationError(409, 'Survey response has no free text to review');
+  }
+
+  const redacted = { ...moderation.freeText };
+  for (const [column, text] of Object.entries(freeText || {})) {
+    if (!(column in redacted)) {
+      throw createModerationError(400, `Survey response has no free-text answer ${column}`);
+    }
+    redacted[column] = sanitizeInput(text);
+  }
+
+  const changes = {
+    freeTextRedacted: JSON.stringify(redacted),
+    moderationStatus: status,
+    moderationFlags: JSON.stringify(moderation.flags),
+    moderatedBy: reviewedBy,
+    moderatedAt: new Date().toISOString()
+  };
+  await surveyResponses.merge(entity, changes);
+
+  console.log(`Free text of survey response ${responseId} ${status} by ${reviewedBy}`);
+  return getResponseModeration({ ...entity, ...changes });
+}
+
+module.exports = {
+  MODERATION_STATUS,
+  scrubFreeText,
+  buildModerationColumns,
+  getResponseModeration,
+  getPublishedFreeText,
+  getPublishedText,
+  listModerationQueue,
+  reviewFreeText
+};
@@ -1,4 +1,5 @@
-const fetch = require('node-fetch');
+// node-fetch v3 is ESM-only, so load it lazily from CommonJS
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
 
 /**
  * Sync tags to Kit.com for a user
@@ -16,6 +17,11 @@ async function syncTagsToKit(data) {
     tags: tags.map(tag => ({ name: tag }))
   };
   
+  // Associate the subscriber with the onboarding form when one is configured
+  if (process.env.KIT_FORM_ID) {
+    kitPayload.form_id = process.env.KIT_FORM_ID;
+  }
+  
   try {
     const response = await fetch('https://api.kit.com/v3/subscribers', {
       method: 'PUT',
@@ -146,6 +152,55 @@ async function removeKitTags(email, tags) {
   }
 }
 
+/**
+ * Unsubscribe an email from every Kit.com sequence and broadcast
+ */
+async function unsubscribeFromKit(email) {
+  if (!process.env.KIT_API_KEY) {
+    return {
+      success: false,
+      error: 'Kit.com not configured'
+    };
+  }
+  
+  try {
+    const response = await fetch('https://api.kit.com/v3/unsubscribe', {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${process.env.KIT_API_KEY}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify({ email: email }),
+      timeout: 30000
+    });
+    
+    const responseData = await response.text();
+    
+    if (response.ok) {
+      console.log(`Successfully unsubscribed ${email} from Kit.com`);
+      return {
+        success: true,
+        status: response.status,
+        data: responseData
+      };
+    } else {
+      console.error(`Kit.com unsubscribe error for ${email}:`, response.status, responseData);
+      return {
+        success: false,
+        status: response.status,
+        error: responseData
+      };
+    }
+  } catch (error) {
+    console.error(`Kit.com unsubscribe failed for ${email}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Test Kit.com API connectivity
  */
@@ -191,5 +246,6 @@ module.exports = {
   syncTagsToKit,
   getKitSubscriber,
   removeKitTags,
+  unsubscribeFromKit,
   testKitConnection
 };
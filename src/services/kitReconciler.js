@@ -0,0 +1,251 @@
+const { getRepositories, TABLES } = require('../repositories');
+const {
+  getLocalSubscriberTags,
+  updateSubscriberTags,
+  removeSubscriberTags
+} = require('./azureStorage');
+const { getEmailProvider } = require('../emailProviders');
+const { enqueueKitSyncJob, getKitInactiveReason } = require('./kitSyncQueue');
+const { hasMarketingConsent } = require('./marketingConsent');
+const { getAllKnownTags, isKitSyncableTag } = require('../survey/definition');
+const { normalizeEmail } = require('../utils/validation');
+
+/**
+ * Kit.com reconciliation.
+ *
+ * Pages through the subscribers table, fetches each subscriber's Kit.com state and
+ * diffs the survey tags Kit.com has against the ones stored locally
+ * (allSelectedTags and tag_* fields). Every subscriber with drift gets a row in the
+ * `kitdriftreports` table under the run's partition. With several EMAIL_PROVIDERS the
+ * first one is read, and push repairs go to all of them.
+ *
+ * Only survey-managed tags are compared - tags marketing applies for other
+ * purposes are never reported or touched. Subscribers without marketing consent, or
+ * unsubscribed or bounced in Kit.com, are not checked, since their tags are never synced.
+ *
+ * Repair mode (KIT_RECONCILE_REPAIR):
+ *   none - report only (default)
+ *   push - local is the source of truth: queue missing tags for Kit.com, remove extra ones there
+ *   pull - Kit.com is the source of truth: store its tags locally (source 'kit'), drop the rest
+ *
+ * A run can span several timer invocations - progress is checkpointed in a state row
+ * and resumed until the whole table has been covered.
+ */
+const STATE_PARTITION_KEY = 'reconcile';
+const STATE_ROW_KEY = 'state';
+const REPAIR_MODES = ['none', 'push', 'pull'];
+
+function getRepairMode() {
+  const mode = (process.env.KIT_RECONCILE_REPAIR || 'none').toLowerCase();
+  return REPAIR_MODES.includes(mode) ? mode : 'none';
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Compare local and Kit.com survey tags for one subscriber
+ */
+function diffTags(localTags, kitTags) {
+  const surveyTags = new Set(getAllKnownTags().filter(isKitSyncableTag));
+  const local = new Set(localTags.filter(tag => surveyTags.has(tag)));
+  const kit = new Set(kitTags.filter(tag => surveyTags.has(tag)));
+
+  return {
+    missingInKit: [...local].filter(tag => !kit.has(tag)),
+    extraInKit: [...kit].filter(tag => !local.has(tag))
+  };
+}
+
+/**
+ * Apply the configured repair for one subscriber's drift
+ */
+async function repairDrift(email, drift, mode, localTags) {
+  if (mode === 'push') {
+    if (drift.missingInKit.length > 0) {
+      await enqueueKitSyncJob({ email, tags: localTags });
+    }
+    if (drift.extraInKit.length > 0) {
+      const result = await getEmailProvider().removeTags(email, drift.extraInKit);
+      if (!result.success) {
+        throw new Error(`Kit.com tag removal failed: ${JSON.stringify(result.error)}`);
+      }
+    }
+    return 'pushed';
+  }
+
+  if (mode === 'pull') {
+    for (const tagName of drift.extraInKit) {
+      await updateSubscriberTags(null, {
+        tagName: tagName,
+        email: email,
+        tagSource: 'kit',
+        createdAt: new Date().toISOString()
+      });
+    }
+    if (drift.missingInKit.length > 0) {
+      await removeSubscriberTags(email, drift.missingInKit);
+    }
+    return 'pulled';
+  }
+
+  return 'none';
+}
+
+/**
+ * Reconcile a single subscriber entity and return its report row (or null when in sync)
+ */
+async function reconcileSubscriber(subscriber, runId, mode) {
+  const email = subscriber.Email || subscriber.email;
+  const localTags = getLocalSubscriberTags(subscriber);
+
+  const kitResult = await getEmailProvider().getSubscriber(email);
+
+  let kitTags = [];
+  let kitState = 'found';
+  if (!kitResult.success) {
+    if (kitResult.status !== 404) {
+      throw new Error(`Kit.com lookup failed: ${JSON.stringify(kitResult.error)}`);
+    }
+    kitState = 'missing';
+  } else {
+    kitTags = kitResult.subscriber.tags;
+  }
+
+  const drift = diffTags(localTags, kitTags);
+  if (drift.missingInKit.length === 0 && drift.extraInKit.length === 0) {
+    return null;
+  }
+
+  const report = {
+    partitionKey: `run_${runId}`,
+    rowKey: encodeURIComponent(normalizeEmail(email)),
+    email: email,
+    kitState: kitState,
+    missingInKit: JSON.stringify(drift.missingInKit),
+    extraInKit: JSON.stringify(drift.extraInKit),
+    repairMode: mode,
+    repairAction: 'none',
+    repairError: null,
+    checkedAt: new Date().toISOString()
+  };
+
+  try {
+    report.repairAction = await repairDrift(email, drift, mode, localTags.filter(isKitSyncableTag));
+  } catch (error) {
+    console.error(`Error repairing Kit.com drift for ${email}:`, error);
+    report.repairAction = 'failed';
+    report.repairError = error.message;
+  }
+
+  return report;
+}
+
+/**
+ * Run (or resume) a reconciliation pass within the given time budget
+ */
+async function runKitReconciliation({ timeBudgetMs = 4 * 60 * 1000 } = {}) {
+  const { store, subscribers } = getRepositories();
+  const mode = getRepairMode();
+  const delayMs = parseInt(process.env.KIT_RECONCILE_DELAY_MS || '500', 10);
+  const pageSize = parseInt(process.env.KIT_RECONCILE_PAGE_SIZE || '100', 10);
+  const startedAt = Date.now();
+  const today = new Date().toISOString().substring(0, 10);
+
+  const previous = await store.getEntity(TABLES.kitDriftReports, STATE_PARTITION_KEY, STATE_ROW_KEY);
+
+  // One complete pass per day - later invocations only resume an unfinished run
+  if (previous && previous.status === 'completed' && previous.completedAt.substring(0, 10) === today) {
+    return { runId: previous.runId, status: 'completed', skipped: true };
+  }
+
+  const resuming = previous && previous.status === 'running';
+  const state = resuming ? { ...previous } : {
+    partitionKey: STATE_PARTITION_KEY,
+    rowKey: STATE_ROW_KEY,
+    runId: new Date().toISOString().replace(/[:.]/g, '-'),
+    status: 'running',
+    repairMode: mode,
+    continuationToken: null,
+    startedAt: new Date().toISOString(),
+    completedAt: null,
+    checked: 0,
+    drifted: 0,
+    repaired: 0,
+    errors: 0
+  };
+
+  let finished = true;
+  while (true) {
+    const page = await subscribers.listPage({ pageSize, continuationToken: state.continuationToken });
+
+    for (const subscriber of page.entities) {
+      const email = subscriber.Email || subscriber.email;
+      if (!email) continue;
+
+      try {
+        if (getKitInactiveReason(subscriber) || !(await hasMarketingConsent(email))) continue;
+
+        const report = await reconcileSubscriber(subscriber, state.runId, mode);
+        state.checked++;
+        if (report) {
+          state.drifted++;
+          if (report.repairAction === 'pushed' || report.repairAction === 'pulled') state.repaired++;
+          if (report.repairAction === 'failed') state.errors++;
+          await store.upsertEntity(TABLES.kitDriftReports, report, 'Replace');
+        }
+      } catch (error) {
+        console.error(`Error reconciling Kit.com state for ${email}:`, error);
+        state.errors++;
+      }
+
+      // Stay well inside Kit.com's API rate limit
+      await sleep(delayMs);
+    }
+
+    // Pages are checkpointed whole, so a resumed run re-checks at most one page
+    state.continuationToken = page.continuationToken || null;
+    if (!state.continuationToken) {
+      break;
+    }
+    if (Date.now() - startedAt > timeBudgetMs) {
+      finished = false;
+      break;
+    }
+  }
+
+  if (finished) {
+    state.status = 'completed';
+    state.completedAt = new Date().toISOString();
+    state.continuationToken = null;
+
+    await store.upsertEntity(TABLES.kitDriftReports, {
+      partitionKey: `run_${state.runId}`,
+      rowKey: 'summary',
+      repairMode: state.repairMode,
+      startedAt: state.startedAt,
+      completedAt: state.completedAt,
+      checked: state.checked,
+      drifted: state.drifted,
+      repaired: state.repaired,
+      errors: state.errors
+    }, 'Replace');
+  }
+
+  await store.upsertEntity(TABLES.kitDriftReports, state, 'Replace');
+  console.log(`Kit.com reconciliation ${state.runId} ${state.status}: ${state.checked} checked, ${state.drifted} drifted`);
+
+  return {
+    runId: state.runId,
+    status: state.status,
+    checked: state.checked,
+    drifted: state.drifted,
+    repaired: state.repaired,
+    errors: state.errors
+  };
+}
+
+module.exports = {
+  runKitReconciliation
+};
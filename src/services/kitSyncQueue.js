@@ -0,0 +1,393 @@
+const { getRepositories } = require('../repositories');
+const { getSubscriberByEmail, updateKitSyncStatus, getFailedKitSyncs } = require('./azureStorage');
+const { getEmailProvider } = require('../emailProviders');
+const { hasMarketingConsent } = require('./marketingConsent');
+const { isKitSyncableTag } = require('../survey/definition');
+
+/**
+ * Kit.com sync outbox.
+ *
+ * Every survey response enqueues a job in the `kitsyncjobs` table in the same request
+ * that stores the response. Jobs are attempted right away and retried by the
+ * kitSyncWorker timer with exponential backoff until they succeed or run out of
+ * attempts, at which point they are dead-lettered. Jobs go to the configured email
+ * providers (Kit.com unless EMAIL_PROVIDERS says otherwise, see emailProviders) - the
+ * table and status columns keep their Kit.com names.
+ *
+ * Job status: 'pending' -> 'processing' -> 'succeeded' | 'pending' (retry) | 'dead' | 'skipped'
+ *
+ * A new job for an email supersedes that email's open (pending or processing) jobs:
+ * they are marked 'superseded' and their tag removals move to the new job. A worker
+ * records a job's outcome with the etag of its claim, so a job superseded while it ran
+ * stays superseded - its result is dropped and it is never retried, and cannot put
+ * back tags a resubmission removed.
+ *
+ * Tags are only added for emails with marketing consent that are still active in
+ * Kit.com (not unsubscribed or bounced there, see kitWebhooks). For anyone else a job
+ * still removes tags (a consent withdrawal relies on that) and is otherwise skipped.
+ * Auto-provisioned subscribers that have not verified their email are never sent at
+ * all - verifying queues their sync (see subscriberProvisioning).
+ */
+const MAX_ERROR_HISTORY = 10;
+
+// A claimed job is invisible to other workers for this long
+const PROCESSING_LOCK_MS = 5 * 60 * 1000;
+
+function getRetryPolicy() {
+  return {
+    maxAttempts: parseInt(process.env.KIT_SYNC_MAX_ATTEMPTS || '8', 10),
+    baseDelaySeconds: parseInt(process.env.KIT_SYNC_BACKOFF_BASE_SECONDS || '60', 10),
+    maxDelaySeconds: parseInt(process.env.KIT_SYNC_BACKOFF_MAX_SECONDS || '21600', 10)
+  };
+}
+
+/**
+ * Delay before the next attempt - doubles per attempt, capped, with 20% jitter
+ */
+function getBackoffDelayMs(attempts, policy = getRetryPolicy()) {
+  const delaySeconds = Math.min(policy.baseDelaySeconds * Math.pow(2, Math.max(attempts - 1, 0)), policy.maxDelaySeconds);
+  const jitter = 1 + (Math.random() * 0.4 - 0.2);
+  return Math.round(delaySeconds * 1000 * jitter);
+}
+
+/**
+ * Parse a stored job entity into a plain job object
+ */
+function toJob(entity) {
+  return {
+    ...entity,
+    jobId: entity.rowKey,
+    tags: entity.tags ? JSON.parse(entity.tags) : [],
+    removeTagsByQuestion: entity.removeTagsByQuestion ? JSON.parse(entity.removeTagsByQuestion) : {},
+    errorHistory: entity.errorHistory ? JSON.parse(entity.errorHistory) : []
+  };
+}
+
+/**
+ * Why survey tags must not be added in Kit.com for a subscriber - 'unverified',
+ * 'unsubscribed', 'bounced', or null while they are active there
+ */
+function getKitInactiveReason(subscriber) {
+  if (!subscriber) return null;
+  if (subscriber.emailVerified === false) return 'unverified';
+  if (subscriber.kitUnsubscribed === true) return 'unsubscribed';
+  if (subscriber.kitBounced === true) return 'bounced';
+  return null;
+}
+
+/**
+ * Removals of the open jobs a new job replaces, merged with its own - tags the new
+ * job applies again are left out
+ */
+function mergeRemovals(openJobs, tags, removeTagsByQuestion) {
+  const merged = {};
+  for (const job of openJobs.map(toJob).concat({ removeTagsByQuestion })) {
+    for (const [questionId, questionTags] of Object.entries(job.removeTagsByQuestion)) {
+      const kept = questionTags.filter(tag => !tags.includes(tag));
+      if (kept.length > 0) {
+        merged[questionId] = [...new Set([...(merged[questionId] || []), ...kept])];
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Mark replaced jobs superseded. Without an etag this also reaches a job a worker has
+ * claimed - that worker's etag-guarded result write then fails and is dropped.
+ */
+async function supersedeJobs(syncJobs, openJobs, jobId) {
+  const now = new Date().toISOString();
+  for (const job of openJobs) {
+    await syncJobs.update(job.rowKey, {
+      status: 'superseded',
+      supersededBy: jobId,
+      updatedAt: now,
+      completedAt: now
+    });
+  }
+}
+
+/**
+ * Add a Kit.com sync job to the outbox, superseding the email's open jobs
+ *
+ * `removeTagsByQuestion` lists tags a resubmission dropped, keyed by question id -
+ * they are removed from Kit.com before the current tags are applied.
+ */
+async function enqueueKitSyncJob({ email, responseId = null, tags = [], removeTagsByQuestion = {} }) {
+  const { syncJobs } = getRepositories();
+  const now = new Date().toISOString();
+  const openJobs = await syncJobs.listForEmailInStatus(email, ['pending', 'processing']);
+
+  const fields = {
+    email: email,
+    responseId: responseId,
+    tags: JSON.stringify(tags),
+    removeTagsByQuestion: JSON.stringify(mergeRemovals(openJobs, tags, removeTagsByQuestion)),
+    status: 'pending',
+    attempts: 0,
+    maxAttempts: getRetryPolicy().maxAttempts,
+    nextAttemptAt: now,
+    lastError: null,
+    errorHistory: JSON.stringify([]),
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+
+  try {
+    const created = await syncJobs.create(fields);
+    await supersedeJobs(syncJobs, openJobs, created.rowKey);
+    console.log(`Kit.com sync job ${created.rowKey} queued for ${email}` +
+      (openJobs.length > 0 ? `, superseding ${openJobs.length} older job(s)` : ''));
+
+    return toJob(created);
+  } catch (error) {
+    console.error(`Error queueing Kit.com sync job for ${email}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Claim a job for processing - fails with 412 if another worker got there first
+ */
+async function claimJob(syncJobs, job) {
+  const claimedUntil = new Date(Date.now() + PROCESSING_LOCK_MS).toISOString();
+
+  await syncJobs.update(job.jobId, {
+    status: 'processing',
+    nextAttemptAt: claimedUntil,
+    updatedAt: new Date().toISOString()
+  }, { etag: job.etag });
+}
+
+/**
+ * Record the outcome of a claimed job, guarded by the claim's etag. Returns null once
+ * written, or the status to report when the job changed while it ran: 'superseded',
+ * or 'locked' when another worker claimed it after the processing lock ran out.
+ */
+async function finishJob(syncJobs, jobId, etag, changes) {
+  try {
+    await syncJobs.update(jobId, changes, { etag });
+    return null;
+  } catch (error) {
+    if (error.statusCode !== 412) {
+      throw error;
+    }
+  }
+
+  const current = await syncJobs.get(jobId);
+  const status = current && current.status === 'superseded' ? 'superseded' : 'locked';
+  console.log(`Kit.com sync job ${jobId} changed while it ran (${status}), result dropped`);
+  return status;
+}
+
+/**
+ * Remove the tags a resubmission dropped, one Kit.com call per question
+ */
+async function removeStaleKitTags(job) {
+  for (const [questionId, tags] of Object.entries(job.removeTagsByQuestion)) {
+    const kitTags = tags.filter(isKitSyncableTag);
+    if (kitTags.length === 0) continue;
+
+    const result = await getEmailProvider().removeTags(job.email, kitTags);
+    if (!result.success) {
+      return { ...result, error: `Removing ${questionId} tags failed: ${JSON.stringify(result.error)}` };
+    }
+  }
+
+  return { success: true };
+}
+
+/**
+ * Attempt a single Kit.com sync job and record the outcome
+ *
+ * Returns the resulting kitSyncStatus: 'success', 'pending' (will be retried),
+ * 'dead' (gave up), 'skipped' (nothing to do), 'no_consent' (no marketing consent
+ * to add tags), 'unverified' (email not verified yet), 'unsubscribed' / 'bounced'
+ * (inactive in Kit.com), 'superseded' (replaced by a newer job) or 'locked' (claimed
+ * elsewhere).
+ */
+async function processKitSyncJob(job) {
+  const { syncJobs } = getRepositories();
+
+  try {
+    await claimJob(syncJobs, job);
+  } catch (error) {
+    if (error.statusCode === 412) {
+      console.log(`Kit.com sync job ${job.jobId} already claimed by another worker`);
+      return { jobId: job.jobId, status: 'locked' };
+    }
+    throw error;
+  }
+
+  // The claim's etag guards every write below
+  const claimed = await syncJobs.get(job.jobId);
+  if (!claimed || claimed.status !== 'processing') {
+    return { jobId: job.jobId, status: claimed && claimed.status === 'superseded' ? 'superseded' : 'locked' };
+  }
+
+  const now = new Date().toISOString();
+  const inactiveReason = getKitInactiveReason(await getSubscriberByEmail(job.email));
+  const skipReason = inactiveReason === 'unverified'
+    ? inactiveReason
+    : (!(await hasMarketingConsent(job.email)) ? 'no_consent' : inactiveReason);
+  const kitTags = skipReason ? [] : job.tags.filter(isKitSyncableTag);
+
+  // Nothing may be added without consent or to an inactive Kit.com subscriber - a job
+  // with no removals is done. An unverified email is not touched at all, since nobody
+  // has shown it belongs to the respondent.
+  const hasRemovals = skipReason !== 'unverified' &&
+    Object.values(job.removeTagsByQuestion).some(tags => tags.some(isKitSyncableTag));
+  if (skipReason && !hasRemovals) {
+    const dropped = await finishJob(syncJobs, job.jobId, claimed.etag, {
+      status: 'skipped',
+      skipReason: skipReason,
+      updatedAt: now,
+      completedAt: now
+    });
+    if (dropped) {
+      return { jobId: job.jobId, status: dropped };
+    }
+
+    await updateKitSyncStatus(job.email, skipReason, job.responseId);
+    console.log(`Kit.com sync job ${job.jobId} skipped - ${job.email}: ${skipReason}`);
+    return { jobId: job.jobId, status: skipReason };
+  }
+
+  // Email provider not configured yet - keep the job without spending an attempt
+  const provider = getEmailProvider();
+  if (!provider.isConfigured()) {
+    const dropped = await finishJob(syncJobs, job.jobId, claimed.etag, {
+      status: 'pending',
+      nextAttemptAt: new Date(Date.now() + getRetryPolicy().maxDelaySeconds * 1000).toISOString(),
+      updatedAt: now
+    });
+    if (dropped) {
+      return { jobId: job.jobId, status: dropped };
+    }
+    console.warn(`Email provider ${provider.name} not configured, Kit.com sync job ${job.jobId} deferred`);
+    return { jobId: job.jobId, status: 'skipped' };
+  }
+
+  let result;
+  try {
+    result = await removeStaleKitTags(job);
+    if (result.success && kitTags.length > 0) {
+      result = await provider.upsertSubscriber(job.email, { tags: kitTags });
+    }
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  const attempts = (job.attempts || 0) + 1;
+
+  if (result.success) {
+    const dropped = await finishJob(syncJobs, job.jobId, claimed.etag, {
+      status: 'succeeded',
+      attempts: attempts,
+      lastError: null,
+      updatedAt: now,
+      completedAt: now
+    });
+    if (dropped) {
+      return { jobId: job.jobId, status: dropped };
+    }
+
+    await updateKitSyncStatus(job.email, 'success', job.responseId);
+    console.log(`Kit.com sync job ${job.jobId} succeeded after ${attempts} attempt(s)`);
+    return { jobId: job.jobId, status: 'success', attempts };
+  }
+
+  const errorMessage = typeof result.error === 'string' ? result.error : JSON.stringify(result.error);
+  const errorHistory = job.errorHistory.concat({
+    attempt: attempts,
+    at: now,
+    status: result.status || null,
+    error: (errorMessage || 'Unknown error').substring(0, 1000)
+  }).slice(-MAX_ERROR_HISTORY);
+
+  const maxAttempts = job.maxAttempts || getRetryPolicy().maxAttempts;
+  const exhausted = attempts >= maxAttempts;
+
+  const dropped = await finishJob(syncJobs, job.jobId, claimed.etag, {
+    status: exhausted ? 'dead' : 'pending',
+    attempts: attempts,
+    nextAttemptAt: exhausted ? now : new Date(Date.now() + getBackoffDelayMs(attempts)).toISOString(),
+    lastError: errorHistory[errorHistory.length - 1].error,
+    errorHistory: JSON.stringify(errorHistory),
+    updatedAt: now,
+    completedAt: exhausted ? now : null
+  });
+  if (dropped) {
+    return { jobId: job.jobId, status: dropped };
+  }
+
+  if (exhausted) {
+    await updateKitSyncStatus(job.email, 'dead', job.responseId);
+    console.error(`Kit.com sync job ${job.jobId} dead-lettered after ${attempts} attempts:`, errorMessage);
+    return { jobId: job.jobId, status: 'dead', attempts };
+  }
+
+  console.warn(`Kit.com sync job ${job.jobId} failed (attempt ${attempts}/${maxAttempts}), will retry:`, errorMessage);
+  return { jobId: job.jobId, status: 'pending', attempts };
+}
+
+/**
+ * Jobs that are due for an attempt (including ones whose processing claim expired)
+ */
+async function getDueKitSyncJobs(limit = 25) {
+  const now = new Date().toISOString();
+
+  const entities = await getRepositories().syncJobs.listDue(['pending', 'processing'], now, limit);
+  return entities.map(toJob);
+}
+
+/**
+ * Move subscribers whose inline sync failed before the outbox existed onto the queue
+ */
+async function requeueLegacyFailedSyncs(limit = 50) {
+  const failedSyncs = await getFailedKitSyncs(limit);
+
+  for (const failed of failedSyncs) {
+    if (!failed.email) continue;
+
+    await enqueueKitSyncJob({ email: failed.email, tags: failed.tags });
+    await updateKitSyncStatus(failed.email, 'pending');
+  }
+
+  return failedSyncs.length;
+}
+
+/**
+ * Drain due jobs from the outbox - called by the kitSyncWorker timer
+ */
+async function drainKitSyncQueue({ limit = parseInt(process.env.KIT_SYNC_BATCH_SIZE || '25', 10) } = {}) {
+  const summary = { requeued: 0, processed: 0, succeeded: 0, retrying: 0, dead: 0, skipped: 0 };
+
+  summary.requeued = await requeueLegacyFailedSyncs();
+
+  const jobs = await getDueKitSyncJobs(limit);
+  for (const job of jobs) {
+    try {
+      const result = await processKitSyncJob(job);
+      summary.processed++;
+      if (result.status === 'success') summary.succeeded++;
+      if (result.status === 'pending') summary.retrying++;
+      if (result.status === 'dead') summary.dead++;
+      if (['skipped', 'locked', 'superseded', 'no_consent', 'unverified', 'unsubscribed', 'bounced'].includes(result.status)) summary.skipped++;
+    } catch (error) {
+      console.error(`Error processing Kit.com sync job ${job.jobId}:`, error);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  getKitInactiveReason,
+  enqueueKitSyncJob,
+  processKitSyncJob,
+  getDueKitSyncJobs,
+  drainKitSyncQueue
+};
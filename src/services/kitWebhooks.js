@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const { getRepositories } = require('../repositories');
+const {
+  getSubscriberByEmail,
+  updateSubscriber,
+  updateSubscriberTags,
+  removeSubscriberTags,
+  getLocalSubscriberTags
+} = require('./azureStorage');
+const { enqueueKitSyncJob, processKitSyncJob } = require('./kitSyncQueue');
+const { hasMarketingConsent, withdrawConsent } = require('./marketingConsent');
+const { getAllKnownTags, isKitSyncableTag } = require('../survey/definition');
+const { normalizeEmail } = require('../utils/validation');
+
+/**
+ * Kit.com webhooks.
+ *
+ * Kit.com calls POST kit/webhooks/{event} when something changes on its side, so the
+ * subscribers table stops treating people as active after they unsubscribe there:
+ *   subscriber_unsubscribe / subscriber_complain - kitUnsubscribed set, kitSyncStatus
+ *                    'unsubscribed' and marketing consent withdrawn (source 'kit')
+ *   subscriber_bounce  - kitBounced set, kitSyncStatus 'bounced'
+ *   subscriber_activate - both flags cleared and the local survey tags synced again.
+ *                    An unsubscribe withdrew marketing consent and the event does not
+ *                    carry it, so without consent given again since nothing is synced
+ *                    (kitSyncStatus 'no_consent') until the person re-consents.
+ *   tag_add / tag_remove - the survey tag is stored with source 'kit' (in `usertags`
+ *                    and the subscriber's tag_* columns) or removed from both. A tag
+ *                    already stored keeps its source, so survey provenance survives.
+ *
+ * While a subscriber is unsubscribed or bounced, sync jobs only remove tags (see
+ * kitSyncQueue). Tags that are not survey tags are ignored.
+ *
+ * Requests are verified against KIT_WEBHOOK_SECRET - either the secret itself in the
+ * `secret` query parameter (Kit.com webhooks are registered with a fixed URL), or an
+ * `x-kit-signature` header with the hex HMAC-SHA256 of the raw body.
+ */
+const EVENTS = ['subscriber_activate', 'subscriber_unsubscribe', 'subscriber_complain', 'subscriber_bounce', 'tag_add', 'tag_remove'];
+
+// Action reported back for each subscriber state event
+const STATE_ACTIONS = {
+  subscriber_activate: 'activated',
+  subscriber_unsubscribe: 'unsubscribed',
+  subscriber_complain: 'unsubscribed',
+  subscriber_bounce: 'bounced'
+};
+
+function createWebhookError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Check a webhook request's secret or signature - throws a 401 error when neither
+ * matches and a 503 error when KIT_WEBHOOK_SECRET is not set
+ */
+function verifyKitWebhook(rawBody, { secret, signature }) {
+  const expected = process.env.KIT_WEBHOOK_SECRET;
+  if (!expected) {
+    throw createWebhookError(503, 'Kit.com webhooks are not configured');
+  }
+
+  if (signature) {
+    const digest = crypto.createHmac('sha256', expected).update(rawBody).digest('hex');
+    if (safeEqual(signature.replace(/^sha256=/, '').toLowerCase(), digest)) {
+      return;
+    }
+  } else if (secret && safeEqual(secret, expected)) {
+    return;
+  }
+
+  throw createWebhookError(401, 'Invalid Kit.com webhook signature');
+}
+
+/**
+ * Event name without Kit.com's `subscriber.` prefix, or null when it is not handled
+ */
+function normalizeEventName(event) {
+  const name = String(event || '').replace(/^subscriber\./, '');
+  return EVENTS.includes(name) ? name : null;
+}
+
+/**
+ * Subscriber email and tag name from a webhook payload. Kit.com sends the subscriber
+ * as `subscriber` (email_address) and, for tag events, the tag as `tag` - a `tag`
+ * query parameter covers webhooks registered per tag without one.
+ */
+function parseKitWebhookPayload(payload, tagName = null) {
+  const subscriber = (payload && payload.subscriber) || payload || {};
+  const email = subscriber.email_address || subscriber.email || null;
+  const tag = payload && payload.tag;
+
+  return {
+    email: email ? normalizeEmail(email) : null,
+    tagName: (tag && (typeof tag === 'string' ? tag : tag.name)) || tagName || null
+  };
+}
+
+/**
+ * Survey tags stored for a subscriber - their tag columns plus `usertags` rows
+ */
+async function getStoredTags(subscriber, email) {
+  const userTags = await getRepositories().userTags.listForEmail(email);
+  return [...new Set([...getLocalSubscriberTags(subscriber), ...userTags.map(entity => entity.tagName)])];
+}
+
+async function setKitSubscriptionState(email, event, { consented = false } = {}) {
+  const now = new Date().toISOString();
+
+  return updateSubscriber(email, () => {
+    switch (event) {
+      case 'subscriber_bounce':
+        return { kitBounced: true, kitBouncedAt: now, kitSyncStatus: 'bounced', kitWebhookAt: now, updatedAt: now };
+      case 'subscriber_activate':
+        return {
+          kitUnsubscribed: false,
+          kitBounced: false,
+          kitSyncStatus: consented ? 'pending' : 'no_consent',
+          kitWebhookAt: now,
+          updatedAt: now
+        };
+      default:
+        return { kitUnsubscribed: true, kitUnsubscribedAt: now, kitSyncStatus: 'unsubscribed', kitWebhookAt: now, updatedAt: now };
+    }
+  });
+}
+
+/**
+ * Apply one webhook event. Returns { event, email, action } - events for unknown
+ * subscribers or tags outside the survey are acknowledged and ignored, so Kit.com
+ * does not retry them.
+ */
+async function handleKitWebhook(event, payload, { tagName = null } = {}) {
+  const eventName = normalizeEventName(event);
+  if (!eventName) {
+    throw createWebhookError(400, `Unsupported Kit.com webhook event ${event}`);
+  }
+
+  const parsed = parseKitWebhookPayload(payload, tagName);
+  if (!parsed.email) {
+    throw createWebhookError(400, 'Kit.com webhook payload has no subscriber email');
+  }
+
+  const result = { event: eventName, email: parsed.email, action: 'ignored' };
+  const subscriber = await getSubscriberByEmail(parsed.email);
+  if (!subscriber) {
+    console.log(`Kit.com ${eventName} webhook for unknown subscriber ${parsed.email} ignored`);
+    return { ...result, reason: 'unknown_subscriber' };
+  }
+
+  if (eventName === 'tag_add' || eventName === 'tag_remove') {
+    if (!parsed.tagName) {
+      throw createWebhookError(400, 'Kit.com tag webhook has no tag name');
+    }
+    if (!isKitSyncableTag(parsed.tagName) || !getAllKnownTags().includes(parsed.tagName)) {
+      return { ...result, tagName: parsed.tagName, reason: 'not_a_survey_tag' };
+    }
+
+    const { userTags } = getRepositories();
+    let action = 'ignored';
+    if (eventName === 'tag_add') {
+      // A tag already stored in either place keeps its source and date in both
+      const column = `tag_${parsed.tagName}`;
+      const tagRow = (await userTags.listForEmail(parsed.email)).find(entity => entity.tagName === parsed.tagName);
+      const hasTagColumn = subscriber[column] === parsed.tagName;
+      const tagSource = (tagRow && tagRow.tagSource) || (hasTagColumn && subscriber[`${column}_source`]) || 'kit';
+      const createdAt = (tagRow && tagRow.createdAt) || (hasTagColumn && subscriber[`${column}_createdAt`]) || new Date().toISOString();
+
+      if (!tagRow) {
+        await userTags.upsert(parsed.email, parsed.tagName, { therapistId: '', tagSource, createdAt });
+      }
+      if (!hasTagColumn) {
+        await updateSubscriberTags(null, { tagName: parsed.tagName, email: parsed.email, tagSource, createdAt });
+      }
+      if (!tagRow || !hasTagColumn) {
+        action = 'tag_stored';
+      }
+    } else if ((await getStoredTags(subscriber, parsed.email)).includes(parsed.tagName)) {
+      await userTags.remove(parsed.email, parsed.tagName);
+      await removeSubscriberTags(parsed.email, [parsed.tagName]);
+      action = 'tag_removed';
+    }
+
+    console.log(`Kit.com ${eventName} webhook applied ${parsed.tagName} for ${parsed.email}`);
+    return { ...result, tagName: parsed.tagName, action };
+  }
+
+  const consented = eventName === 'subscriber_activate' && await hasMarketingConsent(parsed.email);
+  await setKitSubscriptionState(parsed.email, eventName, { consented });
+
+  // An unsubscribe in Kit.com is the person withdrawing marketing consent
+  if (STATE_ACTIONS[eventName] === 'unsubscribed' && await hasMarketingConsent(parsed.email)) {
+    await withdrawConsent(parsed.email, { source: 'kit', recordedBy: 'kit' });
+  }
+
+  // Tags were not synced while inactive - failures stay queued for the kitSyncWorker timer.
+  // Without consent the sync would only be skipped, so it waits for the person to re-consent.
+  if (eventName === 'subscriber_activate' && !consented) {
+    console.log(`Kit.com ${eventName} webhook applied for ${parsed.email}, tags not synced without marketing consent`);
+    return { ...result, action: STATE_ACTIONS[eventName], reason: 'no_consent' };
+  }
+  if (eventName === 'subscriber_activate') {
+    const tags = (await getStoredTags(subscriber, parsed.email)).filter(isKitSyncableTag);
+    const job = await enqueueKitSyncJob({ email: parsed.email, tags });
+    try {
+      await processKitSyncJob(job);
+    } catch (error) {
+      console.error(`Kit.com sync after reactivation of ${parsed.email} failed, left queued for retry:`, error);
+    }
+  }
+
+  console.log(`Kit.com ${eventName} webhook applied for ${parsed.email}`);
+  return { ...result, action: STATE_ACTIONS[eventName] };
+}
+
+module.exports = {
+  EVENTS,
+  verifyKitWebhook,
+  handleKitWebhook
+};
@@ -0,0 +1,86 @@
+const { getRepositories } = require('../repositories');
+const { normalizeEmail } = require('../utils/validation');
+
+/**
+ * Marketing consent.
+ *
+ * Every consent a respondent gives or withdraws is appended to `marketingconsents`
+ * with the flag, the version of the consent text they saw, when it was recorded, where
+ * it came from (`source`) and who recorded it. Records are never edited - the latest
+ * one is the respondent's current consent.
+ *
+ * Marketing integrations (Kit.com today) must check hasMarketingConsent before adding
+ * anyone: no record, or a withdrawn latest record, means no consent.
+ */
+function toConsentRecord(entity) {
+  return {
+    consentId: entity.rowKey,
+    granted: entity.granted === true,
+    textVersion: entity.textVersion || null,
+    source: entity.source || null,
+    recordedBy: entity.recordedBy || null,
+    recordedAt: entity.recordedAt
+  };
+}
+
+/**
+ * Append a consent record for an email and return it
+ */
+async function recordConsent(email, { granted, textVersion = null, source, recordedBy = null }) {
+  const normalizedEmail = normalizeEmail(email);
+  const fields = {
+    granted: granted === true,
+    textVersion,
+    source,
+    recordedBy,
+    recordedAt: new Date().toISOString()
+  };
+
+  const rowKey = await getRepositories().consents.append(normalizedEmail, fields);
+  console.log(`Marketing consent ${fields.granted ? 'given' : 'withdrawn'} by ${normalizedEmail} (source ${source}, text version ${textVersion || 'none'})`);
+
+  return toConsentRecord({ ...fields, rowKey });
+}
+
+/**
+ * Consent records for an email, oldest first
+ */
+async function getConsentHistory(email) {
+  const entities = await getRepositories().consents.listForEmail(email);
+  return entities.map(toConsentRecord);
+}
+
+/**
+ * The latest consent record for an email, or null when none was ever recorded
+ */
+async function getCurrentConsent(email) {
+  const history = await getConsentHistory(email);
+  return history.length > 0 ? history[history.length - 1] : null;
+}
+
+async function hasMarketingConsent(email) {
+  const consent = await getCurrentConsent(email);
+  return Boolean(consent && consent.granted);
+}
+
+/**
+ * Record a withdrawal, keeping the text version of the consent being withdrawn
+ */
+async function withdrawConsent(email, { source, recordedBy = null }) {
+  const current = await getCurrentConsent(email);
+
+  return recordConsent(email, {
+    granted: false,
+    textVersion: current ? current.textVersion : null,
+    source,
+    recordedBy
+  });
+}
+
+module.exports = {
+  recordConsent,
+  getConsentHistory,
+  getCurrentConsent,
+  hasMarketingConsent,
+  withdrawConsent
+};
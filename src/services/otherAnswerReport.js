@@ -0,0 +1,328 @@
+const { getRepositories } = require('../repositories');
+const { getPublishedFreeText, getPublishedText } = require('./freeTextModeration');
+const { parseSurveyResponse } = require('./responseAdmin');
+const { getAllQuestions, getQuestions, getStoredSurveyVersion } = require('../survey/definition');
+
+/**
+ * "Other" answer clustering report.
+ *
+ * Collects what respondents typed into the free-text "other" answers (Q2_other and
+ * Q6_other, from surveyData or customResponses) and groups it into clusters of the
+ * same answer, ranked by how many respondents gave it - candidates for new `role_*`
+ * and `mod_*` options.
+ *
+ * Each respondent counts once: their latest survey response, or their subscriber row
+ * when they only answered question by question. Only approved, redacted text is used
+ * (see freeTextModeration). Texts are split on commas, slashes and similar, then
+ * normalized before clustering:
+ *   - case, punctuation, British spellings and stopwords ("and", "licensed", ...)
+ *   - abbreviations expanded, e.g. LMFT -> marriage family therapist, ACT -> acceptance
+ *     commitment therapy
+ *   - therapist/therapy, counselor/counseling and plurals reduced to one word stem
+ *   - word order ignored, and keys a typo apart merged
+ * Clusters that match an option the question already has are listed separately - people
+ * typing them suggest the option's label is not recognised.
+ */
+const REPORT_NAME = 'otherAnswers';
+const MAX_CANDIDATES = 25;
+const MAX_VARIANTS = 5;
+// Keeps the stored report well inside a table property's 32K characters
+const MAX_VARIANT_LENGTH = 100;
+
+// Whole phrases rewritten before splitting into words
+const PHRASES = [
+  [/\btf[\s-]?cbt\b/g, 'trauma focused cbt'],
+  [/\bplay[\s-]?based\b/g, 'play'],
+  [/\bcouple'?s\b/g, 'couples'],
+  [/\bsubstance use disorder\b/g, 'sud']
+];
+
+const ABBREVIATIONS = {
+  lmft: 'marriage family therapist',
+  amft: 'marriage family therapist',
+  mft: 'marriage family therapist',
+  lcsw: 'social worker',
+  lmsw: 'social worker',
+  lisw: 'social worker',
+  msw: 'social worker',
+  lpc: 'professional counselor',
+  lpcc: 'professional counselor',
+  lcpc: 'professional counselor',
+  lmhc: 'mental health counselor',
+  ot: 'occupational therapist',
+  otr: 'occupational therapist',
+  slp: 'speech language pathologist',
+  bcba: 'behavior analyst',
+  rbt: 'behavior technician',
+  pmhnp: 'psychiatric nurse practitioner',
+  np: 'nurse practitioner',
+  rn: 'nurse',
+  act: 'acceptance commitment therapy',
+  cpt: 'cognitive processing therapy',
+  eft: 'emotionally focused therapy',
+  sfbt: 'solution focused brief therapy',
+  mi: 'motivational interviewing',
+  pcit: 'parent child interaction therapy',
+  se: 'somatic experiencing'
+};
+
+const SPELLINGS = {
+  counsellor: 'counselor',
+  counselling: 'counseling',
+  behaviour: 'behavior',
+  behavioural: 'behavioral',
+  psychoanalytical: 'psychoanalytic',
+  centred: 'centered'
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'or', 'the', 'of', 'in', 'for', 'with', 'to', 'at', 'on', 'i', 'im', 'am', 'my', 'me',
+  'also', 'etc', 'other', 'based', 'licensed', 'certified', 'registered', 'board', 'name'
+]);
+
+// Word endings reduced to one stem, so "play therapist" and "play therapy" meet
+const STEMS = [
+  [/^therap(?:y|ies|ist|ists|eutic)$/, 'therap'],
+  [/^counsel(?:or|ors|ing)$/, 'counsel'],
+  [/^psycholog(?:y|ist|ists|ical)$/, 'psycholog']
+];
+
+/**
+ * Normalized phrase for a text - lowercase words with abbreviations expanded and
+ * stopwords dropped, e.g. "Licensed MFT" -> "marriage family therapist"
+ */
+function normalizePhrase(text) {
+  let phrase = String(text).toLowerCase()
+    .replace(/\[[a-z ]+\]/g, ' ');
+  for (const [pattern, replacement] of PHRASES) {
+    phrase = phrase.replace(pattern, replacement);
+  }
+
+  return phrase
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .map(word => SPELLINGS[word] || ABBREVIATIONS[word] || word)
+    .join(' ')
+    .split(' ')
+    .filter((word, index, words) => !STOPWORDS.has(word) && words.indexOf(word) === index)
+    .join(' ');
+}
+
+function stemWord(word) {
+  for (const [pattern, stem] of STEMS) {
+    if (pattern.test(word)) {
+      return stem;
+    }
+  }
+  return word.length > 4 && /[^su]s$/.test(word) ? word.slice(0, -1) : word;
+}
+
+/**
+ * Cluster key for a normalized phrase - stemmed, unique words in alphabetical order
+ */
+function getClusterKey(phrase) {
+  return [...new Set(phrase.split(' ').filter(Boolean).map(stemWord))].sort().join(' ');
+}
+
+/**
+ * Split one answer into the separate entries it lists ("LMFT, play therapist")
+ */
+function splitEntries(text) {
+  return String(text).split(/[,;/|+\n]+/).map(entry => entry.trim()).filter(Boolean);
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Keys this close are treated as the same answer with a typo
+function isTypoOf(key, clusterKey) {
+  const allowed = Math.floor(Math.min(key.length, clusterKey.length) / 8);
+  return allowed > 0 && Math.abs(key.length - clusterKey.length) <= allowed && editDistance(key, clusterKey) <= allowed;
+}
+
+/**
+ * Cluster key per existing option of a question ("role_social_worker" -> "social worker")
+ */
+function getOptionKeys(question) {
+  const keys = new Map();
+  for (const option of question.options) {
+    if (question.other && option === question.other.option) continue;
+    const words = option.substring(option.indexOf('_') + 1).replace(/_/g, ' ');
+    keys.set(getClusterKey(normalizePhrase(words)), option);
+  }
+  return keys;
+}
+
+function getTagPrefix(question) {
+  return question.other.option.substring(0, question.other.option.indexOf('_'));
+}
+
+/**
+ * Group the entries typed for one question into ranked clusters
+ */
+function clusterEntries(question, entries) {
+  // Exact keys first, most respondents first, so typos join the common spelling
+  const byKey = new Map();
+  for (const { email, text } of entries) {
+    const phrase = normalizePhrase(text);
+    const key = getClusterKey(phrase);
+    if (!key) continue;
+
+    if (!byKey.has(key)) {
+      byKey.set(key, { key, respondents: new Set(), mentions: 0, variants: new Map(), phrases: new Map() });
+    }
+    const group = byKey.get(key);
+    group.respondents.add(email);
+    group.mentions++;
+    group.variants.set(text, (group.variants.get(text) || 0) + 1);
+    group.phrases.set(phrase, (group.phrases.get(phrase) || 0) + 1);
+  }
+
+  const clusters = [];
+  const groups = [...byKey.values()].sort((a, b) => b.respondents.size - a.respondents.size || b.mentions - a.mentions);
+  for (const group of groups) {
+    const cluster = clusters.find(candidate => isTypoOf(group.key, candidate.key));
+    if (!cluster) {
+      clusters.push(group);
+      continue;
+    }
+    group.respondents.forEach(email => cluster.respondents.add(email));
+    cluster.mentions += group.mentions;
+    group.variants.forEach((count, text) => cluster.variants.set(text, (cluster.variants.get(text) || 0) + count));
+    group.phrases.forEach((count, phrase) => cluster.phrases.set(phrase, (cluster.phrases.get(phrase) || 0) + count));
+  }
+
+  const optionKeys = getOptionKeys(question);
+  const mostCommon = counts => [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+  return clusters
+    .map(cluster => {
+      const phrase = mostCommon(cluster.phrases);
+      return {
+        label: mostCommon(cluster.variants).substring(0, MAX_VARIANT_LENGTH),
+        key: cluster.key,
+        respondents: cluster.respondents.size,
+        mentions: cluster.mentions,
+        suggestedTag: `${getTagPrefix(question)}_${phrase.replace(/ /g, '_')}`,
+        existingOption: optionKeys.get(cluster.key) || null,
+        variants: [...cluster.variants.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, MAX_VARIANTS)
+          .map(([text, count]) => ({ text: text.substring(0, MAX_VARIANT_LENGTH), count }))
+      };
+    })
+    .sort((a, b) => b.respondents - a.respondents || b.mentions - a.mentions || a.label.localeCompare(b.label));
+}
+
+/**
+ * Published "other" texts per respondent, keyed by export column (Q2_other, ...)
+ */
+async function collectOtherTexts() {
+  const { surveyResponses, subscribers } = getRepositories();
+  const latestByEmail = new Map();
+
+  for await (const entity of surveyResponses.listAll()) {
+    const response = parseSurveyResponse(entity);
+    const latest = latestByEmail.get(response.email);
+    if (!latest || (response.completedAt || '') >= latest.completedAt) {
+      latestByEmail.set(response.email, { completedAt: response.completedAt || '', texts: getPublishedFreeText(entity) });
+    }
+  }
+
+  // Subscribers who answered question by question have no response row
+  for await (const subscriber of subscribers.listAll()) {
+    const email = (subscriber.Email || subscriber.email || '').toLowerCase();
+    if (!email || latestByEmail.has(email)) continue;
+
+    const texts = {};
+    for (const question of getQuestions(getStoredSurveyVersion(subscriber))) {
+      const text = question.other ? getPublishedText(subscriber[question.other.column]) : '';
+      if (text) {
+        texts[question.other.column] = text;
+      }
+    }
+    latestByEmail.set(email, { texts });
+  }
+
+  return latestByEmail;
+}
+
+/**
+ * Build the report - per question with an "other" option, ranked candidate options
+ * and the clusters that match options it already has
+ */
+async function buildOtherAnswerReport({ maxCandidates = MAX_CANDIDATES } = {}) {
+  const textsByEmail = await collectOtherTexts();
+
+  const questions = getAllQuestions().filter(question => question.other).map(question => {
+    const entries = [];
+    let respondents = 0;
+
+    for (const [email, { texts }] of textsByEmail) {
+      const text = texts[question.other.column];
+      if (!text) continue;
+
+      respondents++;
+      splitEntries(text).forEach(entry => entries.push({ email, text: entry }));
+    }
+
+    const clusters = clusterEntries(question, entries);
+    return {
+      questionId: question.id,
+      field: question.field,
+      otherColumn: question.other.column,
+      respondents,
+      clusterCount: clusters.length,
+      candidates: clusters.filter(cluster => !cluster.existingOption).slice(0, maxCandidates),
+      existingOptionMatches: clusters.filter(cluster => cluster.existingOption)
+    };
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    respondentsScanned: textsByEmail.size,
+    questions
+  };
+}
+
+/**
+ * Build the report and keep it as the latest copy in the analytics table
+ */
+async function refreshOtherAnswerReport() {
+  const report = await buildOtherAnswerReport();
+
+  await getRepositories().analytics.saveReport(REPORT_NAME, {
+    generatedAt: report.generatedAt,
+    report: JSON.stringify(report)
+  });
+
+  const summary = report.questions.map(question => `${question.questionId}: ${question.respondents} respondents, ${question.candidates.length} candidates`);
+  console.log(`Other answer report built - ${summary.join('; ')}`);
+  return report;
+}
+
+/**
+ * The latest stored report, or null before the first run
+ */
+async function getOtherAnswerReport() {
+  const entity = await getRepositories().analytics.getReport(REPORT_NAME);
+  return entity ? JSON.parse(entity.report) : null;
+}
+
+module.exports = {
+  normalizePhrase,
+  getClusterKey,
+  buildOtherAnswerReport,
+  refreshOtherAnswerReport,
+  getOtherAnswerReport
+};
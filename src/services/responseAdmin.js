@@ -0,0 +1,211 @@
+const { getRepositories } = require('../repositories');
+const { getStoredSurveyVersion, getQuestions, getAnswerTags } = require('../survey/definition');
+const { getResponseModeration } = require('./freeTextModeration');
+
+/**
+ * Survey responses for the admin routes.
+ *
+ * kitSyncStatus is filtered by the storage query; date range, profession, setting and
+ * tag live in JSON columns, so they are applied to each page as it is read. A list
+ * request reads pages until it has a page worth of matches or MAX_PAGES_PER_REQUEST
+ * pages, so a page can come back short while a continuationToken is still returned.
+ */
+const MAX_PAGES_PER_REQUEST = 10;
+
+function parseJsonColumn(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    console.error('Error parsing JSON column:', e);
+    return fallback;
+  }
+}
+
+function toIsoString(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+/**
+ * Parse a stored survey response row - JSON columns become objects and arrays
+ */
+function parseSurveyResponse(entity) {
+  return {
+    responseId: entity.rowKey,
+    email: entity.email || entity.partitionKey,
+    name: entity.name || '',
+    surveyVersion: getStoredSurveyVersion(entity),
+    completedAt: toIsoString(entity.completedAt),
+    completed: entity.completed || false,
+    kitSyncStatus: entity.kitSyncStatus || 'pending',
+    kitSyncedAt: toIsoString(entity.kitSyncedAt),
+    selectedTags: parseJsonColumn(entity.selectedTags, []),
+    surveyData: parseJsonColumn(entity.surveyData, {}),
+    recommendations: parseJsonColumn(entity.recommendations, []),
+    customResponses: parseJsonColumn(entity.customResponses, {}),
+    moderationStatus: entity.moderationStatus || null
+  };
+}
+
+/**
+ * List view of a response - the headline answers without the full payload
+ */
+function toResponseSummary(response) {
+  return {
+    responseId: response.responseId,
+    email: response.email,
+    name: response.name,
+    surveyVersion: response.surveyVersion,
+    completedAt: response.completedAt,
+    kitSyncStatus: response.kitSyncStatus,
+    setting: response.surveyData.setting || null,
+    profession: response.surveyData.profession || null,
+    selectedTags: response.selectedTags,
+    moderationStatus: response.moderationStatus
+  };
+}
+
+/**
+ * A response with its free-text answers replaced by their redacted copy - the
+ * originals are only shown in the moderation queue
+ */
+function redactFreeText(response, moderation) {
+  const surveyData = { ...response.surveyData };
+  const customResponses = { ...response.customResponses };
+  const freeText = moderation ? moderation.freeText : {};
+
+  for (const question of getQuestions(response.surveyVersion)) {
+    if (!question.other) continue;
+
+    const redacted = freeText[question.other.column] || '';
+    if (question.other.field in surveyData) surveyData[question.other.field] = redacted;
+    if (question.other.customResponseKey in customResponses) customResponses[question.other.customResponseKey] = redacted;
+  }
+  return { ...response, surveyData, customResponses };
+}
+
+/**
+ * Detail view of a response - everything, plus each answer labelled by its question
+ * and the moderation of its free text
+ */
+function toResponseDetail(response, moderation) {
+  let answers = [];
+  try {
+    answers = getQuestions(response.surveyVersion).map(question => {
+      const value = response.surveyData[question.field];
+      const answer = {
+        questionId: question.id,
+        label: question.label,
+        answer: question.type === 'multi' ? getAnswerTags(value) : value || ''
+      };
+      if (question.other) {
+        answer.otherText = response.surveyData[question.other.field] || '';
+      }
+      return answer;
+    });
+  } catch (e) {
+    console.error(`Error labelling answers for response ${response.responseId}:`, e);
+  }
+
+  return { ...response, answers, moderation };
+}
+
+function matchesFilters(response, { from, to, profession, setting, tag }) {
+  const completedAt = response.completedAt ? new Date(response.completedAt).getTime() : null;
+
+  if (from && (completedAt === null || completedAt < new Date(from).getTime())) return false;
+  if (to && (completedAt === null || completedAt > new Date(to).getTime())) return false;
+  if (profession && !getAnswerTags(response.surveyData.profession).includes(profession)) return false;
+  if (setting && !getAnswerTags(response.surveyData.setting).includes(setting)) return false;
+  if (tag && !response.selectedTags.includes(tag)) return false;
+
+  return true;
+}
+
+/**
+ * List survey responses matching the filters, one page at a time
+ */
+async function listSurveyResponses(filters = {}, { pageSize = 50, continuationToken = null } = {}) {
+  const { surveyResponses } = getRepositories();
+  const responses = [];
+  let scanned = 0;
+
+  for (let pages = 0; pages < MAX_PAGES_PER_REQUEST; pages++) {
+    const page = await surveyResponses.listPage({
+      kitSyncStatus: filters.kitSyncStatus,
+      pageSize,
+      continuationToken
+    });
+
+    for (const entity of page.entities) {
+      const response = parseSurveyResponse(entity);
+      if (matchesFilters(response, filters)) {
+        responses.push(toResponseSummary(response));
+      }
+    }
+
+    scanned += page.entities.length;
+    continuationToken = page.continuationToken;
+    if (!continuationToken || responses.length >= pageSize) {
+      break;
+    }
+  }
+
+  return { responses, scanned, continuationToken };
+}
+
+/**
+ * Full detail for one survey response (null if it does not exist)
+ */
+async function getSurveyResponseDetail(responseId) {
+  const entity = await getRepositories().surveyResponses.findById(responseId);
+  if (!entity) {
+    return null;
+  }
+
+  const moderation = getResponseModeration(entity);
+  return toResponseDetail(redactFreeText(parseSurveyResponse(entity), moderation), moderation);
+}
+
+/**
+ * Survey data without its free-text "other" answers
+ */
+function removeFreeText(surveyData, version) {
+  const cleaned = { ...surveyData };
+  for (const question of getQuestions(version)) {
+    if (question.other) {
+      delete cleaned[question.other.field];
+    }
+  }
+  return cleaned;
+}
+
+/**
+ * A copy of a response row with name, email and free text taken out, for storing
+ * under a random respondent id
+ */
+function toAnonymizedResponse(entity, anonymousId) {
+  const version = getStoredSurveyVersion(entity);
+
+  return {
+    email: anonymousId,
+    surveyVersion: version,
+    surveyData: JSON.stringify(removeFreeText(parseJsonColumn(entity.surveyData, {}), version)),
+    selectedTags: entity.selectedTags,
+    recommendations: entity.recommendations,
+    completedAt: entity.completedAt,
+    completed: entity.completed,
+    anonymizedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  parseSurveyResponse,
+  removeFreeText,
+  toAnonymizedResponse,
+  listSurveyResponses,
+  getSurveyResponseDetail
+};
@@ -0,0 +1,208 @@
+const { getRepositories } = require('../repositories');
+const { getLocalSubscriberTags } = require('./azureStorage');
+const { parseSurveyResponse } = require('./responseAdmin');
+const { getPublishedFreeText, getPublishedText } = require('./freeTextModeration');
+const { getQuestions, getAllQuestions, getStoredSurveyVersion, parseAnswer, getAnswerTags } = require('../survey/definition');
+
+/**
+ * Flattened exports of survey responses and subscriber answers, as CSV or NDJSON.
+ *
+ * Every row has one column per single-select question (holding the selected tag),
+ * one 0/1 column per option of each multi-select question, and one column per
+ * free-text "other" answer. Columns cover every survey version, so rows from
+ * different versions line up in one file. Free text is the redacted copy, and only
+ * once it is approved (see freeTextModeration).
+ *
+ * Datasets:
+ *   responses   - one row per `surveyresponses` submission (filtered on completedAt)
+ *   subscribers - one row per subscriber with survey answers in the Q1-Q6 columns
+ *                 (filtered on surveyCompletedAt)
+ */
+const DATASETS = ['responses', 'subscribers'];
+const FORMATS = ['csv', 'ndjson'];
+
+const BASE_COLUMNS = {
+  responses: ['responseId', 'email', 'name', 'surveyVersion', 'completedAt', 'kitSyncStatus'],
+  subscribers: ['email', 'name', 'surveyVersion', 'surveyCompleted', 'surveyCompletedAt', 'kitSyncStatus']
+};
+const TRAILING_COLUMNS = {
+  responses: ['selectedTags', 'recommendations', 'moderationStatus'],
+  subscribers: ['tags']
+};
+
+function getAnswerColumns(question) {
+  const columns = question.type === 'multi'
+    ? question.options.map(option => `${question.id}_${option}`)
+    : [`${question.id}_${question.field}`];
+
+  if (question.other) {
+    columns.push(question.other.column);
+  }
+  return columns;
+}
+
+/**
+ * Column order for a dataset
+ */
+function getExportColumns(dataset) {
+  const answerColumns = getAllQuestions().reduce((columns, question) => columns.concat(getAnswerColumns(question)), []);
+  return [...BASE_COLUMNS[dataset], ...answerColumns, ...TRAILING_COLUMNS[dataset]];
+}
+
+/**
+ * Answer columns for one row - `answers` maps question id to the selected tag(s)
+ */
+function flattenAnswers(answers, otherText) {
+  const row = {};
+
+  for (const question of getAllQuestions()) {
+    const selected = getAnswerTags(answers[question.id]);
+
+    if (question.type === 'multi') {
+      question.options.forEach(option => {
+        row[`${question.id}_${option}`] = selected.includes(option) ? 1 : 0;
+      });
+    } else {
+      row[`${question.id}_${question.field}`] = selected[0] || '';
+    }
+
+    if (question.other) {
+      row[question.other.column] = otherText[question.other.column] || '';
+    }
+  }
+
+  return row;
+}
+
+function flattenResponse(entity) {
+  const response = parseSurveyResponse(entity);
+  const answers = {};
+  const otherText = getPublishedFreeText(entity);
+
+  for (const question of getQuestions(response.surveyVersion)) {
+    answers[question.id] = response.surveyData[question.field];
+  }
+
+  return {
+    completedAt: response.completedAt,
+    tags: response.selectedTags,
+    row: {
+      responseId: response.responseId,
+      email: response.email,
+      name: response.name,
+      surveyVersion: response.surveyVersion,
+      completedAt: response.completedAt,
+      kitSyncStatus: response.kitSyncStatus,
+      ...flattenAnswers(answers, otherText),
+      selectedTags: response.selectedTags.join(';'),
+      recommendations: response.recommendations.join(';'),
+      moderationStatus: entity.moderationStatus || ''
+    }
+  };
+}
+
+function flattenSubscriber(subscriber) {
+  const surveyVersion = getStoredSurveyVersion(subscriber);
+  const answers = {};
+  const otherText = {};
+
+  for (const question of getQuestions(surveyVersion)) {
+    answers[question.id] = parseAnswer(question, subscriber[question.id]);
+    if (question.other) {
+      otherText[question.other.column] = getPublishedText(subscriber[question.other.column]);
+    }
+  }
+
+  const tags = getLocalSubscriberTags(subscriber);
+  const completedAt = subscriber.surveyCompletedAt ? new Date(subscriber.surveyCompletedAt).toISOString() : null;
+
+  return {
+    completedAt,
+    tags,
+    row: {
+      email: subscriber.Email || subscriber.email,
+      name: subscriber.Name || subscriber.name || '',
+      surveyVersion,
+      surveyCompleted: subscriber.surveyCompleted || false,
+      surveyCompletedAt: completedAt,
+      kitSyncStatus: subscriber.kitSyncStatus || '',
+      ...flattenAnswers(answers, otherText),
+      tags: tags.join(';')
+    }
+  };
+}
+
+function matchesFilters({ completedAt, tags }, { from, to, tag }) {
+  const time = completedAt ? new Date(completedAt).getTime() : null;
+
+  if (from && (time === null || time < new Date(from).getTime())) return false;
+  if (to && (time === null || time > new Date(to).getTime())) return false;
+  if (tag && !tags.includes(tag)) return false;
+
+  return true;
+}
+
+/**
+ * Flattened rows for a dataset, read lazily so large tables are never held in memory
+ */
+async function* exportRows({ dataset = 'responses', from, to, tag } = {}) {
+  const { surveyResponses, subscribers } = getRepositories();
+  const entities = dataset === 'subscribers' ? subscribers.listAll() : surveyResponses.listAll();
+  const flatten = dataset === 'subscribers' ? flattenSubscriber : flattenResponse;
+
+  for await (const entity of entities) {
+    // Subscribers who never took the survey have nothing to export
+    if (dataset === 'subscribers' && !getQuestions(getStoredSurveyVersion(entity)).some(question => entity[question.id])) {
+      continue;
+    }
+
+    const flattened = flatten(entity);
+    if (matchesFilters(flattened, { from, to, tag })) {
+      yield flattened.row;
+    }
+  }
+}
+
+/**
+ * Quote a CSV value - values that would run as spreadsheet formulas are prefixed with '
+ */
+function toCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export as text chunks - a CSV header and one line per row, or one JSON object per line
+ */
+async function* streamExport({ dataset = 'responses', format = 'csv', ...filters } = {}) {
+  if (!DATASETS.includes(dataset)) {
+    throw new Error(`Unknown export dataset ${dataset}`);
+  }
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown export format ${format}`);
+  }
+
+  const columns = getExportColumns(dataset);
+  if (format === 'csv') {
+    yield columns.map(toCsvValue).join(',') + '\r\n';
+  }
+
+  for await (const row of exportRows({ dataset, ...filters })) {
+    yield format === 'csv'
+      ? columns.map(column => toCsvValue(row[column])).join(',') + '\r\n'
+      : JSON.stringify(row) + '\n';
+  }
+}
+
+module.exports = {
+  DATASETS,
+  FORMATS,
+  streamExport
+};
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const { getRepositories } = require('../repositories');
+const { removeFreeText, toAnonymizedResponse } = require('./responseAdmin');
+const { rebuildAnalytics } = require('./surveyAnalytics');
+const { getStoredSurveyVersion } = require('../survey/definition');
+
+/**
+ * Retention of survey responses.
+ *
+ * Policies apply an action to `surveyresponses` rows completed more than `afterMonths`
+ * ago:
+ *   strip     - blank the name and free text (customResponses and the "other" answers
+ *               in surveyData), keeping the email and tag data
+ *   anonymize - move the row to the `anonymized` partition under a random respondent
+ *               id, without name, email or free text (one id per email per run)
+ *   delete    - remove the row
+ *
+ * The default keeps full rows for 24 months, then strips them. RETENTION_POLICIES
+ * replaces the defaults with a JSON array, e.g.
+ *   [{"name":"strip","afterMonths":24,"action":"strip"},{"name":"purge","afterMonths":84,"action":"delete"}]
+ * Policies run in order. A dry run reports what each policy would change without
+ * writing anything.
+ */
+const ACTIONS = ['strip', 'anonymize', 'delete'];
+const DEFAULT_POLICIES = [
+  { name: 'stripAfter24Months', afterMonths: 24, action: 'strip' }
+];
+
+// Response ids listed per policy in a report
+const REPORT_SAMPLE_SIZE = 20;
+const ANONYMIZED_PARTITION_KEY = 'anonymized';
+
+/**
+ * The configured policies - throws when RETENTION_POLICIES is not valid
+ */
+function getRetentionPolicies() {
+  if (!process.env.RETENTION_POLICIES) {
+    return DEFAULT_POLICIES;
+  }
+
+  let policies;
+  try {
+    policies = JSON.parse(process.env.RETENTION_POLICIES);
+  } catch (e) {
+    throw new Error(`RETENTION_POLICIES is not valid JSON: ${e.message}`);
+  }
+
+  if (!Array.isArray(policies)) {
+    throw new Error('RETENTION_POLICIES must be a JSON array of policies');
+  }
+  return policies.map((policy, index) => {
+    const afterMonths = Number(policy && policy.afterMonths);
+    if (!Number.isInteger(afterMonths) || afterMonths < 1 || !ACTIONS.includes(policy.action)) {
+      throw new Error(`Invalid retention policy ${index + 1} - expected { afterMonths: <whole months>, action: ${ACTIONS.join(' | ')} }`);
+    }
+    return { name: policy.name || `${policy.action}After${afterMonths}Months`, afterMonths, action: policy.action };
+  });
+}
+
+function getCutoff(now, afterMonths) {
+  const cutoff = new Date(now.getTime());
+  cutoff.setUTCMonth(cutoff.getUTCMonth() - afterMonths);
+  return cutoff;
+}
+
+function getCompletedTime(response) {
+  const time = new Date(response.completedAt || 0).getTime();
+  return isNaN(time) ? 0 : time;
+}
+
+/**
+ * Whether a policy still has something to do for a response
+ */
+function isApplicable(policy, response) {
+  const anonymized = response.partitionKey === ANONYMIZED_PARTITION_KEY;
+  switch (policy.action) {
+    case 'strip':
+      return !anonymized && !response.retentionStrippedAt;
+    case 'anonymize':
+      return !anonymized;
+    default:
+      return true;
+  }
+}
+
+function getStrippedColumns(response) {
+  let surveyData = {};
+  try {
+    surveyData = response.surveyData ? JSON.parse(response.surveyData) : {};
+  } catch (e) {
+    console.error(`Error parsing surveyData of ${response.rowKey}:`, e);
+  }
+
+  return {
+    name: '',
+    customResponses: JSON.stringify({}),
+    surveyData: JSON.stringify(removeFreeText(surveyData, getStoredSurveyVersion(response))),
+    ...(response.freeTextRedacted ? { freeTextRedacted: JSON.stringify({}) } : {}),
+    retentionStrippedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Apply one policy - returns its report entry
+ */
+async function applyPolicy(policy, now, dryRun) {
+  const { surveyResponses } = getRepositories();
+  const cutoff = getCutoff(now, policy.afterMonths);
+  const report = {
+    policy: policy.name,
+    action: policy.action,
+    afterMonths: policy.afterMonths,
+    cutoff: cutoff.toISOString(),
+    matched: 0,
+    applied: 0,
+    failed: 0,
+    sampleResponseIds: []
+  };
+
+  // Collect first - rows are moved and deleted, which must not disturb the listing
+  const matches = [];
+  for await (const response of surveyResponses.listAll()) {
+    if (getCompletedTime(response) < cutoff.getTime() && isApplicable(policy, response)) {
+      matches.push(response);
+    }
+  }
+  report.matched = matches.length;
+  report.sampleResponseIds = matches.slice(0, REPORT_SAMPLE_SIZE).map(response => response.rowKey);
+
+  if (dryRun) {
+    return report;
+  }
+
+  const anonymousIds = new Map();
+  for (const response of matches) {
+    try {
+      if (policy.action === 'strip') {
+        await surveyResponses.merge(response, getStrippedColumns(response));
+      } else {
+        if (policy.action === 'anonymize') {
+          if (!anonymousIds.has(response.partitionKey)) {
+            anonymousIds.set(response.partitionKey, `anon_${crypto.randomBytes(8).toString('hex')}`);
+          }
+          const anonymousId = anonymousIds.get(response.partitionKey);
+          await surveyResponses.insertAnonymized(anonymousId, toAnonymizedResponse(response, anonymousId));
+        }
+        await surveyResponses.remove(response.partitionKey, response.rowKey);
+      }
+      report.applied++;
+    } catch (error) {
+      report.failed++;
+      console.error(`Retention policy ${policy.name} failed for response ${response.rowKey}:`, error);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Run every policy. Returns { dryRun, ranAt, policies: [report per policy] }.
+ */
+async function runRetention({ dryRun = false, now = new Date() } = {}) {
+  const policies = getRetentionPolicies();
+  const reports = [];
+
+  for (const policy of policies) {
+    const report = await applyPolicy(policy, now, dryRun);
+    reports.push(report);
+    console.log(`Retention policy ${policy.name} (${policy.action} after ${policy.afterMonths} months)${dryRun ? ' [dry run]' : ''}: ` +
+      `${report.matched} matched, ${report.applied} applied, ${report.failed} failed`);
+  }
+
+  // Moved or deleted rows change who is counted
+  if (reports.some(report => report.action !== 'strip' && report.applied > 0)) {
+    await rebuildAnalytics();
+  }
+
+  return {
+    dryRun,
+    ranAt: now.toISOString(),
+    policies: reports
+  };
+}
+
+module.exports = {
+  ACTIONS,
+  getRetentionPolicies,
+  runRetention
+};
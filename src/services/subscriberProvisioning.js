@@ -0,0 +1,176 @@
+const { getRepositories } = require('../repositories');
+const { normalizeEmail } = require('../utils/validation');
+const { getSubscriberByEmail, updateSubscriber, getLocalSubscriberTags } = require('./azureStorage');
+const { issueVerificationToken, verifyVerificationToken } = require('./subscriberTokens');
+const { recordConsent } = require('./marketingConsent');
+const { enqueueKitSyncJob, processKitSyncJob } = require('./kitSyncQueue');
+const { claimPendingDrafts } = require('./surveyDrafts');
+const { isKitSyncableTag } = require('../survey/definition');
+
+/**
+ * Subscriber auto-provisioning.
+ *
+ * Subscribers normally come from site registration. With SUBSCRIBER_AUTO_PROVISION=true
+ * a survey submission from an unknown email creates a minimal subscriber (Email, Name,
+ * source, RegistrationDate) instead of being rejected - people who joined through a
+ * Kit.com form have no site account. These subscribers have `emailVerified` false until
+ * the person opens their verification link. Rows without the column come from
+ * registration and count as verified.
+ *
+ * Until then nobody has shown the email belongs to the respondent, so their marketing
+ * consent is held on the subscriber (`pendingConsent`) instead of being recorded, and
+ * Kit.com sync jobs skip them ('unverified'). Verifying records the held consent and
+ * queues their first Kit.com sync.
+ */
+function isAutoProvisionEnabled() {
+  return process.env.SUBSCRIBER_AUTO_PROVISION === 'true';
+}
+
+function isSubscriberVerified(subscriber) {
+  return subscriber.emailVerified !== false;
+}
+
+/**
+ * Create an unverified subscriber, or return the existing one if another request
+ * created it first
+ */
+async function provisionSubscriber({ email, name, source = 'survey' }) {
+  const now = new Date();
+
+  try {
+    const subscriber = await getRepositories().subscribers.create({
+      Email: normalizeEmail(email),
+      Name: name || '',
+      source,
+      RegistrationDate: now,
+      emailVerified: false,
+      updatedAt: now.toISOString()
+    });
+    console.log(`Provisioned unverified subscriber ${normalizeEmail(email).substring(0, 3)}*** from ${source}`);
+    return subscriber;
+  } catch (error) {
+    if (error.statusCode !== 409) {
+      throw error;
+    }
+    return getSubscriberByEmail(email);
+  }
+}
+
+/**
+ * Hold the consent an unverified subscriber gave until they verify their email
+ */
+async function deferConsent(email, { granted, textVersion = null, source, recordedBy = null }) {
+  return updateSubscriber(email, () => ({
+    pendingConsent: JSON.stringify({ granted: granted === true, textVersion, source, recordedBy }),
+    updatedAt: new Date().toISOString()
+  }));
+}
+
+/**
+ * Record the consent held for a newly verified subscriber and sync their stored tags
+ * to Kit.com - returns the sync status. Failures stay queued for the kitSyncWorker timer.
+ */
+async function releaseVerifiedSubscriber(subscriber, email) {
+  if (subscriber.pendingConsent) {
+    await recordConsent(email, JSON.parse(subscriber.pendingConsent));
+    await updateSubscriber(email, () => ({ pendingConsent: '' }));
+  }
+
+  const userTags = await getRepositories().userTags.listForEmail(email);
+  const tags = [...new Set([...getLocalSubscriberTags(subscriber), ...userTags.map(entity => entity.tagName)])]
+    .filter(isKitSyncableTag);
+  const job = await enqueueKitSyncJob({ email, tags });
+
+  try {
+    return (await processKitSyncJob(job)).status;
+  } catch (error) {
+    console.error(`Kit.com sync after verification of ${email} failed, left queued for retry:`, error);
+    return 'pending';
+  }
+}
+
+/**
+ * Page the verification link opens - SUBSCRIBER_VERIFY_URL, or /verify on FRONTEND_DOMAIN
+ */
+function getVerificationUrl(token) {
+  const base = process.env.SUBSCRIBER_VERIFY_URL ||
+    (process.env.FRONTEND_DOMAIN ? `${process.env.FRONTEND_DOMAIN.replace(/\/+$/, '')}/verify` : null);
+  if (!base) {
+    return null;
+  }
+  return `${base}${base.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Verification token and link for a subscriber's email - { token, email, expiresAt, url }
+ */
+function createVerificationLink(email, options) {
+  const issued = issueVerificationToken(email, options);
+  return { ...issued, url: getVerificationUrl(issued.token) };
+}
+
+/**
+ * Verification link for a subscriber that is still unverified, to hand back with their
+ * submission - null once verified, or when SUBSCRIBER_TOKEN_SECRET is not set
+ */
+function getPendingVerificationLink(subscriber, email) {
+  if (!subscriber || isSubscriberVerified(subscriber)) {
+    return null;
+  }
+
+  try {
+    return createVerificationLink(email);
+  } catch (error) {
+    console.warn(`No verification link for ${email.substring(0, 3)}***:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Mark the subscriber a verification token was issued for as verified, then record
+ * their held consent and sync them to Kit.com. The token proves the email, so drafts
+ * waiting for it are merged too.
+ * Throws a 401 error for a bad token and a 404 error when the subscriber is gone.
+ */
+async function verifySubscriberEmail(token) {
+  const email = verifyVerificationToken(token);
+  let alreadyVerified = false;
+
+  const subscriber = await updateSubscriber(email, existing => {
+    alreadyVerified = isSubscriberVerified(existing);
+    if (alreadyVerified) {
+      return {};
+    }
+
+    const now = new Date().toISOString();
+    return { emailVerified: true, emailVerifiedAt: now, updatedAt: now };
+  });
+
+  if (!subscriber) {
+    const error = new Error('Subscriber not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const kitSyncStatus = alreadyVerified ? null : await releaseVerifiedSubscriber(subscriber, email);
+  const draftsMerged = await claimPendingDrafts(email);
+
+  console.log(`Subscriber ${email} ${alreadyVerified ? 'was already verified' : 'verified their email'}`);
+  return {
+    email,
+    alreadyVerified,
+    verifiedAt: subscriber.emailVerifiedAt || null,
+    kitSyncStatus,
+    draftsMerged
+  };
+}
+
+module.exports = {
+  isAutoProvisionEnabled,
+  isSubscriberVerified,
+  provisionSubscriber,
+  deferConsent,
+  createVerificationLink,
+  getPendingVerificationLink,
+  verifySubscriberEmail
+};
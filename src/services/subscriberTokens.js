@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { normalizeEmail } = require('../utils/validation');
+
+/**
+ * Subscriber access tokens - short-lived signed tokens bound to one email, embedded in
+ * the onboarding links sent through Kit.com so the self-service survey routes only
+ * show or change that subscriber's answers.
+ *
+ * Tokens are HS256 JWTs signed with SUBSCRIBER_TOKEN_SECRET (kept separate from
+ * AUTH_JWT_SECRET so a subscriber token can never pass as a role token), with the
+ * normalized email as `sub` and `aud` fixed to 'subscriber'. They expire after
+ * SUBSCRIBER_TOKEN_TTL_HOURS (72 by default).
+ *
+ * Verification tokens confirm that a subscriber created from a survey submission owns
+ * their email. They are signed the same way with `aud` 'subscriber-verify', so neither
+ * kind passes as the other, and expire after SUBSCRIBER_VERIFY_TOKEN_TTL_HOURS (168).
+ */
+const TOKEN_AUDIENCE = 'subscriber';
+const DEFAULT_TTL_HOURS = 72;
+
+const VERIFY_TOKEN_AUDIENCE = 'subscriber-verify';
+const DEFAULT_VERIFY_TTL_HOURS = 168;
+
+function getSecret() {
+  const secret = process.env.SUBSCRIBER_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('SUBSCRIBER_TOKEN_SECRET environment variable is not set');
+  }
+  return secret;
+}
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function sign(content) {
+  return crypto.createHmac('sha256', getSecret()).update(content).digest();
+}
+
+function createTokenError(message) {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+}
+
+function issueToken(email, audience, ttlHours) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + Math.round(ttlHours * 3600);
+  const normalizedEmail = normalizeEmail(email);
+
+  const content = `${encodeSegment({ alg: 'HS256', typ: 'JWT' })}.${encodeSegment({
+    sub: normalizedEmail,
+    aud: audience,
+    iat: issuedAt,
+    exp: expiresAt
+  })}`;
+
+  return {
+    token: `${content}.${sign(content).toString('base64url')}`,
+    email: normalizedEmail,
+    expiresAt: new Date(expiresAt * 1000).toISOString()
+  };
+}
+
+function verifyToken(token, audience, kind) {
+  const segments = String(token).split('.');
+  if (segments.length !== 3) {
+    throw createTokenError(`Malformed ${kind} token`);
+  }
+
+  const expected = sign(`${segments[0]}.${segments[1]}`);
+  const signature = Buffer.from(segments[2], 'base64url');
+  if (expected.length !== signature.length || !crypto.timingSafeEqual(expected, signature)) {
+    throw createTokenError(`Invalid ${kind} token signature`);
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(segments[1], 'base64url').toString('utf8'));
+  } catch (e) {
+    throw createTokenError(`Malformed ${kind} token`);
+  }
+
+  if (claims.aud !== audience || !claims.sub) {
+    throw createTokenError(`Not a ${kind} token`);
+  }
+  if (typeof claims.exp !== 'number' || claims.exp < Math.floor(Date.now() / 1000)) {
+    throw createTokenError(`${kind.charAt(0).toUpperCase()}${kind.slice(1)} token has expired - request a new link`);
+  }
+
+  return claims.sub;
+}
+
+/**
+ * Issue a token for an email - returns { token, email, expiresAt }
+ */
+function issueSubscriberToken(email, { ttlHours = parseFloat(process.env.SUBSCRIBER_TOKEN_TTL_HOURS || String(DEFAULT_TTL_HOURS)) } = {}) {
+  return issueToken(email, TOKEN_AUDIENCE, ttlHours);
+}
+
+/**
+ * Verify a token and return the email it is bound to - throws a 401 error otherwise
+ */
+function verifySubscriberToken(token) {
+  return verifyToken(token, TOKEN_AUDIENCE, 'subscriber');
+}
+
+/**
+ * Issue an email verification token - returns { token, email, expiresAt }
+ */
+function issueVerificationToken(email, { ttlHours = parseFloat(process.env.SUBSCRIBER_VERIFY_TOKEN_TTL_HOURS || String(DEFAULT_VERIFY_TTL_HOURS)) } = {}) {
+  return issueToken(email, VERIFY_TOKEN_AUDIENCE, ttlHours);
+}
+
+/**
+ * Verify an email verification token and return its email - throws a 401 error otherwise
+ */
+function verifyVerificationToken(token) {
+  return verifyToken(token, VERIFY_TOKEN_AUDIENCE, 'verification');
+}
+
+module.exports = {
+  issueSubscriberToken,
+  verifySubscriberToken,
+  issueVerificationToken,
+  verifyVerificationToken
+};
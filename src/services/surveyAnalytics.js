@@ -0,0 +1,253 @@
+const { getRepositories } = require('../repositories');
+const { parseSurveyResponse } = require('./responseAdmin');
+const { getQuestions, getAllQuestions, getAnswerTags } = require('../survey/definition');
+
+/**
+ * Survey analytics - option counts and cross-tabs over a date window.
+ *
+ * Numbers are served from daily rollup rows in the `surveyanalytics` table, never from
+ * the raw responses. rebuildAnalytics() materializes them (analyticsRollup timer, or
+ * on demand) in one pass over `surveyresponses`:
+ *
+ *   - counts are per respondent: only each email's latest response is counted, on the
+ *     day it was completed, so resubmissions never double count
+ *   - each day row holds option counts per question and option x option counts for
+ *     every pair of questions, so any cross-tab can be summed over any window
+ *
+ * Percentages are of the respondents in the window who answered the question (for
+ * multi-select questions they add up to more than 100).
+ */
+const PAIR_PREFIX = 'pair_';
+
+function getPairKey(questionIdA, questionIdB) {
+  return `${PAIR_PREFIX}${questionIdA}_${questionIdB}`;
+}
+
+function increment(counts, key, amount = 1) {
+  counts[key] = (counts[key] || 0) + amount;
+}
+
+function toPercent(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+function parseJsonColumn(value) {
+  try {
+    return value ? JSON.parse(value) : {};
+  } catch (e) {
+    console.error('Error parsing analytics rollup column:', e);
+    return {};
+  }
+}
+
+/**
+ * Selected tags per question id for one response
+ */
+function getResponseAnswers(response) {
+  const answers = {};
+  for (const question of getQuestions(response.surveyVersion)) {
+    const tags = getAnswerTags(response.surveyData[question.field]);
+    if (tags.length > 0) {
+      answers[question.id] = tags;
+    }
+  }
+  return answers;
+}
+
+function createRollup() {
+  return { respondents: 0, answered: {}, options: {}, pairs: {} };
+}
+
+function addToRollup(rollup, answers) {
+  const questionIds = Object.keys(answers).sort();
+  rollup.respondents++;
+
+  questionIds.forEach((questionId, index) => {
+    increment(rollup.answered, questionId);
+    rollup.options[questionId] = rollup.options[questionId] || {};
+    answers[questionId].forEach(tag => increment(rollup.options[questionId], tag));
+
+    for (const otherId of questionIds.slice(index + 1)) {
+      const pairKey = getPairKey(questionId, otherId);
+      rollup.pairs[pairKey] = rollup.pairs[pairKey] || {};
+
+      for (const tag of answers[questionId]) {
+        const row = rollup.pairs[pairKey][tag] = rollup.pairs[pairKey][tag] || {};
+        answers[otherId].forEach(otherTag => increment(row, otherTag));
+      }
+    }
+  });
+}
+
+/**
+ * Recompute every daily rollup from `surveyresponses`
+ */
+async function rebuildAnalytics() {
+  const { surveyResponses, analytics } = getRepositories();
+  const latestByEmail = new Map();
+  let responsesScanned = 0;
+
+  for await (const entity of surveyResponses.listAll()) {
+    responsesScanned++;
+    const response = parseSurveyResponse(entity);
+    if (!response.completedAt) continue;
+
+    const latest = latestByEmail.get(response.email);
+    if (!latest || response.completedAt >= latest.completedAt) {
+      latestByEmail.set(response.email, {
+        completedAt: response.completedAt,
+        answers: getResponseAnswers(response)
+      });
+    }
+  }
+
+  const rollups = new Map();
+  for (const { completedAt, answers } of latestByEmail.values()) {
+    const day = completedAt.substring(0, 10);
+    if (!rollups.has(day)) {
+      rollups.set(day, createRollup());
+    }
+    addToRollup(rollups.get(day), answers);
+  }
+
+  for (const [day, rollup] of rollups) {
+    const pairColumns = {};
+    for (const [pairKey, counts] of Object.entries(rollup.pairs)) {
+      pairColumns[pairKey] = JSON.stringify(counts);
+    }
+
+    await analytics.saveDay(day, {
+      respondents: rollup.respondents,
+      answered: JSON.stringify(rollup.answered),
+      options: JSON.stringify(rollup.options),
+      ...pairColumns
+    });
+  }
+
+  // Days whose respondents have all resubmitted since no longer count
+  for (const existing of await analytics.listDays()) {
+    if (!rollups.has(existing.rowKey)) {
+      await analytics.deleteDay(existing.rowKey);
+    }
+  }
+
+  const status = {
+    rebuiltAt: new Date().toISOString(),
+    responsesScanned,
+    respondents: latestByEmail.size,
+    days: rollups.size
+  };
+  await analytics.saveStatus(status);
+
+  console.log(`Survey analytics rebuilt: ${status.respondents} respondents over ${status.days} days`);
+  return status;
+}
+
+/**
+ * Find a question by id (Q2) or payload field (profession)
+ */
+function findQuestion(idOrField) {
+  const wanted = String(idOrField).trim();
+  return getAllQuestions().find(question =>
+    question.id === wanted.toUpperCase() || question.field === wanted
+  ) || null;
+}
+
+/**
+ * Parse a cross-tab spec such as 'Q2:Q4' or 'profession:interests'
+ */
+function parseCrossTab(spec) {
+  const parts = String(spec).split(':');
+  const questions = parts.map(findQuestion);
+
+  if (parts.length !== 2 || questions.some(question => !question) || questions[0].id === questions[1].id) {
+    const error = new Error(`Invalid cross-tab ${spec} - expected two different questions such as Q2:Q4 or profession:interests`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return questions;
+}
+
+function buildCrossTab(rowQuestion, columnQuestion, totals) {
+  const transposed = rowQuestion.id > columnQuestion.id;
+  const pairKey = transposed ? getPairKey(columnQuestion.id, rowQuestion.id) : getPairKey(rowQuestion.id, columnQuestion.id);
+  const pairCounts = totals.pairs[pairKey] || {};
+
+  const countFor = (rowOption, columnOption) => transposed
+    ? (pairCounts[columnOption] || {})[rowOption] || 0
+    : (pairCounts[rowOption] || {})[columnOption] || 0;
+
+  return {
+    rows: { questionId: rowQuestion.id, label: rowQuestion.label },
+    columns: { questionId: columnQuestion.id, label: columnQuestion.label },
+    cells: rowQuestion.options.map(rowOption => {
+      const total = (totals.options[rowQuestion.id] || {})[rowOption] || 0;
+      return {
+        option: rowOption,
+        total,
+        columns: columnQuestion.options.map(columnOption => {
+          const count = countFor(rowOption, columnOption);
+          return { option: columnOption, count, percent: toPercent(count, total) };
+        })
+      };
+    })
+  };
+}
+
+/**
+ * Counts, percentages and cross-tabs for a window of days (YYYY-MM-DD, inclusive)
+ */
+async function getAnalytics({ from, to, crossTabs = [] } = {}) {
+  const { analytics } = getRepositories();
+  const crossTabQuestions = crossTabs.map(parseCrossTab);
+
+  // First use - materialize the rollups rather than returning nothing
+  const status = (await analytics.getStatus()) || (await rebuildAnalytics());
+
+  const neededPairs = new Set(crossTabQuestions.map(([a, b]) => (a.id < b.id ? getPairKey(a.id, b.id) : getPairKey(b.id, a.id))));
+  const totals = { respondents: 0, answered: {}, options: {}, pairs: {} };
+
+  for (const day of await analytics.listDays({ from, to })) {
+    totals.respondents += day.respondents || 0;
+
+    for (const [questionId, count] of Object.entries(parseJsonColumn(day.answered))) {
+      increment(totals.answered, questionId, count);
+    }
+    for (const [questionId, counts] of Object.entries(parseJsonColumn(day.options))) {
+      totals.options[questionId] = totals.options[questionId] || {};
+      Object.entries(counts).forEach(([option, count]) => increment(totals.options[questionId], option, count));
+    }
+    for (const pairKey of neededPairs) {
+      totals.pairs[pairKey] = totals.pairs[pairKey] || {};
+      for (const [option, counts] of Object.entries(parseJsonColumn(day[pairKey]))) {
+        totals.pairs[pairKey][option] = totals.pairs[pairKey][option] || {};
+        Object.entries(counts).forEach(([otherOption, count]) => increment(totals.pairs[pairKey][option], otherOption, count));
+      }
+    }
+  }
+
+  return {
+    window: { from: from || null, to: to || null },
+    generatedAt: status.rebuiltAt,
+    respondents: totals.respondents,
+    questions: getAllQuestions().map(question => {
+      const answered = totals.answered[question.id] || 0;
+      return {
+        questionId: question.id,
+        label: question.label,
+        type: question.type,
+        answered,
+        options: question.options.map(option => {
+          const count = (totals.options[question.id] || {})[option] || 0;
+          return { option, count, percent: toPercent(count, answered) };
+        })
+      };
+    }),
+    crossTabs: crossTabQuestions.map(([rowQuestion, columnQuestion]) => buildCrossTab(rowQuestion, columnQuestion, totals))
+  };
+}
+
+module.exports = {
+  rebuildAnalytics,
+  getAnalytics
+};
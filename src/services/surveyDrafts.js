@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const { getRepositories } = require('../repositories');
+const { normalizeEmail } = require('../utils/validation');
+const { getSubscriberByEmail, updateSubscriber } = require('./azureStorage');
+const {
+  getCurrentSurveyVersion,
+  getStoredSurveyVersion,
+  getQuestions,
+  getQuestion,
+  serializeAnswer,
+  parseAnswer
+} = require('../survey/definition');
+
+/**
+ * Anonymous survey drafts.
+ *
+ * Visitors who have not registered yet can answer questions one at a time. The first
+ * answer creates a draft in `surveydrafts` and returns an opaque resume token, which
+ * the frontend keeps and sends back as x-resume-token. Only a hash of the token is
+ * stored, so the table alone cannot be used to resume anyone's draft. Drafts use the
+ * same Q# columns as subscribers and expire DRAFT_TTL_DAYS (30 by default) after
+ * their last answer.
+ *
+ * Attaching an email claims the draft:
+ *   - the subscriber exists and the caller proved the email (subscriber token or
+ *     service role) - the draft's answers are merged into the subscriber now, and win
+ *     over answers the subscriber already had
+ *   - the subscriber does not exist yet - the draft waits as `pending`, and is merged
+ *     once a subscriber that owns the email turns up, filling only questions the
+ *     subscriber has not answered. Site registration proves the email, so drafts for
+ *     registered subscribers are merged by the draftClaimer timer or their next
+ *     survey submission. Auto-provisioned subscribers (`emailVerified` false) proved
+ *     nothing, so their drafts wait for the verification link (verifySubscriberEmail).
+ *     Drafts no owner turns up for expire like any other draft.
+ */
+const DEFAULT_TTL_DAYS = 30;
+const MAX_UPDATE_ATTEMPTS = 5;
+
+const DRAFT_STATUS = {
+  OPEN: 'open',
+  PENDING: 'pending',
+  CLAIMED: 'claimed'
+};
+
+function getTtlDays() {
+  const days = parseFloat(process.env.DRAFT_TTL_DAYS);
+  return days > 0 ? days : DEFAULT_TTL_DAYS;
+}
+
+function getExpiry(now) {
+  return new Date(now.getTime() + getTtlDays() * 24 * 3600 * 1000);
+}
+
+function hashResumeToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function createDraftError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function isExpired(draft, now = new Date()) {
+  return new Date(draft.expiresAt) <= now;
+}
+
+/**
+ * Live draft for a resume token - throws a 404 error when it is unknown or expired
+ */
+async function getDraft(token) {
+  const draft = token ? await getRepositories().drafts.get(hashResumeToken(token)) : null;
+  if (!draft || isExpired(draft)) {
+    throw createDraftError(404, 'Draft not found or expired');
+  }
+  return draft;
+}
+
+/**
+ * Write path for an existing draft - re-reads and rebuilds the changes when another
+ * request wrote the draft in between (same approach as updateSubscriber)
+ */
+async function updateDraft(token, buildChanges) {
+  const { drafts } = getRepositories();
+
+  for (let attempt = 1; ; attempt++) {
+    const draft = await getDraft(token);
+    const changes = buildChanges(draft);
+
+    try {
+      await drafts.merge(draft.rowKey, changes, { etag: draft.etag });
+      return { ...draft, ...changes };
+    } catch (error) {
+      if (error.statusCode !== 412 || attempt >= MAX_UPDATE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Answers, progress and claim state of a draft, as returned to the frontend
+ */
+function describeDraft(draft) {
+  const questions = getQuestions(draft.surveyVersion);
+  const answers = {};
+  const completedQuestions = [];
+
+  questions.forEach((question, index) => {
+    if (draft[question.id]) {
+      answers[question.id] = parseAnswer(question, draft[question.id]);
+      completedQuestions.push(index + 1);
+    }
+    if (question.other && draft[question.other.column]) {
+      answers[question.other.column] = draft[question.other.column];
+    }
+  });
+
+  return {
+    surveyVersion: draft.surveyVersion,
+    status: draft.status,
+    answers,
+    completedQuestions,
+    progress: Math.round((completedQuestions.length / questions.length) * 100),
+    nextQuestion: completedQuestions.length < questions.length ? completedQuestions.length + 1 : null,
+    claimedBy: draft.status === DRAFT_STATUS.OPEN ? null : draft.email,
+    claimedAt: draft.claimedAt || null,
+    lastUpdated: draft.updatedAt,
+    expiresAt: new Date(draft.expiresAt).toISOString()
+  };
+}
+
+function buildAnswerColumns(question, answer, otherText) {
+  const columns = { [question.id]: serializeAnswer(question, answer) };
+  if (otherText && question.other) {
+    columns[question.other.column] = otherText;
+  }
+  return columns;
+}
+
+/**
+ * Save one answer. Without a resume token a new draft is created and its token
+ * returned - the only time the raw token is ever available.
+ */
+async function saveDraftAnswer(token, { questionNumber, answer, otherText = null, surveyVersion = null }) {
+  const now = new Date();
+
+  if (!token) {
+    const version = surveyVersion || getCurrentSurveyVersion();
+    const question = getQuestion(questionNumber, version);
+    if (!question) {
+      throw createDraftError(400, `Unknown survey question ${questionNumber} in survey version ${version}`);
+    }
+
+    const resumeToken = crypto.randomBytes(32).toString('base64url');
+    const draft = {
+      status: DRAFT_STATUS.OPEN,
+      surveyVersion: version,
+      ...buildAnswerColumns(question, answer, otherText),
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      expiresAt: getExpiry(now)
+    };
+    await getRepositories().drafts.create(hashResumeToken(resumeToken), draft);
+
+    console.log(`Created survey draft with ${question.id} (survey version ${version})`);
+    return { resumeToken, draft };
+  }
+
+  const draft = await updateDraft(token, existing => {
+    if (existing.status === DRAFT_STATUS.CLAIMED) {
+      throw createDraftError(409, 'Draft has already been claimed - update the subscriber\'s answers instead');
+    }
+    if (surveyVersion && surveyVersion !== existing.surveyVersion) {
+      throw createDraftError(409, `Draft was started on survey version ${existing.surveyVersion}`);
+    }
+
+    const question = getQuestion(questionNumber, existing.surveyVersion);
+    if (!question) {
+      throw createDraftError(400, `Unknown survey question ${questionNumber} in survey version ${existing.surveyVersion}`);
+    }
+
+    return {
+      ...buildAnswerColumns(question, answer, otherText),
+      updatedAt: now.toISOString(),
+      expiresAt: getExpiry(now)
+    };
+  });
+
+  return { resumeToken: null, draft };
+}
+
+/**
+ * Copy a draft's answers onto its subscriber. With `overwrite` the draft wins,
+ * otherwise only unanswered questions are filled (and nothing is copied when the
+ * subscriber already answered a different survey version).
+ *
+ * Returns the merged question ids, or null when the subscriber does not exist.
+ */
+async function mergeDraftIntoSubscriber(draft, email, { overwrite }) {
+  let merged = [];
+
+  const subscriber = await updateSubscriber(email, existing => {
+    const questions = getQuestions(draft.surveyVersion);
+    const existingVersion = getStoredSurveyVersion(existing);
+    const hasAnswers = getQuestions(existingVersion).some(question => existing[question.id]);
+    const changes = {};
+    merged = [];
+
+    if (!overwrite && hasAnswers && existingVersion !== draft.surveyVersion) {
+      return changes;
+    }
+
+    for (const question of questions) {
+      if (!draft[question.id] || (!overwrite && existing[question.id])) {
+        continue;
+      }
+      changes[question.id] = draft[question.id];
+      if (question.other && draft[question.other.column]) {
+        changes[question.other.column] = draft[question.other.column];
+      }
+      merged.push(question.id);
+    }
+
+    if (merged.length > 0) {
+      changes.surveyVersion = draft.surveyVersion;
+      changes.updatedAt = new Date().toISOString();
+    }
+    return changes;
+  });
+
+  return subscriber ? merged : null;
+}
+
+/**
+ * Attach an email to a draft, merging it into the subscriber when it exists.
+ * `verified` says whether the caller proved they own the email.
+ */
+async function claimDraft(token, email, { verified }) {
+  const normalizedEmail = normalizeEmail(email);
+  const draft = await getDraft(token);
+
+  if (draft.status !== DRAFT_STATUS.OPEN && draft.email !== normalizedEmail) {
+    throw createDraftError(409, 'Draft has already been claimed by another email');
+  }
+  if (draft.status === DRAFT_STATUS.CLAIMED) {
+    return { status: draft.status, email: normalizedEmail, mergedQuestions: [] };
+  }
+
+  const subscriber = await getSubscriberByEmail(normalizedEmail);
+  if (subscriber && !verified) {
+    throw createDraftError(403, 'A subscriber with this email already exists - open the survey from the emailed link to add these answers');
+  }
+
+  const mergedQuestions = subscriber ? await mergeDraftIntoSubscriber(draft, normalizedEmail, { overwrite: true }) : null;
+  const now = new Date().toISOString();
+
+  await updateDraft(token, () => (mergedQuestions
+    ? { status: DRAFT_STATUS.CLAIMED, email: normalizedEmail, claimedAt: now }
+    : { status: DRAFT_STATUS.PENDING, email: normalizedEmail, emailAttachedAt: now }));
+
+  console.log(`Survey draft ${mergedQuestions ? 'merged into' : 'waiting for'} subscriber ${normalizedEmail}`);
+  return {
+    status: mergedQuestions ? DRAFT_STATUS.CLAIMED : DRAFT_STATUS.PENDING,
+    email: normalizedEmail,
+    mergedQuestions: mergedQuestions || []
+  };
+}
+
+/**
+ * Merge an email's pending drafts into its subscriber - call only for subscribers who
+ * own the email (registered or verified). Returns the number of drafts merged.
+ */
+async function claimPendingDrafts(email) {
+  const { drafts } = getRepositories();
+  const normalizedEmail = normalizeEmail(email);
+  const now = new Date();
+  let claimed = 0;
+
+  for (const draft of await drafts.listForEmail(normalizedEmail)) {
+    if (draft.status !== DRAFT_STATUS.PENDING || isExpired(draft, now)) continue;
+
+    const mergedQuestions = await mergeDraftIntoSubscriber(draft, normalizedEmail, { overwrite: false });
+    if (!mergedQuestions) continue;
+
+    try {
+      await drafts.merge(draft.rowKey, { status: DRAFT_STATUS.CLAIMED, claimedAt: new Date().toISOString() }, { etag: draft.etag });
+      claimed++;
+      console.log(`Survey draft merged into subscriber ${normalizedEmail}: ${mergedQuestions.join(', ') || 'no new answers'}`);
+    } catch (error) {
+      // Answered again since it was listed - the newer answers wait for the next claim
+      if (error.statusCode !== 412) {
+        throw error;
+      }
+    }
+  }
+
+  return claimed;
+}
+
+/**
+ * Merge pending drafts whose subscriber has since registered. Subscribers that were
+ * auto-provisioned and not verified yet are left to verifySubscriberEmail.
+ */
+async function claimRegisteredDrafts() {
+  const emails = new Set();
+  let checked = 0;
+  let claimed = 0;
+
+  for await (const draft of getRepositories().drafts.listPendingClaims()) {
+    checked++;
+    emails.add(draft.email);
+  }
+
+  for (const email of emails) {
+    const subscriber = await getSubscriberByEmail(email);
+    if (!subscriber || subscriber.emailVerified === false) continue;
+    claimed += await claimPendingDrafts(email);
+  }
+
+  return { checked, claimed };
+}
+
+/**
+ * Delete drafts past their expiry
+ */
+async function purgeExpiredDrafts() {
+  return getRepositories().drafts.purgeExpired(new Date());
+}
+
+module.exports = {
+  DRAFT_STATUS,
+  getDraft,
+  describeDraft,
+  saveDraftAnswer,
+  claimDraft,
+  claimPendingDrafts,
+  claimRegisteredDrafts,
+  purgeExpiredDrafts
+};
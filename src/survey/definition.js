@@ -0,0 +1,352 @@
+const Joi = require('joi');
+
+/**
+ * Survey definitions - the single source of truth for the onboarding questions.
+ *
+ * Each version in `src/survey/versions` describes its question set. Every question has:
+ *   id       - question id, also the subscriber column the answer is stored in (Q1..Q6)
+ *   field    - property name in the submitted `surveyData` payload
+ *   type     - 'single' (one tag) or 'multi' (JSON array of tags)
+ *   options  - allowed tag values, in display order
+ *   other    - optional free-text "other" option:
+ *                option             - the tag that enables the free text
+ *                field              - surveyData property holding the text
+ *                column             - subscriber column holding the text
+ *                customResponseKey  - key in the `customResponses` payload
+ *
+ * Validation schemas, tag allow-lists and the Q1-Q6 storage mapping are all
+ * derived from these definitions, so adding an option only means editing it there.
+ *
+ * Version status:
+ *   live    - submissions are accepted and validated against it
+ *   retired - submissions are rejected, but stored rows can still be interpreted
+ *
+ * To change the question set, add a new version file rather than editing a live one,
+ * and retire the old version once the frontend no longer sends it.
+ */
+const SURVEY_VERSIONS = Object.freeze([
+  require('./versions/v1')
+].map(freezeDefinition));
+
+// Rows written before survey versioning was introduced
+const LEGACY_SURVEY_VERSION = '1';
+
+function freezeDefinition(definition) {
+  return Object.freeze({
+    ...definition,
+    questions: Object.freeze(definition.questions.map(question =>
+      Object.freeze({ ...question, options: Object.freeze([...question.options]) })
+    ))
+  });
+}
+
+/**
+ * The version the frontend should render - the most recently introduced live version
+ */
+function getCurrentSurveyVersion() {
+  const live = SURVEY_VERSIONS.filter(definition => definition.status === 'live');
+  return live[live.length - 1].version;
+}
+
+/**
+ * Get a survey definition by version (defaults to the current version)
+ */
+function getSurveyDefinition(version) {
+  const wanted = version ? String(version) : getCurrentSurveyVersion();
+  return SURVEY_VERSIONS.find(definition => definition.version === wanted) || null;
+}
+
+/**
+ * Resolve the version a submission should be validated against
+ */
+function resolveSubmissionVersion(requestedVersion) {
+  const version = requestedVersion ? String(requestedVersion) : getCurrentSurveyVersion();
+  const definition = getSurveyDefinition(version);
+
+  if (!definition) {
+    return { error: `Unknown survey version ${version}` };
+  }
+  if (definition.status !== 'live') {
+    return { error: `Survey version ${version} has been retired` };
+  }
+
+  return { version, definition };
+}
+
+/**
+ * Survey version a stored row (subscriber or survey response) was written with
+ */
+function getStoredSurveyVersion(entity) {
+  return (entity && entity.surveyVersion) || LEGACY_SURVEY_VERSION;
+}
+
+/**
+ * Summary of every known version, for the versions endpoint
+ */
+function listSurveyVersions() {
+  const currentVersion = getCurrentSurveyVersion();
+
+  return SURVEY_VERSIONS.map(definition => ({
+    version: definition.version,
+    status: definition.status,
+    current: definition.version === currentVersion,
+    introducedAt: definition.introducedAt,
+    retiredAt: definition.retiredAt
+  }));
+}
+
+/**
+ * Questions for a version (defaults to the current version)
+ */
+function getQuestions(version) {
+  const definition = getSurveyDefinition(version);
+  if (!definition) {
+    throw new Error(`Unknown survey version ${version}`);
+  }
+  return definition.questions;
+}
+
+/**
+ * Questions across every survey version, merged by question id (options are combined),
+ * for reports that line up rows from different versions
+ */
+function getAllQuestions() {
+  const questions = new Map();
+
+  for (const definition of SURVEY_VERSIONS) {
+    for (const question of definition.questions) {
+      const existing = questions.get(question.id);
+      questions.set(question.id, existing
+        ? { ...existing, options: [...new Set([...existing.options, ...question.options])] }
+        : { ...question });
+    }
+  }
+
+  return [...questions.values()];
+}
+
+/**
+ * Find a question by id ('Q3'), number (3) or numeric string ('3')
+ */
+function getQuestion(idOrNumber, version) {
+  if (idOrNumber === null || idOrNumber === undefined) {
+    return null;
+  }
+
+  const raw = String(idOrNumber).trim().toUpperCase();
+  const id = raw.startsWith('Q') ? raw : `Q${raw}`;
+  return getQuestions(version).find(question => question.id === id) || null;
+}
+
+/**
+ * All tag values allowed by a survey version
+ */
+function getAllowedTags(version) {
+  return getQuestions(version).reduce((tags, question) => tags.concat(question.options), []);
+}
+
+/**
+ * Every tag any survey version (live or retired) can produce
+ */
+function getAllKnownTags() {
+  const tags = new Set();
+  for (const definition of SURVEY_VERSIONS) {
+    for (const question of definition.questions) {
+      question.options.forEach(option => tags.add(option));
+    }
+  }
+  return [...tags];
+}
+
+/**
+ * "Other" options only signal that free text was entered - they are never sent to Kit.com
+ */
+function isKitSyncableTag(tag) {
+  return !SURVEY_VERSIONS.some(definition =>
+    definition.questions.some(question => question.other && question.other.option === tag)
+  );
+}
+
+/**
+ * Build the Joi schema for the `surveyData` payload
+ */
+function buildSurveyDataSchema({ version, minSelections = 0, otherMaxLength = 255, allowNullOther = false } = {}) {
+  const keys = {};
+
+  for (const question of getQuestions(version)) {
+    const tag = Joi.string().valid(...question.options);
+    keys[question.field] = question.type === 'multi'
+      ? Joi.array().items(tag).min(minSelections).required()
+      : tag.required();
+
+    if (question.other) {
+      keys[question.other.field] = buildOtherTextSchema(otherMaxLength, allowNullOther);
+    }
+  }
+
+  return Joi.object(keys);
+}
+
+/**
+ * Build the Joi schema for the `customResponses` payload
+ */
+function buildCustomResponsesSchema({ version, otherMaxLength = 255, allowNullOther = false } = {}) {
+  const keys = {};
+
+  for (const question of getQuestions(version)) {
+    if (question.other) {
+      keys[question.other.customResponseKey] = buildOtherTextSchema(otherMaxLength, allowNullOther);
+    }
+  }
+
+  return Joi.object(keys);
+}
+
+function buildOtherTextSchema(maxLength, allowNull) {
+  const schema = Joi.string().max(maxLength);
+  return (allowNull ? schema.allow('', null) : schema.allow('')).optional();
+}
+
+/**
+ * Build the Joi schema for a single question's answer (real-time question updates)
+ */
+function buildAnswerSchema(question) {
+  const tag = Joi.string().valid(...question.options);
+  return question.type === 'multi' ? Joi.array().items(tag).required() : tag.required();
+}
+
+/**
+ * Re-validate stored survey data against the version it was submitted with
+ */
+function validateSurveyData(surveyData, version) {
+  return buildSurveyDataSchema({ version, otherMaxLength: 500, allowNullOther: true })
+    .validate(surveyData, { abortEarly: false });
+}
+
+/**
+ * Map a `surveyData` payload onto the subscriber Q1-Q6 columns
+ */
+function toSubscriberColumns(surveyData = {}, version) {
+  const columns = {};
+
+  for (const question of getQuestions(version)) {
+    columns[question.id] = serializeAnswer(question, surveyData[question.field]);
+
+    if (question.other) {
+      columns[question.other.column] = surveyData[question.other.field] || '';
+    }
+  }
+
+  return columns;
+}
+
+/**
+ * Serialize an answer for storage - multi-select answers are stored as JSON arrays
+ */
+function serializeAnswer(question, answer) {
+  if (question.type === 'multi') {
+    return JSON.stringify(Array.isArray(answer) ? answer : []);
+  }
+  return answer || '';
+}
+
+/**
+ * Parse a stored Q# column back into its answer (string or array)
+ */
+function parseAnswer(question, storedValue) {
+  if (!storedValue) {
+    return question.type === 'multi' ? [] : '';
+  }
+
+  if (question.type === 'multi') {
+    try {
+      const parsed = JSON.parse(storedValue);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      console.error(`Error parsing ${question.id} answer:`, e);
+      return [];
+    }
+  }
+
+  return storedValue;
+}
+
+/**
+ * Work out which tags a resubmission removes, question by question.
+ *
+ * Multi-select questions lose whatever was previously selected and is no longer.
+ * Single-select questions lose every other option the subscriber is known to hold
+ * (previous answer or tags already stored), so they can only ever keep one value.
+ */
+function diffSurveyTags({ previousSurveyData = null, previousVersion, surveyData, version, storedTags = [] }) {
+  const removedByQuestion = {};
+  const stored = new Set(storedTags);
+
+  const previousAnswers = {};
+  if (previousSurveyData) {
+    for (const question of getQuestions(previousVersion)) {
+      previousAnswers[question.id] = getAnswerTags(previousSurveyData[question.field]);
+    }
+  }
+
+  const questions = getQuestions(version);
+  for (const question of questions) {
+    const selected = new Set(getAnswerTags(surveyData[question.field]));
+    const previous = previousAnswers[question.id] || [];
+
+    const candidates = question.type === 'single'
+      ? question.options.filter(option => previous.includes(option) || stored.has(option))
+      : previous;
+
+    const removed = [...new Set(candidates)].filter(tag => !selected.has(tag));
+    if (removed.length > 0) {
+      removedByQuestion[question.id] = removed;
+    }
+  }
+
+  // Questions dropped from the new version lose their previous answers entirely
+  for (const [questionId, previous] of Object.entries(previousAnswers)) {
+    if (!questions.some(question => question.id === questionId) && previous.length > 0) {
+      removedByQuestion[questionId] = previous;
+    }
+  }
+
+  return {
+    removedByQuestion,
+    removedTags: [].concat(...Object.values(removedByQuestion))
+  };
+}
+
+/**
+ * Tags selected for a question, always as an array
+ */
+function getAnswerTags(answer) {
+  if (Array.isArray(answer)) {
+    return answer;
+  }
+  return answer ? [answer] : [];
+}
+
+module.exports = {
+  LEGACY_SURVEY_VERSION,
+  getCurrentSurveyVersion,
+  getSurveyDefinition,
+  resolveSubmissionVersion,
+  getStoredSurveyVersion,
+  listSurveyVersions,
+  getQuestions,
+  getAllQuestions,
+  getQuestion,
+  getAllowedTags,
+  getAllKnownTags,
+  isKitSyncableTag,
+  buildSurveyDataSchema,
+  buildCustomResponsesSchema,
+  buildAnswerSchema,
+  validateSurveyData,
+  toSubscriberColumns,
+  serializeAnswer,
+  parseAnswer,
+  getAnswerTags,
+  diffSurveyTags
+};
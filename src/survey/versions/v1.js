@@ -0,0 +1,84 @@
+/**
+ * Survey version 1 - the original onboarding question set (September 2025)
+ */
+module.exports = {
+  version: '1',
+  status: 'live',
+  introducedAt: '2025-09-01',
+  retiredAt: null,
+  questions: [
+    {
+      id: 'Q1',
+      field: 'setting',
+      label: 'Setting',
+      type: 'single',
+      options: [
+        'setting_inperson', 'setting_mostly_inperson', 'setting_mixed',
+        'setting_mostly_online', 'setting_online_only'
+      ]
+    },
+    {
+      id: 'Q2',
+      field: 'profession',
+      label: 'Profession',
+      type: 'single',
+      options: [
+        'role_therapist', 'role_social_worker', 'role_psychologist',
+        'role_school_counselor', 'role_student', 'role_clergy',
+        'role_sud_counselor', 'role_peer_specialist', 'role_other'
+      ],
+      other: {
+        option: 'role_other',
+        field: 'profession_other',
+        column: 'Q2_other',
+        customResponseKey: 'role_other'
+      }
+    },
+    {
+      id: 'Q3',
+      field: 'populations',
+      label: 'Population Served',
+      type: 'multi',
+      options: [
+        'pop_children10u', 'pop_teens', 'pop_adults',
+        'pop_couples', 'pop_families', 'pop_groups', 'pop_all_day'
+      ]
+    },
+    {
+      id: 'Q4',
+      field: 'interests',
+      label: 'Interests',
+      type: 'multi',
+      options: [
+        'interest_sandtray', 'interest_art', 'interest_feelings_wheel',
+        'interest_humans', 'interest_tumbling', 'interest_jeopardy',
+        'interest_bingo', 'interest_mandala'
+      ]
+    },
+    {
+      id: 'Q5',
+      field: 'frequency',
+      label: 'Frequency',
+      type: 'single',
+      options: [
+        'freq_daily', 'freq_weekly', 'freq_monthly', 'freq_occasionally'
+      ]
+    },
+    {
+      id: 'Q6',
+      field: 'modalities',
+      label: 'Modalities',
+      type: 'multi',
+      options: [
+        'mod_cbt', 'mod_dbt', 'mod_solutions', 'mod_expressive',
+        'mod_emdr', 'mod_couples', 'mod_ifs', 'mod_eclectic', 'mod_other'
+      ],
+      other: {
+        option: 'mod_other',
+        field: 'modality_other',
+        column: 'Q6_other',
+        customResponseKey: 'mod_other'
+      }
+    }
+  ]
+};